@@ -2,687 +2,8485 @@
     Smart Closet App JS - v1.0
     --------------------------------------
     - Encapsulated in an IIFE.
-    - Loads data from localStorage *once*.
-    - Uses a router to run page-specific code.
+    - Keeps data in a central store that stays in sync across tabs.
+    - Keeps images in IndexedDB (full size + thumbnail).
+    - Renders every view in one page, picked by a hash router.
     ======================================
 */
 
 (function() {
     'use strict'; // Enable strict mode
 
-    const STORAGE_KEY = 'smartClosetData';
-    
-    // In-memory state. All functions will read/write to this.
-    let appData = {
-        clothes: [],
-        combinations: []
+    const PROFILES_KEY = 'smartClosetProfiles';
+    const ACTIVE_PROFILE_SESSION_KEY = 'smartClosetActiveProfile';
+    const SHARED_POOL_KEY = 'smartClosetShared';
+    const DEFAULT_PROFILE_ID = 'default';
+    const DEFAULT_PROFILE_NAME = 'My Closet';
+
+    // Read once per page: switching profiles reloads, so every key below follows this tab's profile
+    const ACTIVE_PROFILE_ID = resolveActiveProfileId();
+    const PROFILE_KEYS = getProfileKeys(ACTIVE_PROFILE_ID);
+    const STORAGE_KEY = PROFILE_KEYS.data;
+    const META_KEY = PROFILE_KEYS.meta;
+    const BACKUP_KEY_PREFIX = 'smartClosetData_backup_';
+    const CHANNEL_NAME = PROFILE_KEYS.channel;
+
+    /*
+        The store owns the in-memory data; all functions read and write
+        store.data. Mutations finish with saveData(), which persists the data
+        and notifies subscribers. Writes from other tabs are picked up through
+        a BroadcastChannel (or the storage event) and merged, never clobbered.
+        The store only ever holds the active profile's closet.
+    */
+    const store = {
+        data: {
+            clothes: [],
+            combinations: []
+        },
+        // Revision of the stored copy this tab last read or wrote, and that copy as JSON
+        revision: 0,
+        base: null,
+        tabId: Math.random().toString(36).slice(2),
+        listeners: new Set(),
+        pendingChange: null,
+        channel: null,
+        // Set when stored data couldn't be read *or* backed up, so it's never overwritten
+        readOnly: false,
+        // Shared clothes as last read from or written to the shared pool (id -> JSON)
+        sharedBase: null
     };
 
     // --- Data Management ---
 
-    function loadData() {
+    function createEmptyData() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            clothes: [],
+            combinations: [],
+            savedViews: [],
+            rejectedOutfits: [],
+            wearLog: [],
+            plans: [],
+            trash: [],
+            trips: [],
+            categories: createDefaultCategories()
+        };
+    }
+
+    /**
+     * Loads stored data, upgrading it through MIGRATIONS when it was
+     * written by an older release. Unreadable data is backed up under
+     * its own key before the app falls back to an empty wardrobe.
+     */
+    async function loadData() {
         const storedData = localStorage.getItem(STORAGE_KEY);
-        if (storedData) {
-            appData = JSON.parse(storedData);
-        } else {
+        store.revision = readStoredRevision();
+        if (!storedData) {
             // If no data, save the initial empty state
+            store.data = createEmptyData();
             saveData();
+            return;
+        }
+
+        try {
+            const parsed = JSON.parse(storedData);
+            const fromVersion = getSchemaVersion(parsed);
+            store.data = await migrateData(parsed);
+            store.base = storedData;
+            // Images the v2 step couldn't move (e.g. storage was full) are retried on every load
+            const retried = fromVersion >= 2 ? await migrateInlineImages(store.data.clothes) : 0;
+            if (fromVersion !== store.data.schemaVersion || retried > 0) {
+                // An upgrade isn't an edit, so it mustn't look newer to other devices
+                saveData({ track: false });
+            }
+        } catch (error) {
+            console.error('Stored data could not be loaded:', error);
+            const backupKey = backupCorruptData(storedData);
+            store.data = createEmptyData();
+            if (backupKey) {
+                saveData();
+                alert(`Your saved wardrobe could not be read. A copy was kept under "${backupKey}" and the app has started with an empty closet.`);
+            } else {
+                // Leave the original in place rather than overwrite the only copy
+                alert('Your saved wardrobe could not be read and could not be backed up. Changes made now will not be saved.');
+                store.readOnly = true;
+            }
         }
     }
 
-    function saveData() {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(appData));
+    function backupCorruptData(rawData) {
+        const backupKey = BACKUP_KEY_PREFIX + new Date().toISOString();
+        try {
+            localStorage.setItem(backupKey, rawData);
+            return backupKey;
+        } catch (error) {
+            console.error('Error backing up data:', error);
+            return null;
+        }
     }
 
-    // --- Cloth Management ---
+    function readStoredRevision(metaKey = META_KEY) {
+        try {
+            const meta = JSON.parse(localStorage.getItem(metaKey));
+            return (meta && Number(meta.revision)) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
 
-    function addCloth(cloth) {
-        const newCloth = {
-            id: Date.now().toString(),
-            ...cloth,
-            createdAt: new Date().toISOString()
-        };
-        appData.clothes.push(newCloth);
-        saveData();
-        return newCloth;
+    /**
+     * Persists store.data and notifies subscribers. If another tab saved
+     * since this one last read, its changes are merged in first so the
+     * write doesn't erase them. Unless `track` is false (migrations, data
+     * pulled from a sync server), changed records are stamped and queued
+     * for sync.
+     */
+    function saveData({ track = true } = {}) {
+        if (store.readOnly) return false;
+        if (track) trackChanges();
+        const storedRevision = readStoredRevision();
+        const conflicts = storedRevision !== store.revision ? mergeStoredChanges() : [];
+        try {
+            const json = JSON.stringify(store.data);
+            const revision = storedRevision + 1;
+            localStorage.setItem(STORAGE_KEY, json);
+            // Written after the data, so a tab reacting to it always reads the new copy
+            localStorage.setItem(META_KEY, JSON.stringify({
+                revision,
+                tabId: store.tabId,
+                savedAt: new Date().toISOString()
+            }));
+            store.revision = revision;
+            store.base = json;
+        } catch (error) {
+            console.error('Error saving data:', error);
+            alert('Could not save your changes. Your browser storage may be full.');
+            return false;
+        }
+        if (store.channel) {
+            store.channel.postMessage({ type: 'saved', revision: store.revision, tabId: store.tabId });
+        }
+        pushSharedClothes();
+        queueChange({ source: 'local', conflicts });
+        if (track) scheduleSync();
+        return true;
     }
 
-    function getClothes() {
-        return appData.clothes;
+    /**
+     * Registers a listener called after the data changes, whether here or
+     * in another tab. Changes are batched per task; the listener receives
+     * { remote, conflicts }. Returns a function that unsubscribes.
+     */
+    function subscribe(listener) {
+        store.listeners.add(listener);
+        return () => store.listeners.delete(listener);
     }
 
-    function getClothById(id) {
-        return appData.clothes.find(cloth => cloth.id === id);
+    function queueChange({ source, conflicts = [] }) {
+        if (store.pendingChange) {
+            store.pendingChange.remote = store.pendingChange.remote || source === 'remote';
+            store.pendingChange.conflicts.push(...conflicts);
+            return;
+        }
+        store.pendingChange = { remote: source === 'remote', conflicts: [...conflicts] };
+        queueMicrotask(() => {
+            const change = store.pendingChange;
+            store.pendingChange = null;
+            store.listeners.forEach(listener => {
+                try {
+                    listener(change);
+                } catch (error) {
+                    console.error('Error in store listener:', error);
+                }
+            });
+            if (change.conflicts.length > 0) {
+                const count = change.conflicts.length;
+                showToast(`${count} edit${count === 1 ? '' : 's'} clashed with changes from another tab. Your version was kept.`, { type: 'warning' });
+            }
+        });
     }
 
-    function updateCloth(id, updates) {
-        const index = appData.clothes.findIndex(cloth => cloth.id === id);
-        if (index !== -1) {
-            appData.clothes[index] = { ...appData.clothes[index], ...updates };
-            saveData();
-            return true;
+    // --- Multi-Tab Sync ---
+
+    // How records are matched between copies of each collection
+    const MERGE_KEYS = {
+        clothes: 'id',
+        combinations: 'id',
+        savedViews: 'id',
+        rejectedOutfits: 'signature',
+        wearLog: 'id',
+        plans: 'id',
+        trash: 'id',
+        trips: 'id',
+        categories: 'id'
+    };
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // Field-by-field merge of a record both sides changed; a field both changed differently keeps ours
+    function mergeRecord(base, theirs, ours, conflict) {
+        const merged = {};
+        new Set([...Object.keys(theirs), ...Object.keys(ours)]).forEach(field => {
+            if (field === 'updatedAt') {
+                // Both sides stamp their own edits; that alone isn't a clash
+                merged[field] = [theirs[field], ours[field]].filter(Boolean).sort().pop();
+            } else if (sameValue(ours[field], base[field])) {
+                merged[field] = theirs[field];
+            } else {
+                merged[field] = ours[field];
+                if (!sameValue(theirs[field], base[field]) && !sameValue(theirs[field], ours[field])) {
+                    conflict(field);
+                }
+            }
+            if (merged[field] === undefined) delete merged[field];
+        });
+        return merged;
+    }
+
+    /**
+     * Three-way merge of two copies of the data that both started from base.
+     * Records only one side touched take that side's version; a record
+     * deleted on one side but edited on the other is kept. Returns
+     * { data, conflicts } with conflicts as [{ collection, key, field }].
+     */
+    function mergeData(base, theirs, ours) {
+        const data = { ...theirs, ...ours };
+        const conflicts = [];
+
+        Object.entries(MERGE_KEYS).forEach(([collection, keyField]) => {
+            const index = list => new Map((list || []).map(record => [record[keyField], record]));
+            const baseRecords = index(base[collection]);
+            const theirRecords = index(theirs[collection]);
+            const ourRecords = index(ours[collection]);
+            // Keep our order, then anything only the other tab has
+            const keys = new Set([...ourRecords.keys(), ...theirRecords.keys()]);
+            const merged = [];
+
+            keys.forEach(key => {
+                const original = baseRecords.get(key);
+                const mine = ourRecords.get(key);
+                const other = theirRecords.get(key);
+                let result;
+                if (sameValue(mine, original)) {
+                    result = other;
+                } else if (sameValue(other, original) || sameValue(other, mine)) {
+                    result = mine;
+                } else if (!mine || !other) {
+                    result = mine || other;
+                } else {
+                    result = mergeRecord(original || {}, other, mine, field => {
+                        conflicts.push({ collection, key, field });
+                    });
+                }
+                if (result) merged.push(result);
+            });
+            data[collection] = merged;
+        });
+
+        return { data, conflicts };
+    }
+
+    // Folds the stored copy (written by another tab) into store.data; returns any conflicts
+    function mergeStoredChanges() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!stored || stored.schemaVersion !== store.data.schemaVersion) return [];
+            const base = store.base ? JSON.parse(store.base) : createEmptyData();
+            const { data, conflicts } = mergeData(base, stored, store.data);
+            store.data = data;
+            return conflicts;
+        } catch (error) {
+            console.error('Error merging changes from another tab:', error);
+            return [];
         }
-        return false;
     }
 
-    function deleteCloth(id) {
-        const index = appData.clothes.findIndex(cloth => cloth.id === id);
-        if (index !== -1) {
-            appData.clothes.splice(index, 1);
-            saveData();
-            return true;
+    /**
+     * Replaces store.data with the stored copy when another tab has saved
+     * since this one last read. Every save here goes straight to storage,
+     * so there are no unsaved local edits to lose.
+     */
+    async function syncFromStorage() {
+        if (store.readOnly) return;
+        const revision = readStoredRevision();
+        if (revision === store.revision) return;
+        const storedData = localStorage.getItem(STORAGE_KEY);
+        if (!storedData) return;
+
+        try {
+            const data = await migrateData(JSON.parse(storedData));
+            // A save here or another sync may have landed while migrating
+            if (store.revision === revision || readStoredRevision() !== revision) return;
+            store.data = data;
+            store.revision = revision;
+            store.base = storedData;
+            queueChange({ source: 'remote' });
+        } catch (error) {
+            console.error('Error loading changes from another tab:', error);
         }
-        return false;
     }
 
-    // --- Combination Management ---
+    function initStoreSync() {
+        if (typeof BroadcastChannel === 'function') {
+            store.channel = new BroadcastChannel(CHANNEL_NAME);
+            store.channel.onmessage = (e) => {
+                if (e.data && e.data.type === 'saved') syncFromStorage();
+            };
+        }
+        // Fallback for browsers without BroadcastChannel; a null key means storage was cleared
+        window.addEventListener('storage', (e) => {
+            if (e.key === META_KEY || e.key === null) syncFromStorage();
+            if (e.key === SHARED_POOL_KEY) pullSharedClothes();
+        });
+        // Background tabs may have been throttled; catch up when shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                syncFromStorage();
+                pullSharedClothes();
+            }
+        });
+    }
 
-    function addCombination(combination) {
-        const newCombination = {
-            id: Date.now().toString(),
-            ...combination,
-            createdAt: new Date().toISOString()
+    // --- Profiles ---
+
+    /*
+        Everyone sharing the device gets a profile with its own closet under
+        its own storage keys; the first profile keeps the original unsuffixed
+        keys so existing wardrobes become it without a migration. The list of
+        profiles and the last one picked live under PROFILES_KEY. Each tab
+        keeps its own active profile in sessionStorage, so switching in one
+        tab leaves the others alone; new tabs start on the last one picked.
+        Clothes marked `shared` are also kept in a pool under SHARED_POOL_KEY.
+        Each profile holds a copy of every pooled item: saving pushes changes
+        to shared items into the pool, and other profiles pull them in.
+        Images stay in the one IndexedDB store, keyed by imageId.
+    */
+    const MAX_PROFILE_NAME_LENGTH = 30;
+
+    function getProfileKeys(profileId) {
+        const suffix = profileId === DEFAULT_PROFILE_ID ? '' : `:${profileId}`;
+        return {
+            data: `smartClosetData${suffix}`,
+            meta: `smartClosetMeta${suffix}`,
+            channel: `smartCloset${suffix}`,
+            history: `smartClosetHistory${suffix}`,
+            sync: `smartClosetSync${suffix}`
         };
-        appData.combinations.push(newCombination);
-        saveData();
-        return newCombination;
     }
 
-    function getCombinations() {
-        return appData.combinations;
+    function loadProfileRegistry() {
+        const fallback = {
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: null }],
+            activeId: DEFAULT_PROFILE_ID
+        };
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+            const profiles = stored && Array.isArray(stored.profiles)
+                ? stored.profiles.filter(profile => profile && typeof profile.id === 'string' && profile.name)
+                : [];
+            if (profiles.length === 0) return fallback;
+            const activeId = profiles.some(profile => profile.id === stored.activeId) ? stored.activeId : profiles[0].id;
+            return { profiles, activeId };
+        } catch (error) {
+            return fallback;
+        }
     }
 
-    function deleteCombination(id) {
-        const index = appData.combinations.findIndex(combo => combo.id === id);
-        if (index !== -1) {
-            appData.combinations.splice(index, 1);
-            saveData();
-            return true;
+    function saveProfileRegistry(registry) {
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+            throw new Error('Could not save profiles. Your browser storage may be full.');
         }
-        return false;
     }
 
-    // --- UI Rendering ---
+    function getProfiles() {
+        return loadProfileRegistry().profiles;
+    }
 
-    function createClothCard(cloth) {
-        const imageUrl = cloth.imagePreview || 'https://via.placeholder.com/300x300.png?text=No+Image';
-        
-        return `
-            <div class="cloth-card" data-id="${cloth.id}">
-                <img src="${imageUrl}" alt="${cloth.category}" class="cloth-image" onerror="this.src='https://via.placeholder.com/300x300.png?text=Image+Error'">
-                <div class="cloth-info">
-                    <div class="cloth-category">${cloth.category || 'Uncategorized'}</div>
-                    <div class="color-container">
-                        <span class="cloth-color" style="background-color: ${cloth.color || '#ccc'}"></span>
-                        <span>${cloth.color || 'No Color'}</span>
-                    </div>
-                    ${cloth.notes ? `<p class="cloth-notes">${cloth.notes}</p>` : ''}
-                    <div class="cloth-actions">
-                        <a href="add-cloth.html?edit=${cloth.id}" class="btn-icon btn-edit" aria-label="Edit item">
-                            <i class="fas fa-edit"></i> Edit
-                        </a>
-                        <button class="btn-icon btn-delete" data-id="${cloth.id}" aria-label="Delete item">
-                            <i class="fas fa-trash"></i> Delete
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `;
+    function resolveActiveProfileId() {
+        const registry = loadProfileRegistry();
+        let tabProfileId = null;
+        try {
+            tabProfileId = sessionStorage.getItem(ACTIVE_PROFILE_SESSION_KEY);
+        } catch (error) {
+            // sessionStorage can be unavailable (e.g. blocked storage); fall back to the device's choice
+        }
+        return registry.profiles.some(profile => profile.id === tabProfileId) ? tabProfileId : registry.activeId;
     }
 
-    // --- Page Initializers ---
+    function getProfileById(id) {
+        return getProfiles().find(profile => profile.id === id);
+    }
+
+    function getActiveProfile() {
+        return getProfileById(ACTIVE_PROFILE_ID);
+    }
+
+    function validateProfileName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new Error('Please enter a profile name.');
+        if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+            throw new Error(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+        }
+        const existing = getProfiles().find(profile => profile.name.toLowerCase() === trimmed.toLowerCase());
+        if (existing && existing.id !== exceptId) throw new Error(`There is already a profile called "${existing.name}".`);
+        return trimmed;
+    }
+
+    function createProfile(name) {
+        const registry = loadProfileRegistry();
+        const profile = {
+            id: `profile-${generateId()}`,
+            name: validateProfileName(name),
+            createdAt: new Date().toISOString()
+        };
+        registry.profiles.push(profile);
+        saveProfileRegistry(registry);
+        return profile;
+    }
+
+    function renameProfile(id, name) {
+        const registry = loadProfileRegistry();
+        const profile = registry.profiles.find(item => item.id === id);
+        if (!profile) throw new Error('That profile no longer exists.');
+        profile.name = validateProfileName(name, id);
+        saveProfileRegistry(registry);
+        return profile;
+    }
+
+    // Switching reloads the page so the store, history and sync all start over on the new keys
+    function switchProfile(id) {
+        const registry = loadProfileRegistry();
+        if (!registry.profiles.some(profile => profile.id === id)) throw new Error('That profile no longer exists.');
+        if (id === ACTIVE_PROFILE_ID) return;
+        try {
+            sessionStorage.setItem(ACTIVE_PROFILE_SESSION_KEY, id);
+        } catch (error) {
+            console.error('Error saving the active profile:', error);
+        }
+        saveProfileRegistry({ ...registry, activeId: id });
+        window.location.reload();
+    }
+
+    // Reads another profile's closet, upgraded to the current schema; null if it has none yet
+    async function readProfileData(profileId) {
+        const storedData = localStorage.getItem(getProfileKeys(profileId).data);
+        if (!storedData) return null;
+        try {
+            return await migrateData(JSON.parse(storedData));
+        } catch (error) {
+            console.error(`Stored data for profile ${profileId} could not be read:`, error);
+            const profile = getProfileById(profileId);
+            throw new Error(`The closet of "${profile ? profile.name : profileId}" could not be read.`);
+        }
+    }
 
     /**
-     * Initializes the Dashboard page (index.html)
+     * Removes a profile and its closet for good. Images are deleted too,
+     * except those another profile or the shared pool still uses.
+     * The active profile can't be deleted; switch away from it first.
      */
-    function initDashboardPage() {
-        const totalClothesEl = document.getElementById('totalClothes');
-        if (totalClothesEl) {
-            totalClothesEl.textContent = appData.clothes.length;
+    async function deleteProfile(id) {
+        if (id === ACTIVE_PROFILE_ID) throw new Error('Switch to another profile before deleting this one.');
+        const registry = loadProfileRegistry();
+        if (!registry.profiles.some(profile => profile.id === id)) return false;
+
+        let data = null;
+        try {
+            data = await readProfileData(id);
+        } catch (error) {
+            // Unreadable data has no images we can find; the profile can still go
         }
+        const keys = getProfileKeys(id);
+        saveProfileRegistry({ ...registry, profiles: registry.profiles.filter(profile => profile.id !== id) });
+        [keys.data, keys.meta, keys.sync].forEach(key => localStorage.removeItem(key));
 
-        const categoryStatsEl = document.getElementById('categoryStats');
-        if (categoryStatsEl) {
-            const categories = {};
-            appData.clothes.forEach(cloth => {
-                const category = cloth.category || 'Uncategorized';
-                categories[category] = (categories[category] || 0) + 1;
-            });
-            
-            let html = '';
-            for (const [category, count] of Object.entries(categories)) {
-                html += `
-                    <div class="stat-card" style="padding: 1rem;"> 
-                        <h4 style="font-weight: 500; color: var(--gray); margin-bottom: 0.5rem;">${category}</h4>
-                        <div class="stat-number" style="font-size: 2rem;">${count}</div>
-                    </div>`;
-            }
-            categoryStatsEl.style.display = 'grid';
-            categoryStatsEl.style.gridTemplateColumns = 'repeat(auto-fit, minmax(100px, 1fr))';
-            categoryStatsEl.style.gap = '1rem';
-            categoryStatsEl.innerHTML = html || '<p>No categories yet</p>';
+        if (data) {
+            const imageIds = [
+                ...data.clothes,
+                ...data.trash.filter(entry => entry.type === 'cloth').map(entry => entry.record)
+            ].map(cloth => cloth.imageId);
+            deleteUnreferencedImages(imageIds, { track: false })
+                .catch(error => console.error('Error deleting image:', error));
         }
+        return true;
+    }
 
-        const favoriteCombosEl = document.getElementById('favoriteCombos');
-        if (favoriteCombosEl) {
-            favoriteCombosEl.textContent = appData.combinations.length;
+    function getProfileItemCount(profileId) {
+        if (profileId === ACTIVE_PROFILE_ID) return store.data.clothes.length;
+        try {
+            const data = JSON.parse(localStorage.getItem(getProfileKeys(profileId).data));
+            return data && Array.isArray(data.clothes) ? data.clothes.length : 0;
+        } catch (error) {
+            return 0;
         }
+    }
 
-        const recentClothesEl = document.getElementById('recentClothes');
-        if (recentClothesEl) {
-            const recent = [...appData.clothes]
-                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-                .slice(0, 4); 
-                
-            recentClothesEl.innerHTML = recent.length > 0 
-                ? recent.map(createClothCard).join('')
-                : '<div class="empty-state" style="grid-column: 1 / -1;"><p>No clothes added yet. Add your first item!</p></div>';
+    function readSharedPool() {
+        try {
+            const pool = JSON.parse(localStorage.getItem(SHARED_POOL_KEY));
+            return pool && Array.isArray(pool.clothes) ? pool : { clothes: [] };
+        } catch (error) {
+            return { clothes: [] };
         }
     }
 
+    function snapshotSharedClothes(clothes) {
+        return new Map(clothes.filter(cloth => cloth.shared).map(cloth => [cloth.id, JSON.stringify(cloth)]));
+    }
+
     /**
-     * Initializes the View Clothes page (view-clothes.html)
+     * Brings this profile's copies of shared clothes in line with the pool:
+     * updated items are replaced, items another profile unshared or deleted
+     * are dropped (and taken out of outfits), and newly shared ones are
+     * added unless they sit in this profile's trash.
      */
-    function initViewClothesPage() {
-        const clothesContainer = document.getElementById('clothesContainer');
-        if (!clothesContainer) return; // Not on view-clothes page
+    function pullSharedClothes() {
+        if (store.readOnly) return false;
+        const pooled = new Map(readSharedPool().clothes.map(cloth => [cloth.id, cloth]));
+        const trashedIds = new Set(store.data.trash.filter(entry => entry.type === 'cloth').map(entry => entry.record.id));
+        const removedIds = new Set();
+        const clothes = [];
+        let changed = false;
 
-        const searchInput = document.getElementById('searchInput');
-        const categoryFilter = document.getElementById('categoryFilter');
-        const deleteModal = document.getElementById('deleteModal');
-        const confirmDeleteBtn = document.getElementById('confirmDelete');
-        const cancelDeleteBtn = document.getElementById('cancelDelete');
+        store.data.clothes.forEach(cloth => {
+            const latest = pooled.get(cloth.id);
+            pooled.delete(cloth.id);
+            if (!cloth.shared) {
+                clothes.push(cloth);
+            } else if (!latest) {
+                removedIds.add(cloth.id);
+                changed = true;
+            } else {
+                if (!sameValue(latest, cloth)) changed = true;
+                clothes.push(latest);
+            }
+        });
+        pooled.forEach(cloth => {
+            if (trashedIds.has(cloth.id)) return;
+            clothes.push(cloth);
+            changed = true;
+        });
 
-        if (!deleteModal) return; // Modal is essential
+        store.sharedBase = snapshotSharedClothes(clothes);
+        if (!changed) return false;
+        store.data.clothes = clothes;
+        if (removedIds.size > 0) {
+            store.data.combinations = store.data.combinations.map(combo => combo.items.some(id => removedIds.has(id))
+                ? { ...combo, items: combo.items.filter(id => !removedIds.has(id)) }
+                : combo);
+        }
+        // Other profiles already stamped these edits; re-stamping would bounce them back and forth
+        return saveData({ track: false });
+    }
 
-        let allClothes = [];
-        let filteredClothes = [];
-        let itemToDelete = null;
+    // Called after every save: writes shared clothes that changed here into the pool
+    function pushSharedClothes() {
+        // Nothing to compare against until the pool has been read once
+        if (!store.sharedBase) return;
+        const current = snapshotSharedClothes(store.data.clothes);
+        const changedIds = [...current.keys()].filter(id => current.get(id) !== store.sharedBase.get(id));
+        const removedIds = [...store.sharedBase.keys()].filter(id => !current.has(id));
+        if (changedIds.length === 0 && removedIds.length === 0) return;
 
-        function loadClothes() {
-            allClothes = getClothes();
-            filteredClothes = [...allClothes];
-            renderClothes(filteredClothes);
+        // Start from the stored pool so other profiles' changes to other items survive
+        const pooled = new Map(readSharedPool().clothes.map(cloth => [cloth.id, cloth]));
+        removedIds.forEach(id => pooled.delete(id));
+        changedIds.forEach(id => pooled.set(id, JSON.parse(current.get(id))));
+        try {
+            localStorage.setItem(SHARED_POOL_KEY, JSON.stringify({ clothes: [...pooled.values()] }));
+            store.sharedBase = current;
+        } catch (error) {
+            console.error('Error saving the shared pool:', error);
+            showToast('Shared items could not be updated for other profiles. Your browser storage may be full.', { type: 'warning' });
         }
+    }
 
-        function renderClothes(clothesToRender) {
-            if (clothesToRender.length === 0) {
-                clothesContainer.innerHTML = `
-                    <div class="empty-state">
-                        <h3>No clothes found</h3>
-                        <p>Try adjusting your search or add a new item to your wardrobe.</p>
-                        <a href="add-cloth.html" class="btn btn-primary">Add Your First Item</a>
-                    </div>
-                `;
-                return;
+    /**
+     * Copies or moves clothes into another profile's closet. Copies get new
+     * ids and their own copy of the photo; moved items keep theirs and are
+     * taken out of this closet's outfits. Either way they arrive unshared.
+     * Moving can't be undone here, since the other closet has changed too.
+     * Resolves the number of items transferred.
+     */
+    async function transferClothes(clothIds, profileId, { copy = false } = {}) {
+        const profile = getProfileById(profileId);
+        if (!profile || profileId === ACTIVE_PROFILE_ID) throw new Error('Please choose another profile.');
+        const clothes = clothIds.map(getClothById).filter(Boolean);
+        if (clothes.length === 0) return 0;
+
+        const keys = getProfileKeys(profileId);
+        const data = await readProfileData(profileId) || createEmptyData();
+        // A moved shared item takes the place of the copy the other profile already has
+        const takenIds = new Set([
+            ...data.clothes.filter(cloth => !cloth.shared).map(cloth => cloth.id),
+            ...data.trash.map(entry => entry.record.id)
+        ]);
+        const now = new Date().toISOString();
+        const added = [];
+
+        for (const cloth of clothes) {
+            const id = copy || takenIds.has(cloth.id) ? generateId() : cloth.id;
+            const record = { ...cloth, id, shared: false, updatedAt: now };
+            if (copy) {
+                record.createdAt = now;
+                const image = cloth.imageId ? await getImageRecord(cloth.imageId) : null;
+                if (image) {
+                    await saveImage(id, image.full, { track: false });
+                    record.imageId = id;
+                } else {
+                    delete record.imageId;
+                }
             }
-            clothesContainer.innerHTML = clothesToRender.map(createClothCard).join('');
+            takenIds.add(id);
+            added.push(record);
         }
+        const addedIds = new Set(added.map(record => record.id));
+        data.clothes = [...data.clothes.filter(cloth => !addedIds.has(cloth.id)), ...added];
 
-        function filterClothes() {
-            const searchTerm = searchInput ? searchInput.value.toLowerCase() : '';
-            const category = categoryFilter ? categoryFilter.value : '';
-
-            filteredClothes = allClothes.filter(cloth => {
-                const matchesSearch = !searchTerm || 
-                    (cloth.color && cloth.color.toLowerCase().includes(searchTerm)) || 
-                    (cloth.notes && cloth.notes.toLowerCase().includes(searchTerm)) ||
-                    (cloth.category && cloth.category.toLowerCase().includes(searchTerm));
-                
-                const matchesCategory = !category || cloth.category === category;
-                
-                return matchesSearch && matchesCategory;
-            });
-            renderClothes(filteredClothes);
+        try {
+            localStorage.setItem(keys.data, JSON.stringify(data));
+            localStorage.setItem(keys.meta, JSON.stringify({
+                revision: readStoredRevision(keys.meta) + 1,
+                tabId: store.tabId,
+                savedAt: now
+            }));
+        } catch (error) {
+            console.error('Error saving to another profile:', error);
+            throw new Error(`Could not save to "${profile.name}". Your browser storage may be full.`);
         }
-
-        function openDeleteModal(id) {
-            itemToDelete = id;
-            if (itemToDelete) {
-                // Update modal text for deleting a cloth
-                deleteModal.querySelector('h3').textContent = 'Delete Item';
-                deleteModal.querySelector('p').textContent = 'Are you sure you want to delete this item? This action cannot be undone.';
-                deleteModal.style.display = 'flex';
-                document.body.style.overflow = 'hidden';
-            }
+        // Tabs that have the other profile open pick the change up like any other tab's save
+        if (typeof BroadcastChannel === 'function') {
+            const channel = new BroadcastChannel(keys.channel);
+            channel.postMessage({ type: 'saved', tabId: store.tabId });
+            channel.close();
+        }
+        if (loadSyncSettings(keys.sync).backend !== 'local') {
+            updateSyncSettings(settings => {
+                added.forEach(record => {
+                    settings.pending.clothes[record.id] = null;
+                    if (record.imageId) settings.pending.images[record.imageId] = null;
+                });
+            }, keys.sync);
         }
 
-        function closeDeleteModal() {
-            deleteModal.style.display = 'none';
-            document.body.style.overflow = '';
-            itemToDelete = null;
+        if (!copy) {
+            const movedIds = new Set(clothes.map(cloth => cloth.id));
+            store.data.clothes = store.data.clothes.filter(cloth => !movedIds.has(cloth.id));
+            store.data.combinations = store.data.combinations.map(combo => combo.items.some(id => movedIds.has(id))
+                ? { ...combo, items: combo.items.filter(id => !movedIds.has(id)) }
+                : combo);
+            saveData();
+            clearHistory();
         }
+        return added.length;
+    }
 
-        function deleteItem() {
-            if (itemToDelete) {
-                if (deleteCloth(itemToDelete)) {
-                    allClothes = getClothes();
-                    filterClothes();
-                }
-                closeDeleteModal();
-            }
+    // --- Image Storage (IndexedDB) ---
+
+    const IMAGE_DB_NAME = 'smartClosetImages';
+    const IMAGE_STORE = 'images';
+    const THUMBNAIL_SIZE = 320;
+    // Placeholders are drawn locally so cards still render offline
+    const NO_IMAGE_URL = placeholderImage('No Image');
+    const ERROR_IMAGE_URL = placeholderImage('Image Error');
+    const SMALL_NO_IMAGE_URL = placeholderImage();
+    const LOADING_IMAGE_URL = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+    // A grey tile with a hanger; small thumbnails skip the label, which would be unreadable
+    function placeholderImage(label = '') {
+        const text = label
+            ? `<text x="150" y="230" text-anchor="middle" font-family="sans-serif" font-size="22" fill="#6b7280">${label}</text>`
+            : '';
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 300"><rect width="300" height="300" fill="#e5e7eb"/><path d="M135 95a15 15 0 1 1 15 15v10l-60 55h120l-60-55" fill="none" stroke="#9ca3af" stroke-width="8" stroke-linecap="round" stroke-linejoin="round"/>${text}</svg>`;
+        return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    }
+
+    let imageDbPromise = null;
+    const imageUrlCache = new Map(); // "<id>:<variant>" -> object URL
+
+    function openImageDB() {
+        if (!imageDbPromise) {
+            imageDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(IMAGE_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(IMAGE_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
+        return imageDbPromise;
+    }
 
-        clothesContainer.addEventListener('click', (e) => {
-            const deleteBtn = e.target.closest('.btn-delete');
-            if (deleteBtn) {
-                e.preventDefault();
-                openDeleteModal(deleteBtn.getAttribute('data-id'));
-            }
+    // Runs a single request against the image store and resolves once its transaction commits.
+    function imageStoreRequest(mode, action) {
+        return openImageDB().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(IMAGE_STORE, mode);
+            const request = action(tx.objectStore(IMAGE_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    function loadImageElement(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not decode image'));
+            };
+            img.src = url;
         });
+    }
 
-        if (searchInput) searchInput.addEventListener('input', filterClothes);
-        if (categoryFilter) categoryFilter.addEventListener('change', filterClothes);
-        if (confirmDeleteBtn) confirmDeleteBtn.addEventListener('click', deleteItem);
-        if (cancelDeleteBtn) cancelDeleteBtn.addEventListener('click', closeDeleteModal);
+    async function createThumbnail(blob, maxSize = THUMBNAIL_SIZE) {
+        const img = await loadImageElement(blob);
+        const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
 
-        deleteModal.addEventListener('click', (e) => {
-            if (e.target === deleteModal) {
-                closeDeleteModal();
+        return new Promise(resolve => {
+            // toBlob yields null if the canvas can't be encoded; fall back to the original
+            canvas.toBlob(thumb => resolve(thumb || blob), 'image/jpeg', 0.8);
+        });
+    }
+
+    function dataURLToBlob(dataUrl) {
+        const [header, payload] = dataUrl.split(',');
+        const mimeType = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+        const binary = header.includes(';base64') ? atob(payload) : decodeURIComponent(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    function forgetImageURLs(id) {
+        ['thumb', 'full'].forEach(variant => {
+            const key = `${id}:${variant}`;
+            if (imageUrlCache.has(key)) {
+                URL.revokeObjectURL(imageUrlCache.get(key));
+                imageUrlCache.delete(key);
             }
         });
+    }
 
-        loadClothes();
+    async function saveImage(id, blob, { track = true, updatedAt = new Date().toISOString() } = {}) {
+        const thumb = await createThumbnail(blob);
+        await imageStoreRequest('readwrite', store => store.put({
+            id,
+            full: blob,
+            thumb,
+            updatedAt
+        }));
+        forgetImageURLs(id);
+        if (track) markForSync('images', id, null);
     }
 
-    /**
-     * Initializes the Add/Edit Cloth page (add-cloth.html)
-     */
-    function initAddClothPage() {
-        const addClothForm = document.getElementById('addClothForm');
-        if (!addClothForm) return; // Not on this page
+    function getImageRecord(id) {
+        return imageStoreRequest('readonly', store => store.get(id));
+    }
 
-        const pageTitle = document.getElementById('pageTitle');
-        const submitBtn = document.getElementById('submitBtn');
-        const categoryField = document.getElementById('cloth-category');
-        const colorField = document.getElementById('cloth-color');
-        const notesField = document.getElementById('cloth-notes');
-        const clothImageInput = document.getElementById('cloth-image');
-        const imagePreviewEl = document.getElementById('image-preview');
+    async function getImageBlob(id, variant = 'thumb') {
+        const record = await getImageRecord(id);
+        return record ? record[variant] || null : null;
+    }
 
-        const urlParams = new URLSearchParams(window.location.search);
-        const editId = urlParams.get('edit');
-        let isEditMode = false;
-        let clothToEdit = null;
+    async function getImageURL(id, variant = 'thumb') {
+        const key = `${id}:${variant}`;
+        if (!imageUrlCache.has(key)) {
+            const blob = await getImageBlob(id, variant);
+            if (!blob) return null;
+            imageUrlCache.set(key, URL.createObjectURL(blob));
+        }
+        return imageUrlCache.get(key);
+    }
 
-        if (clothImageInput && imagePreviewEl) {
-            clothImageInput.addEventListener('change', function() {
-                if (this.files && this.files[0]) {
+    async function deleteImage(id, { track = true } = {}) {
+        await imageStoreRequest('readwrite', store => store.delete(id));
+        forgetImageURLs(id);
+        if (track) markForSync('images', id, new Date().toISOString());
+    }
+
+    /**
+     * Builds the src (and data-image-id) attributes for a cloth's <img>.
+     * Stored images are filled in afterwards by hydrateImages().
+     */
+    function imageAttrs(cloth, fallbackUrl = NO_IMAGE_URL) {
+        if (cloth.imageId) {
+            return html`src="${LOADING_IMAGE_URL}" data-image-id="${cloth.imageId}"`;
+        }
+        return html`src="${cloth.imagePreview || fallbackUrl}"`;
+    }
+
+    /**
+     * Loads IndexedDB images for every <img data-image-id> inside `root`.
+     * Uses the thumbnail unless the element sets data-image-variant="full".
+     */
+    function hydrateImages(root) {
+        if (!root) return;
+        root.querySelectorAll('img[data-image-id]').forEach(img => {
+            const variant = img.dataset.imageVariant || 'thumb';
+            getImageURL(img.dataset.imageId, variant)
+                .then(url => {
+                    img.src = url || NO_IMAGE_URL;
+                })
+                .catch(error => {
+                    console.error('Error loading image:', error);
+                    img.src = NO_IMAGE_URL;
+                });
+        });
+    }
+
+    /**
+     * Moves legacy base64 `imagePreview` data URLs out of the given
+     * clothes and into IndexedDB. Items that fail keep their inline image,
+     * and loadData tries them again next time. Returns how many moved.
+     */
+    async function migrateInlineImages(clothes) {
+        let moved = 0;
+        for (const cloth of clothes.filter(item => 'imagePreview' in item)) {
+            try {
+                if (cloth.imagePreview) {
+                    await saveImage(cloth.id, dataURLToBlob(cloth.imagePreview));
+                    cloth.imageId = cloth.id;
+                }
+                delete cloth.imagePreview;
+                moved++;
+            } catch (error) {
+                console.error(`Could not migrate image for item ${cloth.id}:`, error);
+            }
+        }
+        return moved;
+    }
+
+    // --- Schema Migrations ---
+
+    /*
+        Each step upgrades data written at `version - 1` to `version`.
+        Steps run in order and may be async. To change the data model,
+        append a step and bump SCHEMA_VERSION; never edit a shipped step.
+    */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Ensure collections exist and records have ids',
+            migrate(data) {
+                const clothes = Array.isArray(data.clothes) ? data.clothes : [];
+                const combinations = Array.isArray(data.combinations) ? data.combinations : [];
+                return {
+                    ...data,
+                    clothes: clothes
+                        .filter(cloth => cloth && typeof cloth === 'object' && cloth.id != null)
+                        .map(cloth => ({
+                            ...cloth,
+                            id: String(cloth.id),
+                            category: cloth.category || '',
+                            color: cloth.color || '',
+                            notes: cloth.notes || '',
+                            createdAt: cloth.createdAt || new Date().toISOString()
+                        })),
+                    combinations: combinations
+                        .filter(combo => combo && typeof combo === 'object' && combo.id != null)
+                        .map(combo => ({
+                            ...combo,
+                            id: String(combo.id),
+                            tags: Array.isArray(combo.tags) ? combo.tags : [],
+                            items: Array.isArray(combo.items) ? combo.items.map(String) : [],
+                            createdAt: combo.createdAt || new Date().toISOString()
+                        }))
+                };
+            }
+        },
+        {
+            version: 2,
+            description: 'Replace inline imagePreview data URLs with IndexedDB image references',
+            async migrate(data) {
+                await migrateInlineImages(data.clothes);
+                return data;
+            }
+        },
+        {
+            version: 3,
+            description: 'Add brand, size, material, seasons, occasion, price, purchase date and tags to clothes',
+            migrate(data) {
+                data.clothes = data.clothes.map(cloth => ({
+                    brand: '',
+                    size: '',
+                    material: '',
+                    seasons: [],
+                    occasion: '',
+                    price: null,
+                    currency: '',
+                    purchaseDate: '',
+                    tags: [],
+                    ...cloth
+                }));
+                return data;
+            }
+        },
+        {
+            version: 4,
+            description: 'Add saved views for the My Clothes filters',
+            migrate(data) {
+                data.savedViews = Array.isArray(data.savedViews) ? data.savedViews : [];
+                return data;
+            }
+        },
+        {
+            version: 5,
+            description: 'Add a secondary color list to clothes',
+            migrate(data) {
+                data.clothes = data.clothes.map(cloth => ({
+                    ...cloth,
+                    secondaryColors: Array.isArray(cloth.secondaryColors) ? cloth.secondaryColors : []
+                }));
+                return data;
+            }
+        },
+        {
+            version: 6,
+            description: 'Remember rejected outfit suggestions',
+            migrate(data) {
+                data.rejectedOutfits = Array.isArray(data.rejectedOutfits) ? data.rejectedOutfits : [];
+                return data;
+            }
+        },
+        {
+            version: 7,
+            description: 'Add the wear log plus wear counts and laundry state to clothes',
+            migrate(data) {
+                data.wearLog = Array.isArray(data.wearLog) ? data.wearLog : [];
+                data.clothes = data.clothes.map(cloth => ({
+                    wearCount: 0,
+                    lastWornAt: '',
+                    wearsSinceWash: 0,
+                    laundryState: 'clean',
+                    wearsBeforeWash: null,
+                    ...cloth
+                }));
+                return data;
+            }
+        },
+        {
+            version: 8,
+            description: 'Add planned outfits for the calendar',
+            migrate(data) {
+                data.plans = Array.isArray(data.plans) ? data.plans : [];
+                return data;
+            }
+        },
+        {
+            version: 9,
+            description: 'Add a favorite flag to combinations',
+            migrate(data) {
+                data.combinations = data.combinations.map(combo => ({
+                    ...combo,
+                    favorite: combo.favorite === true
+                }));
+                return data;
+            }
+        },
+        {
+            version: 10,
+            description: 'Add the trash for deleted clothes and combinations',
+            migrate(data) {
+                data.trash = Array.isArray(data.trash) ? data.trash : [];
+                return data;
+            }
+        },
+        {
+            version: 11,
+            description: 'Stamp clothes and combinations with updatedAt for server sync',
+            migrate(data) {
+                const stamp = record => ({ ...record, updatedAt: record.updatedAt || record.createdAt });
+                data.clothes = data.clothes.map(stamp);
+                data.combinations = data.combinations.map(stamp);
+                return data;
+            }
+        },
+        {
+            version: 12,
+            description: 'Add packing lists for trips',
+            migrate(data) {
+                data.trips = Array.isArray(data.trips) ? data.trips : [];
+                return data;
+            }
+        },
+        {
+            version: 13,
+            description: 'Add the category tree, including any categories clothes already use',
+            migrate(data) {
+                if (Array.isArray(data.categories)) return data;
+                const categories = createDefaultCategories();
+                const known = new Set(categories.map(category => category.name.toLowerCase()));
+                const ids = new Set(categories.map(category => category.id));
+                data.clothes.forEach(cloth => {
+                    if (!cloth.category || known.has(cloth.category.toLowerCase())) return;
+                    known.add(cloth.category.toLowerCase());
+                    let id = categoryIdFor(cloth.category);
+                    for (let suffix = 2; ids.has(id); suffix++) id = `${categoryIdFor(cloth.category)}-${suffix}`;
+                    ids.add(id);
+                    categories.push({ id, name: cloth.category, parentId: null, slot: null });
+                });
+                data.categories = categories;
+                return data;
+            }
+        },
+        {
+            version: 14,
+            description: 'Add the shared flag for clothes every profile can use',
+            migrate(data) {
+                data.clothes = data.clothes.map(cloth => ({ ...cloth, shared: cloth.shared === true }));
+                return data;
+            }
+        },
+        {
+            version: 15,
+            description: 'Add a warmth rating to clothes for weather suggestions',
+            migrate(data) {
+                data.clothes = data.clothes.map(cloth => ({ warmth: null, ...cloth }));
+                return data;
+            }
+        }
+    ];
+
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    function getSchemaVersion(data) {
+        // Data saved before versioning was introduced counts as version 0
+        return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    }
+
+    function validateData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Data is not an object');
+        }
+        if (!Array.isArray(data.clothes) || !Array.isArray(data.combinations)) {
+            throw new Error('Data is missing the clothes or combinations list');
+        }
+        if (data.clothes.some(cloth => !cloth || typeof cloth.id !== 'string')) {
+            throw new Error('Data contains a clothing item without an id');
+        }
+        if (data.combinations.some(combo => !combo || typeof combo.id !== 'string' || !Array.isArray(combo.items))) {
+            throw new Error('Data contains an invalid combination');
+        }
+    }
+
+    /**
+     * Runs every migration newer than the data's schemaVersion and
+     * validates the result. Throws if the data can't be upgraded.
+     */
+    async function migrateData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Data is not an object');
+        }
+
+        const fromVersion = getSchemaVersion(data);
+        if (fromVersion > SCHEMA_VERSION) {
+            console.warn(`Data was saved by a newer version (schema ${fromVersion}); loading it as-is.`);
+            validateData(data);
+            return data;
+        }
+
+        let migrated = data;
+        for (const step of MIGRATIONS) {
+            if (step.version > fromVersion) {
+                migrated = await step.migrate(migrated);
+                migrated.schemaVersion = step.version;
+            }
+        }
+        validateData(migrated);
+        return migrated;
+    }
+
+    // Ids are Date.now() strings, bumped so two made in the same millisecond don't collide
+    let lastGeneratedId = 0;
+
+    function generateId() {
+        lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+        return lastGeneratedId.toString();
+    }
+
+    // --- Item Attributes ---
+
+    const SEASONS = [
+        { value: 'spring', label: 'Spring' },
+        { value: 'summer', label: 'Summer' },
+        { value: 'autumn', label: 'Autumn' },
+        { value: 'winter', label: 'Winter' }
+    ];
+
+    const OCCASIONS = [
+        { value: 'casual', label: 'Casual' },
+        { value: 'smart-casual', label: 'Smart Casual' },
+        { value: 'business', label: 'Business' },
+        { value: 'formal', label: 'Formal' },
+        { value: 'sport', label: 'Sport' },
+        { value: 'lounge', label: 'Lounge' }
+    ];
+
+    const CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD'];
+
+    function getLabel(options, value) {
+        const option = options.find(item => item.value === value);
+        return option ? option.label : value;
+    }
+
+    // Splits "a, b ,c" (or "a; b" in CSV cells) into trimmed, non-empty, de-duplicated tags
+    function parseTags(text, separator = ',') {
+        const tags = (text || '')
+            .split(separator)
+            .map(tag => tag.trim())
+            .filter(tag => tag.length > 0);
+        return [...new Set(tags)];
+    }
+
+    function formatPrice(price, currency) {
+        if (price == null || price === '') return '';
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' }).format(price);
+        } catch (error) {
+            return `${price} ${currency || ''}`.trim();
+        }
+    }
+
+    // --- Categories ---
+
+    /*
+        Categories form a tree (Tops > T-Shirt). Clothes store the category
+        name, so renames and merges rewrite it on every affected item. A
+        category's slot decides where it goes in an outfit; categories
+        without one inherit their parent's.
+    */
+    const SLOT_TYPES = [
+        { value: 'top', label: 'Top' },
+        { value: 'bottom', label: 'Bottom' },
+        { value: 'full-body', label: 'Full body' },
+        { value: 'outerwear', label: 'Outerwear' },
+        { value: 'accessory', label: 'Accessory' }
+    ];
+
+    const DEFAULT_CATEGORIES = [
+        { name: 'Tops', slot: 'top', children: ['T-Shirt', 'Shirt', 'Sweater'] },
+        { name: 'Bottoms', slot: 'bottom', children: ['Jeans', 'Pants', 'Skirt', 'Shorts'] },
+        { name: 'Dresses', slot: 'full-body', children: ['Dress'] },
+        { name: 'Outerwear', slot: 'outerwear', children: ['Jacket'] },
+        { name: 'Footwear', slot: 'accessory', children: ['Sneakers'] },
+        { name: 'Accessories', slot: 'accessory', children: ['Bags'] },
+        { name: 'Other', slot: null, children: [] }
+    ];
+
+    const MAX_CATEGORY_NAME_LENGTH = 40;
+
+    // Built-in categories get fixed ids, so tabs and devices that upgrade separately agree
+    function categoryIdFor(name) {
+        return 'cat-' + name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function createDefaultCategories() {
+        return DEFAULT_CATEGORIES.flatMap(({ name, slot, children }) => [
+            { id: categoryIdFor(name), name, parentId: null, slot },
+            ...children.map(child => ({ id: categoryIdFor(child), name: child, parentId: categoryIdFor(name), slot: null }))
+        ]);
+    }
+
+    function getCategories() {
+        return store.data.categories;
+    }
+
+    function getCategoryById(id) {
+        return store.data.categories.find(category => category.id === id) || null;
+    }
+
+    function getCategoryByName(name) {
+        const key = (name || '').trim().toLowerCase();
+        return store.data.categories.find(category => category.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Every category in display order (parents before their children),
+     * as [{ category, depth }].
+     */
+    function getCategoryTree() {
+        const ids = new Set(store.data.categories.map(category => category.id));
+        const list = [];
+        const visit = (parentId, depth) => {
+            store.data.categories
+                .filter(category => parentId === null
+                    ? category.parentId === null || !ids.has(category.parentId)
+                    : category.parentId === parentId)
+                .forEach(category => {
+                    list.push({ category, depth });
+                    visit(category.id, depth + 1);
+                });
+        };
+        visit(null, 0);
+        return list;
+    }
+
+    // The category and its ancestors, nearest first
+    function getCategoryLineage(category) {
+        const lineage = [];
+        for (let current = category; current && !lineage.includes(current); current = getCategoryById(current.parentId)) {
+            lineage.push(current);
+        }
+        return lineage;
+    }
+
+    function getDescendantIds(id) {
+        const children = store.data.categories.filter(category => category.parentId === id);
+        return children.flatMap(child => [child.id, ...getDescendantIds(child.id)]);
+    }
+
+    // Names a filter for `name` should match: the category itself plus its ancestors
+    function getCategoryPath(name) {
+        const category = getCategoryByName(name);
+        return category ? getCategoryLineage(category).map(item => item.name) : [name];
+    }
+
+    function getCategorySlot(name) {
+        const category = getCategoryByName(name);
+        if (!category) return null;
+        const withSlot = getCategoryLineage(category).find(item => item.slot);
+        return withSlot ? withSlot.slot : null;
+    }
+
+    // The top-level category a cloth is grouped under on the dashboard
+    function getRootCategory(name) {
+        const category = getCategoryByName(name);
+        if (!category) return null;
+        const lineage = getCategoryLineage(category);
+        return lineage[lineage.length - 1];
+    }
+
+    // Clothes filed under a category or any of its subcategories
+    function getClothesInCategory(id, { includeSubcategories = true } = {}) {
+        const ids = new Set([id, ...(includeSubcategories ? getDescendantIds(id) : [])]);
+        const names = new Set(store.data.categories.filter(category => ids.has(category.id)).map(category => category.name));
+        return store.data.clothes.filter(cloth => names.has(cloth.category));
+    }
+
+    function validateCategoryName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new Error('Please enter a category name.');
+        if (trimmed.length > MAX_CATEGORY_NAME_LENGTH) {
+            throw new Error(`Category names can be at most ${MAX_CATEGORY_NAME_LENGTH} characters.`);
+        }
+        const existing = getCategoryByName(trimmed);
+        if (existing && existing.id !== exceptId) throw new Error(`There is already a category called "${existing.name}".`);
+        return trimmed;
+    }
+
+    function validateCategoryParent(parentId, id = null) {
+        if (!parentId) return null;
+        if (!getCategoryById(parentId)) throw new Error('The parent category no longer exists.');
+        if (id && (parentId === id || getDescendantIds(id).includes(parentId))) {
+            throw new Error('A category cannot be moved inside itself.');
+        }
+        return parentId;
+    }
+
+    function validateSlot(slot) {
+        return SLOT_TYPES.some(type => type.value === slot) ? slot : null;
+    }
+
+    /**
+     * Points every item filed under `fromName` at `toName` ('' for
+     * uncategorized), including trashed ones so restoring them doesn't bring
+     * the old name back, and updates saved views that filter on it.
+     */
+    function renameClothesCategory(fromName, toName) {
+        const rename = cloth => cloth.category === fromName ? { ...cloth, category: toName } : cloth;
+        store.data.clothes = store.data.clothes.map(rename);
+        store.data.trash = store.data.trash.map(entry =>
+            entry.type === 'cloth' && entry.record.category === fromName ? { ...entry, record: rename(entry.record) } : entry);
+        store.data.savedViews = store.data.savedViews.map(view => {
+            const filter = filterFromQuery(view.query);
+            if (!filter.categories.includes(fromName)) return view;
+            filter.categories = [...new Set(filter.categories.map(name => name === fromName ? toName : name).filter(Boolean))];
+            return { ...view, query: filterToQuery(filter) };
+        });
+    }
+
+    /**
+     * Creates a category from { name, parentId, slot }. Throws an Error
+     * with a user-facing message when the name is taken or invalid.
+     */
+    function addCategory({ name, parentId = null, slot = null }) {
+        const category = {
+            id: generateId(),
+            name: validateCategoryName(name),
+            parentId: validateCategoryParent(parentId),
+            slot: validateSlot(slot)
+        };
+        return recordChange('Add category', () => {
+            store.data.categories.push(category);
+            saveData();
+            return category;
+        });
+    }
+
+    // Renaming also renames the category on every item that uses it
+    function updateCategory(id, { name, parentId, slot }) {
+        const category = getCategoryById(id);
+        if (!category) return false;
+        const updated = {
+            ...category,
+            name: name === undefined ? category.name : validateCategoryName(name, id),
+            parentId: parentId === undefined ? category.parentId : validateCategoryParent(parentId, id),
+            slot: slot === undefined ? category.slot : validateSlot(slot)
+        };
+        return recordChange('Edit category', () => {
+            const index = store.data.categories.findIndex(item => item.id === id);
+            store.data.categories[index] = updated;
+            if (updated.name !== category.name) renameClothesCategory(category.name, updated.name);
+            saveData();
+            return true;
+        });
+    }
+
+    /**
+     * Folds one category into another: its items and subcategories move to
+     * the target and the source is removed.
+     */
+    function mergeCategory(sourceId, targetId) {
+        const source = getCategoryById(sourceId);
+        const target = getCategoryById(targetId);
+        if (!source || !target || source.id === target.id) return false;
+        if (getDescendantIds(source.id).includes(target.id)) {
+            throw new Error('A category cannot be merged into one of its own subcategories.');
+        }
+        return recordChange('Merge categories', () => {
+            renameClothesCategory(source.name, target.name);
+            store.data.categories = store.data.categories
+                .filter(category => category.id !== source.id)
+                .map(category => category.parentId === source.id ? { ...category, parentId: target.id } : category);
+            saveData();
+            return true;
+        });
+    }
+
+    /**
+     * Removes a category. Its items and subcategories move up to its parent;
+     * items of a top-level category become uncategorized. Subcategories keep
+     * the slot they had, even if it came from the deleted category.
+     */
+    function deleteCategory(id) {
+        const category = getCategoryById(id);
+        if (!category) return false;
+        const parent = getCategoryById(category.parentId);
+        const slot = getCategorySlot(category.name);
+        return recordChange('Delete category', () => {
+            renameClothesCategory(category.name, parent ? parent.name : '');
+            store.data.categories = store.data.categories
+                .filter(item => item.id !== id)
+                .map(item => item.parentId === id
+                    ? { ...item, parentId: parent ? parent.id : null, slot: item.slot || slot }
+                    : item);
+            saveData();
+            return true;
+        });
+    }
+
+    /**
+     * Adds imported categories whose names are new, under the category that
+     * has their parent's name. Existing categories are left as they are.
+     * Doesn't save.
+     */
+    function mergeCategories(imported) {
+        const byId = new Map(imported.map(category => [category.id, category]));
+        const depth = (category) => {
+            let levels = 0;
+            for (let parent = byId.get(category.parentId); parent && levels < imported.length; parent = byId.get(parent.parentId)) levels++;
+            return levels;
+        };
+        [...imported].sort((a, b) => depth(a) - depth(b)).forEach(category => {
+            if (!category.name || getCategoryByName(category.name)) return;
+            const importedParent = byId.get(category.parentId);
+            const parent = importedParent ? getCategoryByName(importedParent.name) : null;
+            store.data.categories.push({
+                id: getCategoryById(category.id) ? generateId() : category.id,
+                name: category.name,
+                parentId: parent ? parent.id : null,
+                slot: validateSlot(category.slot)
+            });
+        });
+    }
+
+    /**
+     * Adds top-level categories for names that clothes use but the tree
+     * lacks (e.g. after an import or a sync). Doesn't save.
+     * Returns the names added.
+     */
+    function addMissingCategories() {
+        const missing = [...new Set(store.data.clothes.map(cloth => cloth.category).filter(Boolean))]
+            .filter(name => !getCategoryByName(name));
+        missing.forEach(name => {
+            store.data.categories.push({ id: generateId(), name, parentId: null, slot: null });
+        });
+        return missing;
+    }
+
+    // --- Undo / Redo History ---
+
+    const HISTORY_KEY = PROFILE_KEYS.history;
+    const HISTORY_LIMIT = 50;
+
+    // Collections whose record-level changes can be undone
+    const TRACKED_COLLECTIONS = ['clothes', 'combinations', 'plans', 'wearLog', 'trash', 'categories', 'savedViews'];
+
+    // Kept in sessionStorage so undo survives moving between pages in this tab
+    let undoStack = [];
+    let redoStack = [];
+    let historyDepth = 0;
+
+    function loadHistory() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+            if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) {
+                undoStack = stored.undo;
+                redoStack = stored.redo;
+            }
+        } catch (error) {
+            console.error('Error loading undo history:', error);
+        }
+    }
+
+    function saveHistory() {
+        try {
+            sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+        } catch (error) {
+            // Undo is a convenience; drop the oldest half rather than fail the edit
+            undoStack = undoStack.slice(Math.floor(undoStack.length / 2));
+            console.error('Error saving undo history:', error);
+        }
+    }
+
+    // Call after changes that can't be replayed (imports, permanent deletes)
+    function clearHistory() {
+        undoStack = [];
+        redoStack = [];
+        saveHistory();
+    }
+
+    function snapshotCollections() {
+        const snapshot = {};
+        TRACKED_COLLECTIONS.forEach(collection => {
+            snapshot[collection] = new Map();
+            (store.data[collection] || []).forEach((record, index) => {
+                snapshot[collection].set(record.id, { json: JSON.stringify(record), index });
+            });
+        });
+        return snapshot;
+    }
+
+    /**
+     * Compares two snapshots record by record. Added and removed records are
+     * kept whole (with their position); edited records keep only the fields
+     * that changed, so undoing one edit doesn't revert later ones.
+     */
+    function diffSnapshots(before, after) {
+        const changes = [];
+        TRACKED_COLLECTIONS.forEach(collection => {
+            before[collection].forEach((entry, id) => {
+                const next = after[collection].get(id);
+                if (!next) {
+                    changes.push({ collection, id, removed: JSON.parse(entry.json), index: entry.index });
+                } else if (next.json !== entry.json) {
+                    const previous = JSON.parse(entry.json);
+                    const current = JSON.parse(next.json);
+                    const fields = {};
+                    new Set([...Object.keys(previous), ...Object.keys(current)]).forEach(key => {
+                        if (JSON.stringify(previous[key]) !== JSON.stringify(current[key])) {
+                            fields[key] = { before: previous[key], after: current[key] };
+                        }
+                    });
+                    changes.push({ collection, id, fields });
+                }
+            });
+            after[collection].forEach((entry, id) => {
+                if (!before[collection].has(id)) {
+                    changes.push({ collection, id, added: JSON.parse(entry.json), index: entry.index });
+                }
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * Runs a data mutation as one undoable step. Nested calls fold into the
+     * outermost one, so a CSV import or a delete that touches combinations
+     * is undone in one go. Returns whatever mutate returns.
+     */
+    function recordChange(label, mutate) {
+        if (historyDepth > 0) return mutate();
+
+        const before = snapshotCollections();
+        historyDepth++;
+        let result;
+        try {
+            result = mutate();
+        } finally {
+            historyDepth--;
+        }
+
+        const changes = diffSnapshots(before, snapshotCollections());
+        if (changes.length > 0) {
+            undoStack.push({ label, changes, at: new Date().toISOString() });
+            undoStack = undoStack.slice(-HISTORY_LIMIT);
+            redoStack = [];
+            saveHistory();
+        }
+        return result;
+    }
+
+    function applyChanges(changes, direction) {
+        const undoing = direction === 'undo';
+        const inserts = [];
+
+        changes.forEach(change => {
+            const collection = store.data[change.collection];
+            const index = collection.findIndex(record => record.id === change.id);
+            const toInsert = undoing ? change.removed : change.added;
+            const toRemove = undoing ? change.added : change.removed;
+
+            if (toRemove && index !== -1) {
+                collection.splice(index, 1);
+            } else if (toInsert && index === -1) {
+                inserts.push({ collection, record: toInsert, index: change.index });
+            } else if (change.fields && index !== -1) {
+                const record = { ...collection[index] };
+                Object.entries(change.fields).forEach(([key, values]) => {
+                    const value = undoing ? values.before : values.after;
+                    if (value === undefined) {
+                        delete record[key];
+                    } else {
+                        record[key] = value;
+                    }
+                });
+                collection[index] = record;
+            }
+        });
+
+        // Re-insert from the lowest position up so earlier inserts don't shift later ones
+        inserts
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ collection, record, index }) => {
+                collection.splice(Math.min(index, collection.length), 0, record);
+            });
+        saveData();
+    }
+
+    function undo() {
+        const step = undoStack.pop();
+        if (!step) {
+            showToast('Nothing to undo.');
+            return false;
+        }
+        applyChanges(step.changes, 'undo');
+        redoStack.push(step);
+        saveHistory();
+        showToast(`Undid "${step.label}".`, { action: { label: 'Redo', onClick: redo } });
+        return true;
+    }
+
+    function redo() {
+        const step = redoStack.pop();
+        if (!step) {
+            showToast('Nothing to redo.');
+            return false;
+        }
+        applyChanges(step.changes, 'redo');
+        undoStack.push(step);
+        saveHistory();
+        showToast(`Redid "${step.label}".`, { action: { label: 'Undo', onClick: undo } });
+        return true;
+    }
+
+    // --- Cloth Management ---
+
+    function addCloth(cloth) {
+        return recordChange('Add item', () => {
+            const newCloth = {
+                id: generateId(),
+                ...cloth,
+                createdAt: new Date().toISOString()
+            };
+            store.data.clothes.push(newCloth);
+            saveData();
+            return newCloth;
+        });
+    }
+
+    function getClothes() {
+        return store.data.clothes;
+    }
+
+    function getClothById(id) {
+        return store.data.clothes.find(cloth => cloth.id === id);
+    }
+
+    function updateCloth(id, updates) {
+        return recordChange('Edit item', () => {
+            const index = store.data.clothes.findIndex(cloth => cloth.id === id);
+            if (index !== -1) {
+                store.data.clothes[index] = { ...store.data.clothes[index], ...updates };
+                saveData();
+                return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Moves an item to the trash and removes it from every combination that
+     * uses it. Combinations left with no items are trashed too when
+     * deleteEmptyCombinations is set, and kept (empty) otherwise.
+     */
+    function deleteCloth(id, { deleteEmptyCombinations = false } = {}) {
+        return recordChange('Delete item', () => {
+            const index = store.data.clothes.findIndex(cloth => cloth.id === id);
+            if (index === -1) return false;
+
+            const [removed] = store.data.clothes.splice(index, 1);
+            const affected = getCombinationsUsingCloth(id);
+            moveToTrash('cloth', removed, { combinationIds: affected.map(combo => combo.id) });
+
+            affected.forEach(combo => {
+                const items = combo.items.filter(itemId => itemId !== id);
+                if (items.length === 0 && deleteEmptyCombinations) {
+                    removeCombinationRecord(combo.id);
+                } else {
+                    store.data.combinations[store.data.combinations.indexOf(combo)] = { ...combo, items };
+                }
+            });
+            saveData();
+            return true;
+        });
+    }
+
+    // Deletes several items as one undoable step. Returns how many were deleted.
+    function deleteClothes(ids, options) {
+        return recordChange(ids.length === 1 ? 'Delete item' : 'Delete items', () =>
+            ids.filter(id => deleteCloth(id, options)).length);
+    }
+
+    /**
+     * Applies the same kind of edit to several items as one undoable step.
+     * `getUpdates` receives each item and returns the fields to change, or
+     * null to leave it alone. Returns how many items changed.
+     */
+    function updateClothes(ids, label, getUpdates) {
+        return recordChange(label, () => ids.filter(id => {
+            const cloth = getClothById(id);
+            const updates = cloth ? getUpdates(cloth) : null;
+            return updates ? updateCloth(id, updates) : false;
+        }).length);
+    }
+
+    // --- Combination Management ---
+
+    function addCombination(combination) {
+        return recordChange('Add outfit', () => {
+            const newCombination = {
+                id: generateId(),
+                ...combination,
+                createdAt: new Date().toISOString()
+            };
+            store.data.combinations.push(newCombination);
+            saveData();
+            return newCombination;
+        });
+    }
+
+    function getCombinations() {
+        return store.data.combinations;
+    }
+
+    function getCombinationById(id) {
+        return store.data.combinations.find(combo => combo.id === id);
+    }
+
+    function updateCombination(id, updates) {
+        return recordChange('Edit outfit', () => {
+            const index = store.data.combinations.findIndex(combo => combo.id === id);
+            if (index !== -1) {
+                store.data.combinations[index] = { ...store.data.combinations[index], ...updates };
+                saveData();
+                return true;
+            }
+            return false;
+        });
+    }
+
+    function getCombinationsUsingCloth(clothId) {
+        return store.data.combinations.filter(combo => combo.items.includes(clothId));
+    }
+
+    // Moves a combination to the trash and drops its upcoming plans, without saving
+    function removeCombinationRecord(id) {
+        const index = store.data.combinations.findIndex(combo => combo.id === id);
+        if (index === -1) return false;
+        const [removed] = store.data.combinations.splice(index, 1);
+        moveToTrash('combination', removed);
+        // Plans already logged as worn stay as history
+        store.data.plans = store.data.plans.filter(plan => plan.combinationId !== id || plan.loggedAt);
+        return true;
+    }
+
+    function deleteCombination(id) {
+        return recordChange('Delete outfit', () => {
+            if (removeCombinationRecord(id)) {
+                saveData();
+                return true;
+            }
+            return false;
+        });
+    }
+
+    // --- Trash ---
+
+    const TRASH_RETENTION_DAYS = 30;
+
+    function getTrash() {
+        return store.data.trash;
+    }
+
+    // combinationIds remembers which outfits a deleted item was taken out of
+    function moveToTrash(type, record, { combinationIds = [] } = {}) {
+        store.data.trash.push({
+            id: generateId(),
+            type,
+            record,
+            combinationIds,
+            deletedAt: new Date().toISOString()
+        });
+    }
+
+    function getTrashExpiry(entry) {
+        const expiry = new Date(entry.deletedAt);
+        expiry.setDate(expiry.getDate() + TRASH_RETENTION_DAYS);
+        return expiry;
+    }
+
+    /**
+     * Puts a trashed record back. A restored item rejoins the outfits it was
+     * removed from; a restored outfit keeps only items that still exist.
+     */
+    function restoreFromTrash(entryId) {
+        return recordChange('Restore from trash', () => {
+            const index = store.data.trash.findIndex(entry => entry.id === entryId);
+            if (index === -1) return false;
+            const [entry] = store.data.trash.splice(index, 1);
+
+            if (entry.type === 'cloth') {
+                store.data.clothes.push(entry.record);
+                store.data.combinations = store.data.combinations.map(combo =>
+                    entry.combinationIds.includes(combo.id) && !combo.items.includes(entry.record.id)
+                        ? { ...combo, items: [...combo.items, entry.record.id] }
+                        : combo);
+            } else {
+                store.data.combinations.push({
+                    ...entry.record,
+                    items: entry.record.items.filter(clothId => getClothById(clothId))
+                });
+            }
+            saveData();
+            return true;
+        });
+    }
+
+    // Permanent: removes the record and its image, and clears undo history
+    function deleteFromTrash(entryIds) {
+        const ids = new Set(entryIds);
+        const purged = store.data.trash.filter(entry => ids.has(entry.id));
+        if (purged.length === 0) return 0;
+
+        store.data.trash = store.data.trash.filter(entry => !ids.has(entry.id));
+        saveData();
+        clearHistory();
+        // Another profile or the shared pool may hold a copy of the same photo
+        deleteUnreferencedImages(purged.filter(entry => entry.type === 'cloth').map(entry => entry.record.imageId))
+            .catch(error => console.error('Error deleting image:', error));
+        return purged.length;
+    }
+
+    function purgeExpiredTrash(now = new Date()) {
+        const expired = store.data.trash.filter(entry => getTrashExpiry(entry) <= now);
+        return deleteFromTrash(expired.map(entry => entry.id));
+    }
+
+    const ORPHAN_IMAGE_GRACE_DAYS = 1;
+
+    // Image ids still in use: every profile's clothes and trash, the shared pool and this tab's undo/redo steps
+    function getReferencedImageIds() {
+        const ids = new Set();
+        const addRecord = record => {
+            if (record && record.imageId) ids.add(record.imageId);
+        };
+        const addData = data => {
+            (data.clothes || []).forEach(addRecord);
+            (data.trash || []).filter(entry => entry && entry.type === 'cloth').forEach(entry => addRecord(entry.record));
+        };
+
+        addData(store.data);
+        addData(readSharedPool());
+        getProfiles().filter(profile => profile.id !== ACTIVE_PROFILE_ID).forEach(profile => {
+            const stored = localStorage.getItem(getProfileKeys(profile.id).data);
+            // Throws on unreadable data, so nothing is swept while a closet can't be checked
+            if (stored) addData(JSON.parse(stored));
+        });
+        [...undoStack, ...redoStack].forEach(step => step.changes.forEach(change => {
+            addRecord(change.added);
+            addRecord(change.removed);
+            if (change.fields && change.fields.imageId) {
+                ids.add(change.fields.imageId.before);
+                ids.add(change.fields.imageId.after);
+            }
+        }));
+        return ids;
+    }
+
+    // Deletes the given images unless something in getReferencedImageIds() still uses them
+    async function deleteUnreferencedImages(imageIds, options) {
+        let referenced;
+        try {
+            referenced = getReferencedImageIds();
+        } catch (error) {
+            console.error('Could not check which images are still in use:', error);
+            return 0;
+        }
+        const ids = [...new Set(imageIds)].filter(id => id && !referenced.has(id));
+        await Promise.all(ids.map(id => deleteImage(id, options)));
+        return ids.length;
+    }
+
+    /**
+     * Deletes stored images no item points at any more, e.g. the photo of an
+     * item whose adding was undone. Images saved in the last day are left
+     * alone, since their item may still be on its way (another tab, a sync).
+     * Resolves the number of images deleted.
+     */
+    async function purgeOrphanImages(now = new Date()) {
+        const referenced = getReferencedImageIds();
+        const cutoff = new Date(now.getTime() - ORPHAN_IMAGE_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const imageIds = await imageStoreRequest('readonly', store => store.getAllKeys());
+        let deleted = 0;
+        for (const id of imageIds.filter(imageId => !referenced.has(imageId))) {
+            const image = await getImageRecord(id);
+            if (!image || (image.updatedAt && image.updatedAt > cutoff)) continue;
+            await deleteImage(id);
+            deleted++;
+        }
+        return deleted;
+    }
+
+    // --- Data Integrity ---
+
+    /**
+     * Finds references to records that no longer exist: combination items
+     * pointing at deleted clothes, and upcoming plans for deleted
+     * combinations. Returns { orphanedItems: [{ combinationId, clothId }], orphanedPlans: [planId] }.
+     */
+    function checkIntegrity() {
+        const clothIds = new Set(store.data.clothes.map(cloth => cloth.id));
+        const combinationIds = new Set(store.data.combinations.map(combo => combo.id));
+
+        const orphanedItems = [];
+        store.data.combinations.forEach(combo => {
+            combo.items
+                .filter(clothId => !clothIds.has(clothId))
+                .forEach(clothId => orphanedItems.push({ combinationId: combo.id, clothId }));
+        });
+        const orphanedPlans = store.data.plans
+            .filter(plan => !plan.loggedAt && !combinationIds.has(plan.combinationId))
+            .map(plan => plan.id);
+
+        return { orphanedItems, orphanedPlans };
+    }
+
+    // Drops every orphaned reference in the report. Returns how many were fixed.
+    function repairIntegrity(report) {
+        const fixes = report.orphanedItems.length + report.orphanedPlans.length;
+        if (fixes === 0) return 0;
+
+        const orphanedItems = new Set(report.orphanedItems.map(({ combinationId, clothId }) => `${combinationId}|${clothId}`));
+        store.data.combinations = store.data.combinations.map(combo => ({
+            ...combo,
+            items: combo.items.filter(clothId => !orphanedItems.has(`${combo.id}|${clothId}`))
+        }));
+        const orphanedPlans = new Set(report.orphanedPlans);
+        store.data.plans = store.data.plans.filter(plan => !orphanedPlans.has(plan.id));
+
+        saveData();
+        return fixes;
+    }
+
+    function runIntegrityCheck() {
+        const report = checkIntegrity();
+        const fixes = repairIntegrity(report);
+        if (fixes > 0) {
+            console.warn('Repaired orphaned references:', report);
+            showToast(`Fixed ${fixes} broken reference${fixes === 1 ? '' : 's'} to deleted clothes or outfits.`);
+        }
+        // Items synced or imported with a category this device doesn't know yet
+        const addedCategories = addMissingCategories();
+        if (addedCategories.length > 0) {
+            console.warn('Added missing categories:', addedCategories);
+            saveData();
+        }
+        return report;
+    }
+
+    // --- Wear Tracking ---
+
+    const LAUNDRY_STATES = [
+        { value: 'clean', label: 'Clean' },
+        { value: 'laundry', label: 'In laundry' }
+    ];
+
+    // Used when an item has no wearsBeforeWash of its own
+    const DEFAULT_WEARS_BEFORE_WASH = 3;
+
+    // Ranges of wearCount used by the "Times worn" filter and the wear chart
+    const WEAR_BUCKETS = [
+        { value: 'never', label: 'Never', min: 0, max: 0 },
+        { value: '1-2', label: '1-2 times', min: 1, max: 2 },
+        { value: '3-5', label: '3-5 times', min: 3, max: 5 },
+        { value: '6-10', label: '6-10 times', min: 6, max: 10 },
+        { value: '11+', label: '11+ times', min: 11, max: Infinity }
+    ];
+
+    // An item counts as in use if it was worn within this many days
+    const UTILIZATION_DAYS = 90;
+
+    const USAGE_STATES = [
+        { value: 'recent', label: `Worn in the last ${UTILIZATION_DAYS} days` },
+        { value: 'idle', label: `Not worn in ${UTILIZATION_DAYS} days` }
+    ];
+
+    function getWearLog() {
+        return store.data.wearLog;
+    }
+
+    function getWearsBeforeWash(cloth) {
+        return cloth.wearsBeforeWash > 0 ? cloth.wearsBeforeWash : DEFAULT_WEARS_BEFORE_WASH;
+    }
+
+    function isInLaundry(cloth) {
+        return cloth.laundryState === 'laundry';
+    }
+
+    function getCostPerWear(cloth) {
+        if (cloth.price == null || !cloth.wearCount) return null;
+        return cloth.price / cloth.wearCount;
+    }
+
+    function getWearBucket(cloth) {
+        const wearCount = cloth.wearCount || 0;
+        return WEAR_BUCKETS.find(bucket => wearCount >= bucket.min && wearCount <= bucket.max).value;
+    }
+
+    function getUsageState(cloth, now = new Date()) {
+        const cutoff = addDays(toDateKey(now), -UTILIZATION_DAYS);
+        return cloth.lastWornAt && cloth.lastWornAt > cutoff ? 'recent' : 'idle';
+    }
+
+    /**
+     * Records that the given clothes were worn on `date` (a YYYY-MM-DD key,
+     * today by default), updating each item's wear count, last-worn date and
+     * laundry state. Items already logged for that date are skipped.
+     * Returns the new wear events.
+     */
+    function logWear(clothIds, { date = toDateKey(new Date()), combinationId = null } = {}) {
+        const events = [];
+        clothIds.forEach(clothId => {
+            const index = store.data.clothes.findIndex(cloth => cloth.id === clothId);
+            if (index === -1) return;
+            const alreadyLogged = store.data.wearLog.some(event => event.clothId === clothId && event.date === date);
+            if (alreadyLogged) return;
+
+            const event = {
+                id: generateId(),
+                clothId,
+                combinationId,
+                date,
+                loggedAt: new Date().toISOString()
+            };
+            store.data.wearLog.push(event);
+            events.push(event);
+
+            const cloth = store.data.clothes[index];
+            const wearsSinceWash = (cloth.wearsSinceWash || 0) + 1;
+            store.data.clothes[index] = {
+                ...cloth,
+                wearCount: (cloth.wearCount || 0) + 1,
+                lastWornAt: cloth.lastWornAt && cloth.lastWornAt > date ? cloth.lastWornAt : date,
+                wearsSinceWash,
+                laundryState: wearsSinceWash >= getWearsBeforeWash(cloth) ? 'laundry' : cloth.laundryState
+            };
+        });
+
+        if (events.length > 0) saveData();
+        return events;
+    }
+
+    // Distinct days an outfit was logged as worn, newest first
+    function getCombinationWearDates(comboId) {
+        const dates = store.data.wearLog
+            .filter(event => event.combinationId === comboId)
+            .map(event => event.date);
+        return [...new Set(dates)].sort().reverse();
+    }
+
+    // Recomputes wear counts and last-worn dates from the log, e.g. after an import
+    function refreshWearStats(clothIds) {
+        clothIds.forEach(clothId => {
+            const index = store.data.clothes.findIndex(cloth => cloth.id === clothId);
+            if (index === -1) return;
+            const dates = store.data.wearLog.filter(event => event.clothId === clothId).map(event => event.date).sort();
+            store.data.clothes[index] = {
+                ...store.data.clothes[index],
+                wearCount: dates.length,
+                lastWornAt: dates.length ? dates[dates.length - 1] : ''
+            };
+        });
+    }
+
+    // Moving an item back to clean resets its wears since the last wash
+    function setLaundryState(id, state) {
+        const updates = { laundryState: state };
+        if (state === 'clean') updates.wearsSinceWash = 0;
+        return recordChange('Change laundry state', () => updateCloth(id, updates));
+    }
+
+    // --- Outfit Planner ---
+
+    function parseDateKey(dateKey) {
+        return new Date(dateKey + 'T00:00:00');
+    }
+
+    function addDays(dateKey, days) {
+        const date = parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return toDateKey(date);
+    }
+
+    // Weeks start on Monday
+    function startOfWeek(dateKey) {
+        const offset = (parseDateKey(dateKey).getDay() + 6) % 7;
+        return addDays(dateKey, -offset);
+    }
+
+    function getPlans() {
+        return store.data.plans;
+    }
+
+    function getPlanForDate(dateKey) {
+        return store.data.plans.find(plan => plan.date === dateKey) || null;
+    }
+
+    // Drops the wear events a logged plan created, so the day can be logged again
+    function unlogPlan(plan) {
+        const removed = store.data.wearLog.filter(event =>
+            event.date === plan.date && event.combinationId === plan.combinationId);
+        if (removed.length === 0) return;
+        store.data.wearLog = store.data.wearLog.filter(event => !removed.includes(event));
+        refreshWearStats([...new Set(removed.map(event => event.clothId))]);
+    }
+
+    // Each day holds one outfit; planning a day again replaces it (and its logged wears)
+    function setPlan(dateKey, combinationId) {
+        return recordChange('Plan outfit', () => {
+            const index = store.data.plans.findIndex(plan => plan.date === dateKey);
+            if (index !== -1) {
+                const previous = store.data.plans[index];
+                const unchanged = previous.combinationId === combinationId;
+                if (previous.loggedAt && !unchanged) unlogPlan(previous);
+                store.data.plans[index] = { ...previous, combinationId, loggedAt: unchanged ? previous.loggedAt : null };
+                saveData();
+                return store.data.plans[index];
+            }
+            const newPlan = {
+                id: generateId(),
+                date: dateKey,
+                combinationId,
+                loggedAt: null,
+                createdAt: new Date().toISOString()
+            };
+            store.data.plans.push(newPlan);
+            saveData();
+            return newPlan;
+        });
+    }
+
+    function removePlan(dateKey) {
+        return recordChange('Clear planned day', () => {
+            const index = store.data.plans.findIndex(plan => plan.date === dateKey);
+            if (index !== -1) {
+                store.data.plans.splice(index, 1);
+                saveData();
+                return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Lists problems with an outfit planned for a day (the day's saved plan
+     * unless another combination is given): items also planned on another
+     * day of the same week, and from today onwards items in the laundry.
+     * Returns [{ clothId, type: 'repeat' | 'laundry', message }].
+     */
+    function getPlanWarnings(dateKey, combinationId) {
+        if (combinationId === undefined) {
+            const plan = getPlanForDate(dateKey);
+            combinationId = plan && plan.combinationId;
+        }
+        const combo = getCombinationById(combinationId);
+        if (!combo) return [];
+
+        const weekStart = startOfWeek(dateKey);
+        const weekEnd = addDays(weekStart, 6);
+        const otherPlans = store.data.plans.filter(other =>
+            other.date !== dateKey && other.date >= weekStart && other.date <= weekEnd);
+        const isUpcoming = dateKey >= toDateKey(new Date());
+
+        const warnings = [];
+        combo.items.map(getClothById).filter(Boolean).forEach(cloth => {
+            const clash = otherPlans.find(other => {
+                const otherCombo = getCombinationById(other.combinationId);
+                return otherCombo && otherCombo.items.includes(cloth.id);
+            });
+            const name = getClothName(cloth);
+            if (clash) {
+                warnings.push({
+                    clothId: cloth.id,
+                    type: 'repeat',
+                    message: `${name} is also planned for ${parseDateKey(clash.date).toLocaleDateString(undefined, { weekday: 'long' })}`
+                });
+            }
+            if (isUpcoming && isInLaundry(cloth)) {
+                warnings.push({ clothId: cloth.id, type: 'laundry', message: `${name} is in the laundry` });
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * Turns plans for days that have passed into wear-log entries.
+     * Returns the number of plans logged.
+     */
+    function logPastPlans() {
+        const today = toDateKey(new Date());
+        let logged = 0;
+        store.data.plans
+            .filter(plan => plan.date < today && !plan.loggedAt)
+            .forEach(plan => {
+                const combo = getCombinationById(plan.combinationId);
+                if (combo) logWear(combo.items, { date: plan.date, combinationId: combo.id });
+                plan.loggedAt = new Date().toISOString();
+                logged++;
+            });
+        if (logged > 0) saveData();
+        return logged;
+    }
+
+    // --- Outfit Suggestions ---
+
+    // Occasions that can stand in for each other at half credit
+    const RELATED_OCCASIONS = {
+        'casual': ['smart-casual', 'sport', 'lounge'],
+        'smart-casual': ['casual', 'business'],
+        'business': ['smart-casual', 'formal'],
+        'formal': ['business'],
+        'sport': ['casual'],
+        'lounge': ['casual']
+    };
+
+    const MAX_REJECTED_OUTFITS = 200;
+    const SUGGESTION_POOL_SIZE = 12; // Best items kept per slot before pairing
+
+    // Categories without a slot (and accessories) are never suggested
+    function getClothSlot(cloth) {
+        return getCategorySlot(cloth.category);
+    }
+
+    // Northern-hemisphere meteorological seasons
+    function getCurrentSeason(date = new Date()) {
+        const month = date.getMonth();
+        if (month >= 2 && month <= 4) return 'spring';
+        if (month >= 5 && month <= 7) return 'summer';
+        if (month >= 8 && month <= 10) return 'autumn';
+        return 'winter';
+    }
+
+    // Items without seasons count as all-season
+    function fitsSeason(cloth, season) {
+        return !season || !cloth.seasons || cloth.seasons.length === 0 || cloth.seasons.includes(season);
+    }
+
+    function occasionFit(cloth, occasion) {
+        if (!occasion) return 1;
+        if (!cloth.occasion) return 0.7;
+        if (cloth.occasion === occasion) return 1;
+        return (RELATED_OCCASIONS[occasion] || []).includes(cloth.occasion) ? 0.5 : 0;
+    }
+
+    // 0 when worn today, rising to 1 after two weeks (or never worn)
+    function freshness(cloth, now = new Date()) {
+        if (!cloth.lastWornAt) return 1;
+        const days = (now - new Date(cloth.lastWornAt + 'T00:00:00')) / (24 * 60 * 60 * 1000);
+        return Math.max(0, Math.min(1, days / 14));
+    }
+
+    // Tops, bottoms and dresses identify an outfit; outerwear is interchangeable
+    function coreSignature(clothes) {
+        return clothes
+            .filter(cloth => getClothSlot(cloth) !== 'outerwear')
+            .map(cloth => cloth.id)
+            .sort()
+            .join('|');
+    }
+
+    function isRejectedOutfit(clothes) {
+        const signature = coreSignature(clothes);
+        return store.data.rejectedOutfits.some(rejected => rejected.signature === signature);
+    }
+
+    /**
+     * Hides an outfit - and any outfit with the same top/bottom or dress -
+     * from future suggestions.
+     */
+    function rejectOutfit(itemIds) {
+        const clothes = itemIds.map(getClothById).filter(Boolean);
+        store.data.rejectedOutfits.push({
+            signature: coreSignature(clothes),
+            rejectedAt: new Date().toISOString()
+        });
+        store.data.rejectedOutfits = store.data.rejectedOutfits.slice(-MAX_REJECTED_OUTFITS);
+        saveData();
+    }
+
+    function scoreItem(cloth, occasion, now) {
+        return occasionFit(cloth, occasion) + freshness(cloth, now);
+    }
+
+    function scoreOutfit(clothes, season, occasion, now) {
+        const harmony = scorePaletteHarmony(getOutfitColors(clothes)) || { score: 50 };
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const fit = average(clothes.map(cloth => occasionFit(cloth, occasion))) * 100;
+        const fresh = average(clothes.map(cloth => freshness(cloth, now))) * 100;
+
+        let score = harmony.score * 0.45 + fit * 0.3 + fresh * 0.25;
+        const hasOuterwear = clothes.some(cloth => getClothSlot(cloth) === 'outerwear');
+        if (!hasOuterwear && (season === 'winter' || season === 'autumn')) score -= 5;
+        if (hasOuterwear && season === 'summer') score -= 10;
+
+        return {
+            score: Math.max(0, Math.round(score)),
+            breakdown: {
+                color: harmony.score,
+                fit: Math.round(fit),
+                freshness: Math.round(fresh)
+            }
+        };
+    }
+
+    /**
+     * Builds outfits from the wardrobe: a top and a bottom, or a dress,
+     * optionally with outerwear. Items in the laundry, out of season or for
+     * an unrelated occasion are left out, as are saved and rejected outfits.
+     * Returns [{ items, score, breakdown }], best first. No two suggestions
+     * share their top/bottom or dress, or more than one item overall.
+     */
+    function suggestOutfits({ season = getCurrentSeason(), occasion = '', count = 6 } = {}) {
+        const now = new Date();
+        const pools = { top: [], bottom: [], 'full-body': [], outerwear: [] };
+
+        getClothes().forEach(cloth => {
+            const slot = getClothSlot(cloth);
+            if (pools[slot] && !isInLaundry(cloth) && fitsSeason(cloth, season) && occasionFit(cloth, occasion) > 0) {
+                pools[slot].push(cloth);
+            }
+        });
+        Object.keys(pools).forEach(slot => {
+            pools[slot] = pools[slot]
+                .sort((a, b) => scoreItem(b, occasion, now) - scoreItem(a, occasion, now))
+                .slice(0, SUGGESTION_POOL_SIZE);
+        });
+
+        const bases = [
+            ...pools.top.flatMap(top => pools.bottom.map(bottom => [top, bottom])),
+            ...pools['full-body'].map(dress => [dress])
+        ];
+        const savedSignatures = new Set(getCombinations().map(combo =>
+            coreSignature(combo.items.map(getClothById).filter(Boolean))));
+
+        const candidates = [];
+        bases.forEach(base => {
+            if (savedSignatures.has(coreSignature(base)) || isRejectedOutfit(base)) return;
+            [null, ...pools.outerwear].forEach(outer => {
+                const items = outer ? [...base, outer] : base;
+                candidates.push({ items, ...scoreOutfit(items, season, occasion, now) });
+            });
+        });
+
+        candidates.sort((a, b) => b.score - a.score);
+
+        const suggestions = [];
+        for (const candidate of candidates) {
+            if (suggestions.length >= count) break;
+            const overlapsChosen = suggestions.some(chosen =>
+                coreSignature(chosen.items) === coreSignature(candidate.items) ||
+                candidate.items.filter(item => chosen.items.includes(item)).length > 1);
+            if (!overlapsChosen) suggestions.push(candidate);
+        }
+        return suggestions;
+    }
+
+    // --- Weather ---
+
+    /*
+        Weather comes from a pluggable provider. A provider implements:
+          getForecast(dateKey) -> Promise<{ date, temperature, low, high, precipitation, condition }>
+        Temperatures are in °C (`temperature` is the day's average),
+        `precipitation` is the chance of rain or snow in percent and
+        `condition` is one of WEATHER_CONDITIONS. 'manual' and 'mock' never
+        touch the network, so recommendations work offline.
+    */
+    const WEATHER_KEY = 'smartClosetWeather';
+    const WEATHER_TIMEOUT = 10 * 1000;
+    const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+    const WET_PRECIPITATION = 50; // Chance (%) from which a day counts as wet
+
+    const WEATHER_CONDITIONS = [
+        { value: 'sunny', label: 'Sunny', icon: 'fa-sun' },
+        { value: 'cloudy', label: 'Cloudy', icon: 'fa-cloud' },
+        { value: 'windy', label: 'Windy', icon: 'fa-wind' },
+        { value: 'rain', label: 'Rain', icon: 'fa-cloud-rain', wet: true },
+        { value: 'snow', label: 'Snow', icon: 'fa-snowflake', wet: true }
+    ];
+
+    const WEATHER_PROVIDERS = {
+        manual: {
+            label: 'Enter it myself',
+            create: settings => createManualWeatherProvider(settings.manual)
+        },
+        mock: {
+            label: 'Sample weather (offline)',
+            create: () => createMockWeatherProvider()
+        },
+        http: {
+            label: 'Online forecast (Open-Meteo)',
+            needsLocation: true,
+            create: settings => createHttpWeatherProvider(settings.latitude, settings.longitude)
+        }
+    };
+
+    function createManualWeatherProvider({ temperature, condition }) {
+        return {
+            async getForecast(dateKey) {
+                if (temperature == null) throw new Error('Enter the temperature to get suggestions.');
+                const wet = getWeatherCondition(condition).wet;
+                return { date: dateKey, temperature, low: temperature, high: temperature, precipitation: wet ? 90 : 0, condition };
+            }
+        };
+    }
+
+    // A number in [0, 1) that is always the same for the same text
+    function seededRandom(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+
+    /**
+     * Plausible, repeatable weather for a northern-hemisphere temperate
+     * climate: about 2°C in mid-January and 22°C in mid-July, plus a few
+     * degrees of day-to-day noise. The same date always gets the same weather.
+     */
+    function createMockWeatherProvider() {
+        return {
+            async getForecast(dateKey) {
+                const date = parseDateKey(dateKey);
+                const dayOfYear = Math.round((date - new Date(date.getFullYear(), 0, 1)) / (24 * 60 * 60 * 1000));
+                const seasonal = 12 - 10 * Math.cos(2 * Math.PI * (dayOfYear - 15) / 365);
+                const temperature = Math.round(seasonal + (seededRandom(`${dateKey}:t`) - 0.5) * 8);
+                const precipitation = Math.round(seededRandom(`${dateKey}:p`) * 100);
+                let condition = 'sunny';
+                if (precipitation >= 60) condition = temperature <= 1 ? 'snow' : 'rain';
+                else if (precipitation >= 35) condition = 'cloudy';
+                else if (seededRandom(`${dateKey}:w`) > 0.85) condition = 'windy';
+                return { date: dateKey, temperature, low: temperature - 4, high: temperature + 4, precipitation, condition };
+            }
+        };
+    }
+
+    // Maps a WMO weather code (as used by Open-Meteo) to one of WEATHER_CONDITIONS
+    function conditionFromWeatherCode(code, windSpeed) {
+        if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+        if ((code >= 51 && code <= 67) || (code >= 80 && code <= 82) || code >= 95) return 'rain';
+        if (windSpeed >= 40) return 'windy';
+        return code <= 1 ? 'sunny' : 'cloudy';
+    }
+
+    function createHttpWeatherProvider(latitude, longitude) {
+        return {
+            async getForecast(dateKey) {
+                const params = new URLSearchParams({
+                    latitude,
+                    longitude,
+                    daily: 'temperature_2m_max,temperature_2m_min,precipitation_probability_max,weather_code,wind_speed_10m_max',
+                    timezone: 'auto',
+                    start_date: dateKey,
+                    end_date: dateKey
+                });
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), WEATHER_TIMEOUT);
+                let response;
+                try {
+                    response = await fetch(`${OPEN_METEO_URL}?${params}`, { signal: controller.signal });
+                } catch (error) {
+                    throw new Error('The weather service could not be reached.');
+                } finally {
+                    clearTimeout(timer);
+                }
+                if (!response.ok) {
+                    throw new Error(`The weather service answered ${response.status}.`);
+                }
+
+                const noForecast = new Error('The weather service sent no forecast for that day.');
+                let body;
+                try {
+                    body = await response.json();
+                } catch (error) {
+                    throw noForecast;
+                }
+                // The day's value of one daily variable, or null when the response lacks it
+                const daily = body && body.daily;
+                const dayValue = name => daily && Array.isArray(daily[name]) && typeof daily[name][0] === 'number'
+                    ? daily[name][0]
+                    : null;
+                const high = dayValue('temperature_2m_max');
+                const low = dayValue('temperature_2m_min');
+                const code = dayValue('weather_code');
+                if (high == null || low == null || code == null) throw noForecast;
+                return {
+                    date: dateKey,
+                    temperature: Math.round((high + low) / 2),
+                    low: Math.round(low),
+                    high: Math.round(high),
+                    // Open-Meteo leaves these null for some places; treat them as dry and calm
+                    precipitation: dayValue('precipitation_probability_max') || 0,
+                    condition: conditionFromWeatherCode(code, dayValue('wind_speed_10m_max') || 0)
+                };
+            }
+        };
+    }
+
+    // Per-device settings, shared by every profile: the weather is the same for the whole household
+    function loadWeatherSettings() {
+        const defaults = {
+            provider: 'manual',
+            unit: 'C',
+            manual: { temperature: null, condition: 'cloudy' },
+            latitude: '',
+            longitude: '',
+            lastForecast: null
+        };
+        try {
+            const stored = JSON.parse(localStorage.getItem(WEATHER_KEY));
+            return stored ? { ...defaults, ...stored, manual: { ...defaults.manual, ...stored.manual } } : defaults;
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    function updateWeatherSettings(update) {
+        const settings = loadWeatherSettings();
+        update(settings);
+        try {
+            localStorage.setItem(WEATHER_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving weather settings:', error);
+        }
+        return settings;
+    }
+
+    function getWeatherCondition(value) {
+        return WEATHER_CONDITIONS.find(condition => condition.value === value) || WEATHER_CONDITIONS[1];
+    }
+
+    /**
+     * Fetches the forecast for `dateKey` from the chosen provider. When an
+     * online provider fails, the last forecast it gave for the same day is
+     * used instead (marked `stale`); otherwise the error is thrown.
+     */
+    async function getWeather(dateKey, settings = loadWeatherSettings()) {
+        const providerKey = WEATHER_PROVIDERS[settings.provider] ? settings.provider : 'manual';
+        const provider = WEATHER_PROVIDERS[providerKey].create(settings);
+        try {
+            const forecast = { ...await provider.getForecast(dateKey), provider: providerKey };
+            if (providerKey === 'http') {
+                updateWeatherSettings(current => {
+                    current.lastForecast = forecast;
+                });
+            }
+            return forecast;
+        } catch (error) {
+            const cached = settings.lastForecast;
+            if (providerKey === 'http' && cached && cached.date === dateKey) {
+                return { ...cached, stale: true };
+            }
+            throw error;
+        }
+    }
+
+    function toFahrenheit(celsius) {
+        return celsius * 9 / 5 + 32;
+    }
+
+    function fromFahrenheit(fahrenheit) {
+        return (fahrenheit - 32) * 5 / 9;
+    }
+
+    function formatTemperature(celsius, unit) {
+        return unit === 'F' ? `${Math.round(toFahrenheit(celsius))}°F` : `${Math.round(celsius)}°C`;
+    }
+
+    function isWetWeather(forecast) {
+        return forecast.precipitation >= WET_PRECIPITATION || Boolean(getWeatherCondition(forecast.condition).wet);
+    }
+
+    // --- Weather Recommendations ---
+
+    /*
+        Clothes carry an optional warmth rating from 1 (very light) to 5
+        (very warm). Unrated items are guessed from their seasons, and
+        unrated outerwear counts as warm; anything else is left unknown. A
+        day calls for warmth 1 at 25°C and above, rising one step per 5°C
+        down to 5 at 5°C and below.
+    */
+    const WARMTH_LEVELS = [
+        { value: 1, label: 'Very light', hint: 'tank tops, shorts, sandals' },
+        { value: 2, label: 'Light', hint: 'T-shirts, linen, summer dresses' },
+        { value: 3, label: 'Medium', hint: 'shirts, jeans, light knits' },
+        { value: 4, label: 'Warm', hint: 'sweaters, flannel, jackets' },
+        { value: 5, label: 'Very warm', hint: 'winter coats, down, thermals' }
+    ];
+
+    const SEASON_WARMTH = { summer: 1.5, spring: 3, autumn: 3.5, winter: 4.5 };
+
+    // Matched against an item's category, material and tags
+    const RAIN_READY_WORDS = ['waterproof', 'water-resistant', 'water resistant', 'rain', 'gore-tex', 'goretex', 'nylon', 'rubber', 'pvc', 'waxed', 'shell'];
+    const RAIN_SHY_WORDS = ['suede', 'silk', 'linen', 'velvet', 'cashmere', 'canvas'];
+
+    const WEATHER_PICK_COUNT = 2; // Pieces shown per slot
+    const WEATHER_PICK_MIN_SCORE = 50;
+    const WEATHER_OUTFIT_COUNT = 3;
+    const UNKNOWN_WARMTH_FIT = 0.5; // Unrated items are neither rewarded nor ruled out
+
+    function getWarmthLevel(value) {
+        return WARMTH_LEVELS.find(level => level.value === value) || null;
+    }
+
+    function describeWarmth(cloth) {
+        const warmth = getClothWarmth(cloth);
+        if (warmth == null) return 'Warmth not rated';
+        return `${getWarmthLevel(cloth.warmth) ? 'Warmth' : 'About warmth'} ${Math.round(warmth)} of 5`;
+    }
+
+    function getTargetWarmth(temperature) {
+        return Math.max(1, Math.min(5, 1 + (25 - temperature) / 5));
+    }
+
+    // The item's warmth, rated or guessed; null when there is nothing to go on
+    function getClothWarmth(cloth) {
+        if (getWarmthLevel(cloth.warmth)) return cloth.warmth;
+        const seasons = cloth.seasons || [];
+        if (seasons.length > 0 && seasons.length < SEASONS.length) {
+            return seasons.reduce((sum, season) => sum + SEASON_WARMTH[season], 0) / seasons.length;
+        }
+        return getClothSlot(cloth) === 'outerwear' ? 4 : null;
+    }
+
+    // 1 for items made for rain, 0 for fabrics rain spoils, 0.5 for everything else
+    function getRainSuitability(cloth) {
+        const text = [cloth.category, cloth.material, ...(cloth.tags || [])].join(' ').toLowerCase();
+        const mentions = words => words.some(word => new RegExp(`\\b${word}`).test(text));
+        if (mentions(RAIN_READY_WORDS)) return 1;
+        if (mentions(RAIN_SHY_WORDS)) return 0;
+        return 0.5;
+    }
+
+    /**
+     * Scores how well an item suits the forecast, 0-100: warmth counts for
+     * most, then season and (on wet days) rain suitability. Returns
+     * { score, note } where note explains the biggest mismatch, if any.
+     */
+    function scoreClothForWeather(cloth, forecast) {
+        const target = getTargetWarmth(forecast.temperature);
+        const warmth = getClothWarmth(cloth);
+        const warmthFit = warmth == null ? UNKNOWN_WARMTH_FIT : 1 - Math.min(1, Math.abs(warmth - target) / 3);
+        const seasonFit = fitsSeason(cloth, getCurrentSeason(parseDateKey(forecast.date))) ? 1 : 0;
+        const wet = isWetWeather(forecast);
+        const rainFit = wet ? getRainSuitability(cloth) : 1;
+
+        let note = '';
+        if (warmth != null && warmthFit < 0.6) note = warmth > target ? 'Too warm' : 'Too light';
+        else if (wet && rainFit === 1) note = 'Good in the rain';
+        else if (wet && rainFit === 0) note = 'Keep out of the rain';
+        else if (!seasonFit) note = 'Out of season';
+
+        return {
+            score: Math.round((warmthFit * 0.6 + seasonFit * 0.2 + rainFit * 0.2) * 100),
+            note
+        };
+    }
+
+    /**
+     * Scores a saved combination against the forecast: the average of its
+     * items, less a penalty for a cold day without outerwear, a warm day
+     * with it, or a wet day with nothing rain-ready. Outfits with an item in
+     * the laundry are skipped (null).
+     */
+    function scoreCombinationForWeather(combo, forecast) {
+        const clothes = combo.items.map(getClothById).filter(Boolean);
+        if (clothes.length === 0 || clothes.some(isInLaundry)) return null;
+
+        const target = getTargetWarmth(forecast.temperature);
+        const hasOuterwear = clothes.some(cloth => getClothSlot(cloth) === 'outerwear');
+        const notes = [];
+        let score = clothes.reduce((sum, cloth) => sum + scoreClothForWeather(cloth, forecast).score, 0) / clothes.length;
+
+        if (target >= 3.5 && !hasOuterwear) {
+            score -= 15;
+            notes.push('Add a coat');
+        }
+        if (target <= 1.5 && hasOuterwear) {
+            score -= 10;
+            notes.push('Leave the coat at home');
+        }
+        if (isWetWeather(forecast) && !clothes.some(cloth => getRainSuitability(cloth) === 1)) {
+            score -= 10;
+            notes.push('Take an umbrella');
+        }
+        return { combo, clothes, score: Math.max(0, Math.round(score)), notes };
+    }
+
+    /**
+     * Ranks the wardrobe for a forecast. Returns { target, outfits, picks }:
+     * the warmth the day calls for, the best saved combinations and the best
+     * clean pieces for each slot (outerwear only when it's cool or wet),
+     * leaving out pieces that fit the day poorly.
+     */
+    function getWeatherRecommendations(forecast) {
+        const target = getTargetWarmth(forecast.temperature);
+        const outfits = getCombinations()
+            .map(combo => scoreCombinationForWeather(combo, forecast))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, WEATHER_OUTFIT_COUNT);
+
+        const slots = ['top', 'bottom', 'full-body'];
+        if (target >= 3 || isWetWeather(forecast)) slots.push('outerwear');
+        const scored = getClothes()
+            .filter(cloth => !isInLaundry(cloth))
+            .map(cloth => ({ cloth, ...scoreClothForWeather(cloth, forecast) }))
+            .sort((a, b) => b.score - a.score);
+        const picks = slots
+            .map(slot => ({
+                slot,
+                items: scored
+                    .filter(entry => getClothSlot(entry.cloth) === slot && entry.score >= WEATHER_PICK_MIN_SCORE)
+                    .slice(0, WEATHER_PICK_COUNT)
+            }))
+            .filter(group => group.items.length > 0);
+
+        return { target, outfits, picks };
+    }
+
+    // --- Packing Lists ---
+
+    /*
+        A trip's packing list is built like a capsule wardrobe: start from the
+        best-matching top and bottom (or a dress) and keep adding whichever
+        item covers the most extra days, until every day has an outfit.
+        Items are worn at most as often as their wash setting allows, since
+        there is no laundry on the road.
+    */
+    const TRIP_TYPES = [
+        {
+            value: 'beach',
+            label: 'Beach',
+            season: 'summer',
+            occasions: ['casual', 'lounge', 'sport'],
+            outerwear: false,
+            essentials: ['Swimwear', 'Sunglasses', 'Sandals', 'Sun hat']
+        },
+        {
+            value: 'business',
+            label: 'Business',
+            season: null, // Whatever season the trip falls in
+            occasions: ['business', 'smart-casual', 'formal'],
+            outerwear: true,
+            essentials: ['Dress shoes', 'Belt']
+        },
+        {
+            value: 'cold',
+            label: 'Cold',
+            season: 'winter',
+            occasions: ['casual', 'smart-casual', 'sport'],
+            outerwear: true,
+            essentials: ['Warm hat', 'Gloves', 'Scarf', 'Boots']
+        }
+    ];
+
+    const MAX_TRIP_DAYS = 60;
+    const PACKING_POOL_SIZE = 15; // Best items kept per slot before building the capsule
+    const CAPSULE_MIN_HARMONY = 65; // Unsaved pairs must score at least "fair"
+
+    const TRIP_SLOT_LABELS = {
+        top: 'Tops',
+        bottom: 'Bottoms',
+        'full-body': 'Dresses',
+        outerwear: 'Outerwear'
+    };
+
+    function getClothName(cloth) {
+        return `${cloth.color ? getColorName(cloth.color) + ' ' : ''}${cloth.category || 'Item'}`;
+    }
+
+    function getTrips() {
+        return store.data.trips;
+    }
+
+    function getTripById(id) {
+        return store.data.trips.find(trip => trip.id === id) || null;
+    }
+
+    function getTripType(value) {
+        return TRIP_TYPES.find(type => type.value === value) || TRIP_TYPES[0];
+    }
+
+    function getTripEndDate(trip) {
+        return addDays(trip.startDate, trip.days - 1);
+    }
+
+    // Wears left before an item needs washing; a fresh item gets its full allowance
+    function getRemainingWears(cloth) {
+        return Math.max(1, getWearsBeforeWash(cloth) - (cloth.wearsSinceWash || 0));
+    }
+
+    function tripFit(cloth, type) {
+        return Math.max(...type.occasions.map(occasion => occasionFit(cloth, occasion)));
+    }
+
+    /**
+     * Assigns an outfit to each day, preferring outfits not worn yet and then
+     * the ones whose items have the most wears left. Stops early when nothing
+     * clean is left. Returns the outfits in day order.
+     */
+    function planTripDays(outfits, days) {
+        const wearsLeft = new Map();
+        const timesWorn = new Map(outfits.map(outfit => [outfit, 0]));
+        outfits.flat().forEach(cloth => wearsLeft.set(cloth.id, getRemainingWears(cloth)));
+
+        const plan = [];
+        for (let day = 0; day < days; day++) {
+            let best = null;
+            let bestKey = null;
+            outfits.forEach(outfit => {
+                const minWears = Math.min(...outfit.map(cloth => wearsLeft.get(cloth.id)));
+                if (minWears <= 0) return;
+                const key = [-timesWorn.get(outfit), minWears];
+                if (!best || key[0] > bestKey[0] || (key[0] === bestKey[0] && key[1] > bestKey[1])) {
+                    best = outfit;
+                    bestKey = key;
+                }
+            });
+            if (!best) break;
+            best.forEach(cloth => wearsLeft.set(cloth.id, wearsLeft.get(cloth.id) - 1));
+            timesWorn.set(best, timesWorn.get(best) + 1);
+            plan.push(best);
+        }
+        return plan;
+    }
+
+    /**
+     * Picks the clothes for a trip of `days` days. Items in the laundry, out
+     * of season or unsuited to the trip type are skipped; saved combinations
+     * always count as matching pairs and rejected outfits never do.
+     * Returns { clothes, outfits, coveredDays, laundrySkipped }, where
+     * outfits holds each day's items.
+     */
+    function buildCapsule(type, season, days) {
+        const pools = { top: [], bottom: [], 'full-body': [], outerwear: [] };
+        let laundrySkipped = 0;
+
+        getClothes().forEach(cloth => {
+            const slot = getClothSlot(cloth);
+            if (!pools[slot] || !fitsSeason(cloth, season) || tripFit(cloth, type) === 0) return;
+            if (isInLaundry(cloth)) {
+                laundrySkipped++;
+                return;
+            }
+            pools[slot].push(cloth);
+        });
+        Object.keys(pools).forEach(slot => {
+            pools[slot] = pools[slot]
+                .sort((a, b) => tripFit(b, type) - tripFit(a, type))
+                .slice(0, PACKING_POOL_SIZE);
+        });
+
+        const savedSignatures = new Set(getCombinations().map(combo =>
+            coreSignature(combo.items.map(getClothById).filter(Boolean))));
+        const pairScores = new Map();
+        const pairScore = (top, bottom) => {
+            const key = `${top.id}|${bottom.id}`;
+            if (!pairScores.has(key)) {
+                let score = null;
+                if (savedSignatures.has(coreSignature([top, bottom]))) {
+                    score = 100;
+                } else if (!isRejectedOutfit([top, bottom])) {
+                    const harmony = scorePaletteHarmony(getOutfitColors([top, bottom]));
+                    const value = harmony ? harmony.score : CAPSULE_MIN_HARMONY;
+                    if (value >= CAPSULE_MIN_HARMONY) score = value;
+                }
+                pairScores.set(key, score);
+            }
+            return pairScores.get(key);
+        };
+
+        const outfitsFor = (clothes) => {
+            const tops = clothes.filter(cloth => getClothSlot(cloth) === 'top');
+            const bottoms = clothes.filter(cloth => getClothSlot(cloth) === 'bottom');
+            return [
+                ...tops.flatMap(top => bottoms.filter(bottom => pairScore(top, bottom) != null).map(bottom => [top, bottom])),
+                ...clothes.filter(cloth => getClothSlot(cloth) === 'full-body').map(dress => [dress])
+            ];
+        };
+
+        // Seed with the best single outfit, then grow one item at a time
+        const seeds = [
+            ...pools.top.flatMap(top => pools.bottom.map(bottom => ({
+                items: [top, bottom],
+                score: pairScore(top, bottom)
+            }))).filter(seed => seed.score != null),
+            ...pools['full-body'].map(dress => ({ items: [dress], score: 70 }))
+        ].map(seed => ({
+            ...seed,
+            score: seed.score + seed.items.reduce((sum, cloth) => sum + tripFit(cloth, type) * 20, 0) / seed.items.length
+        })).sort((a, b) => b.score - a.score);
+
+        let chosen = seeds.length > 0 ? seeds[0].items : [];
+        let outfits = outfitsFor(chosen);
+        let plan = planTripDays(outfits, days);
+
+        // Days covered matter most, then variety, then how well the items suit the trip
+        const findBestAddition = (additions) => {
+            let best = null;
+            additions.forEach(added => {
+                const nextOutfits = outfitsFor([...chosen, ...added]);
+                const nextPlan = planTripDays(nextOutfits, days);
+                if (nextPlan.length <= plan.length) return;
+                const gain = ((nextPlan.length - plan.length) * 100 +
+                    (nextOutfits.length - outfits.length) * 10 +
+                    added.reduce((sum, cloth) => sum + tripFit(cloth, type), 0)) / added.length;
+                if (!best || gain > best.gain) best = { added, gain, outfits: nextOutfits, plan: nextPlan };
+            });
+            return best;
+        };
+
+        while (plan.length < days) {
+            const unused = slot => pools[slot].filter(cloth => !chosen.includes(cloth));
+            // When every top and bottom packed is worn out, only a new pair adds a day
+            const best = findBestAddition([...unused('top'), ...unused('bottom'), ...unused('full-body')].map(cloth => [cloth])) ||
+                findBestAddition(unused('top').flatMap(top => unused('bottom').map(bottom => [top, bottom])));
+            if (!best) break;
+            chosen = [...chosen, ...best.added];
+            outfits = best.outfits;
+            plan = best.plan;
+        }
+
+        // One layer that goes with the most of what's packed
+        if (type.outerwear && pools.outerwear.length > 0 && chosen.length > 0) {
+            const layerScore = (outer) => chosen.reduce((sum, cloth) => {
+                const harmony = scorePaletteHarmony(getOutfitColors([cloth, outer]));
+                return sum + (harmony ? harmony.score : CAPSULE_MIN_HARMONY);
+            }, 0) + tripFit(outer, type) * 20;
+            const layer = [...pools.outerwear].sort((a, b) => layerScore(b) - layerScore(a))[0];
+            chosen = [...chosen, layer];
+        }
+
+        return { clothes: chosen, outfits: plan, coveredDays: plan.length, laundrySkipped };
+    }
+
+    /**
+     * Generates and saves a packing list for a trip.
+     * `input` is { name, destinationType, startDate, days }.
+     * Returns { trip, laundrySkipped }; trip is null (and nothing is saved)
+     * when no clean clothes suit the trip.
+     */
+    function createTrip({ name, destinationType, startDate, days }) {
+        const type = getTripType(destinationType);
+        const season = type.season || getCurrentSeason(parseDateKey(startDate));
+        const capsule = buildCapsule(type, season, days);
+        if (capsule.clothes.length === 0) return { trip: null, laundrySkipped: capsule.laundrySkipped };
+
+        const extras = [
+            { label: 'Underwear', quantity: days },
+            { label: 'Socks', quantity: days },
+            { label: 'Sleepwear', quantity: 1 },
+            ...type.essentials.map(label => ({ label, quantity: 1 }))
+        ].map((extra, index) => ({ id: String(index + 1), ...extra, packed: false }));
+
+        const now = new Date().toISOString();
+        const trip = {
+            id: generateId(),
+            name: name || `${type.label} trip`,
+            destinationType: type.value,
+            startDate,
+            days,
+            items: capsule.clothes.map(cloth => ({ clothId: cloth.id, packed: false })),
+            extras,
+            outfits: capsule.outfits.map(outfit => outfit.map(cloth => cloth.id)),
+            createdAt: now,
+            updatedAt: now
+        };
+        store.data.trips.push(trip);
+        saveData();
+        return { trip, laundrySkipped: capsule.laundrySkipped };
+    }
+
+    // `kind` is 'items' (keyed by clothId) or 'extras' (keyed by id)
+    function setTripPacked(tripId, kind, key, packed) {
+        const trip = getTripById(tripId);
+        if (!trip) return false;
+        const keyField = kind === 'items' ? 'clothId' : 'id';
+        const entry = trip[kind].find(item => item[keyField] === key);
+        if (!entry) return false;
+        entry.packed = packed;
+        trip.updatedAt = new Date().toISOString();
+        saveData();
+        return true;
+    }
+
+    function deleteTrip(id) {
+        const index = store.data.trips.findIndex(trip => trip.id === id);
+        if (index === -1) return false;
+        store.data.trips.splice(index, 1);
+        saveData();
+        return true;
+    }
+
+    function formatTripDates(trip) {
+        const options = { month: 'short', day: 'numeric', year: 'numeric' };
+        return `${parseDateKey(trip.startDate).toLocaleDateString(undefined, options)} – ` +
+            `${parseDateKey(getTripEndDate(trip)).toLocaleDateString(undefined, options)}`;
+    }
+
+    // Plain-text checklist, e.g. for notes apps or printing
+    function tripToText(trip) {
+        const type = getTripType(trip.destinationType);
+        const box = packed => packed ? '[x]' : '[ ]';
+        const lines = [
+            `Packing list: ${trip.name} (${type.label})`,
+            `${formatTripDates(trip)} · ${trip.days} day${trip.days === 1 ? '' : 's'}`,
+            '',
+            'Clothes'
+        ];
+        trip.items.forEach(item => {
+            const cloth = getClothById(item.clothId);
+            if (cloth) lines.push(`${box(item.packed)} ${getClothName(cloth)}`);
+        });
+        lines.push('', 'Essentials');
+        trip.extras.forEach(extra => {
+            lines.push(`${box(extra.packed)} ${extra.label}${extra.quantity > 1 ? ` ×${extra.quantity}` : ''}`);
+        });
+        if (trip.outfits.length > 0) {
+            lines.push('', 'Outfits');
+            trip.outfits.forEach((outfit, index) => {
+                const date = parseDateKey(addDays(trip.startDate, index))
+                    .toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+                const names = outfit.map(getClothById).filter(Boolean).map(getClothName);
+                lines.push(`Day ${index + 1}, ${date}: ${names.join(' + ')}`);
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // --- Saved Views ---
+
+    function getSavedViews() {
+        return store.data.savedViews;
+    }
+
+    function addSavedView(name, query) {
+        const newView = {
+            id: generateId(),
+            name,
+            query,
+            createdAt: new Date().toISOString()
+        };
+        store.data.savedViews.push(newView);
+        saveData();
+        return newView;
+    }
+
+    function deleteSavedView(id) {
+        const index = store.data.savedViews.findIndex(view => view.id === id);
+        if (index !== -1) {
+            store.data.savedViews.splice(index, 1);
+            saveData();
+            return true;
+        }
+        return false;
+    }
+
+    // --- Color Helpers ---
+
+    function hexToRgb(hex) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex || '');
+        if (!match) return null;
+        const digits = match[1].length === 3
+            ? match[1].split('').map(c => c + c).join('')
+            : match[1];
+        const value = parseInt(digits, 16);
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+    }
+
+    // h in degrees (0-360), s and l as fractions (0-1)
+    function rgbToHsl({ r, g, b }) {
+        const red = r / 255;
+        const green = g / 255;
+        const blue = b / 255;
+        const max = Math.max(red, green, blue);
+        const min = Math.min(red, green, blue);
+        const l = (max + min) / 2;
+        const delta = max - min;
+
+        if (delta === 0) return { h: 0, s: 0, l };
+
+        const s = delta / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === red) h = ((green - blue) / delta) % 6;
+        else if (max === green) h = (blue - red) / delta + 2;
+        else h = (red - green) / delta + 4;
+
+        return { h: (h * 60 + 360) % 360, s, l };
+    }
+
+    // CIELAB (D65), so nearest-color distances follow perceived difference
+    function rgbToLab({ r, g, b }) {
+        const linear = (channel) => {
+            const c = channel / 255;
+            return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        };
+        const red = linear(r);
+        const green = linear(g);
+        const blue = linear(b);
+
+        const x = (red * 0.4124 + green * 0.3576 + blue * 0.1805) / 0.95047;
+        const y = (red * 0.2126 + green * 0.7152 + blue * 0.0722) / 1.0;
+        const z = (red * 0.0193 + green * 0.1192 + blue * 0.9505) / 1.08883;
+        const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+
+        return {
+            l: 116 * f(y) - 16,
+            a: 500 * (f(x) - f(y)),
+            b: 200 * (f(y) - f(z))
+        };
+    }
+
+    function labDistance(a, b) {
+        return Math.hypot(a.l - b.l, a.a - b.a, a.b - b.b);
+    }
+
+    function rgbToHex({ r, g, b }) {
+        return '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+    }
+
+    const COLOR_FAMILIES = [
+        { value: 'red', label: 'Red', swatch: '#dc2626' },
+        { value: 'burgundy', label: 'Burgundy', swatch: '#800020' },
+        { value: 'orange', label: 'Orange', swatch: '#f97316' },
+        { value: 'yellow', label: 'Yellow', swatch: '#facc15' },
+        { value: 'olive', label: 'Olive', swatch: '#6b8e23' },
+        { value: 'green', label: 'Green', swatch: '#16a34a' },
+        { value: 'teal', label: 'Teal', swatch: '#0d9488' },
+        { value: 'blue', label: 'Blue', swatch: '#2563eb' },
+        { value: 'navy', label: 'Navy', swatch: '#1e3a8a' },
+        { value: 'purple', label: 'Purple', swatch: '#7c3aed' },
+        { value: 'pink', label: 'Pink', swatch: '#ec4899' },
+        { value: 'brown', label: 'Brown', swatch: '#8b5a2b' },
+        { value: 'beige', label: 'Beige', swatch: '#e8d8b9' },
+        { value: 'black', label: 'Black', swatch: '#111827' },
+        { value: 'gray', label: 'Gray', swatch: '#9ca3af' },
+        { value: 'white', label: 'White', swatch: '#f3f4f6' }
+    ];
+
+    // Families that pair with anything; navy counts as a wardrobe neutral
+    const NEUTRAL_FAMILIES = ['black', 'gray', 'white', 'beige', 'brown', 'navy'];
+
+    const NAMED_COLORS = [
+        { name: 'Black', hex: '#000000', family: 'black' },
+        { name: 'Charcoal', hex: '#36454f', family: 'gray' },
+        { name: 'Slate Gray', hex: '#708090', family: 'gray' },
+        { name: 'Gray', hex: '#808080', family: 'gray' },
+        { name: 'Silver', hex: '#c0c0c0', family: 'gray' },
+        { name: 'Light Gray', hex: '#d3d3d3', family: 'gray' },
+        { name: 'White', hex: '#ffffff', family: 'white' },
+        { name: 'Off-White', hex: '#f8f8f0', family: 'white' },
+        { name: 'Ivory', hex: '#fffff0', family: 'white' },
+        { name: 'Cream', hex: '#fffdd0', family: 'beige' },
+        { name: 'Beige', hex: '#f5f5dc', family: 'beige' },
+        { name: 'Sand', hex: '#c2b280', family: 'beige' },
+        { name: 'Khaki', hex: '#c3b091', family: 'beige' },
+        { name: 'Tan', hex: '#d2b48c', family: 'brown' },
+        { name: 'Camel', hex: '#c19a6b', family: 'brown' },
+        { name: 'Brown', hex: '#8b4513', family: 'brown' },
+        { name: 'Chocolate', hex: '#5d3a1a', family: 'brown' },
+        { name: 'Taupe', hex: '#483c32', family: 'brown' },
+        { name: 'Rust', hex: '#b7410e', family: 'orange' },
+        { name: 'Orange', hex: '#ffa500', family: 'orange' },
+        { name: 'Coral', hex: '#ff7f50', family: 'orange' },
+        { name: 'Peach', hex: '#ffcba4', family: 'orange' },
+        { name: 'Mustard', hex: '#e1ad01', family: 'yellow' },
+        { name: 'Gold', hex: '#d4af37', family: 'yellow' },
+        { name: 'Yellow', hex: '#ffff00', family: 'yellow' },
+        { name: 'Lemon', hex: '#fff44f', family: 'yellow' },
+        { name: 'Olive', hex: '#808000', family: 'olive' },
+        { name: 'Army Green', hex: '#4b5320', family: 'olive' },
+        { name: 'Sage', hex: '#9caf88', family: 'green' },
+        { name: 'Mint', hex: '#98ff98', family: 'green' },
+        { name: 'Lime', hex: '#32cd32', family: 'green' },
+        { name: 'Green', hex: '#008000', family: 'green' },
+        { name: 'Emerald', hex: '#50c878', family: 'green' },
+        { name: 'Forest Green', hex: '#228b22', family: 'green' },
+        { name: 'Teal', hex: '#008080', family: 'teal' },
+        { name: 'Turquoise', hex: '#40e0d0', family: 'teal' },
+        { name: 'Sky Blue', hex: '#87ceeb', family: 'blue' },
+        { name: 'Light Blue', hex: '#add8e6', family: 'blue' },
+        { name: 'Denim', hex: '#1560bd', family: 'blue' },
+        { name: 'Blue', hex: '#0000ff', family: 'blue' },
+        { name: 'Royal Blue', hex: '#4169e1', family: 'blue' },
+        { name: 'Cobalt', hex: '#0047ab', family: 'blue' },
+        { name: 'Navy', hex: '#202a44', family: 'navy' },
+        { name: 'Navy Blue', hex: '#000080', family: 'navy' },
+        { name: 'Dark Blue', hex: '#1e3a8a', family: 'navy' },
+        { name: 'Midnight Blue', hex: '#191970', family: 'navy' },
+        { name: 'Indigo', hex: '#4b0082', family: 'purple' },
+        { name: 'Purple', hex: '#800080', family: 'purple' },
+        { name: 'Plum', hex: '#8e4585', family: 'purple' },
+        { name: 'Lilac', hex: '#c8a2c8', family: 'purple' },
+        { name: 'Lavender', hex: '#e6e6fa', family: 'purple' },
+        { name: 'Magenta', hex: '#ff00ff', family: 'pink' },
+        { name: 'Hot Pink', hex: '#ff69b4', family: 'pink' },
+        { name: 'Blush', hex: '#de5d83', family: 'pink' },
+        { name: 'Pink', hex: '#ffc0cb', family: 'pink' },
+        { name: 'Red', hex: '#ff0000', family: 'red' },
+        { name: 'Scarlet', hex: '#ff2400', family: 'red' },
+        { name: 'Crimson', hex: '#dc143c', family: 'red' },
+        { name: 'Burgundy', hex: '#800020', family: 'burgundy' },
+        { name: 'Maroon', hex: '#800000', family: 'burgundy' },
+        { name: 'Wine', hex: '#722f37', family: 'burgundy' }
+    ].map(color => ({ ...color, lab: rgbToLab(hexToRgb(color.hex)) }));
+
+    const colorDescriptionCache = new Map();
+
+    /**
+     * Maps a hex color to its nearest named color.
+     * Returns { name, family } or null for an invalid hex.
+     */
+    function describeColor(hex) {
+        const rgb = hexToRgb(hex);
+        if (!rgb) return null;
+
+        const key = hex.toLowerCase();
+        if (!colorDescriptionCache.has(key)) {
+            const lab = rgbToLab(rgb);
+            let nearest = NAMED_COLORS[0];
+            let nearestDistance = Infinity;
+            NAMED_COLORS.forEach(color => {
+                const distance = labDistance(lab, color.lab);
+                if (distance < nearestDistance) {
+                    nearest = color;
+                    nearestDistance = distance;
+                }
+            });
+            colorDescriptionCache.set(key, { name: nearest.name, family: nearest.family });
+        }
+        return colorDescriptionCache.get(key);
+    }
+
+    function getColorName(hex) {
+        const description = describeColor(hex);
+        return description ? description.name : '';
+    }
+
+    function getColorFamily(hex) {
+        const description = describeColor(hex);
+        return description ? description.family : '';
+    }
+
+    function isNeutralColor(hex) {
+        return NEUTRAL_FAMILIES.includes(getColorFamily(hex));
+    }
+
+    // Smallest arc of the color wheel (in degrees) that contains every hue
+    function hueSpread(hues) {
+        if (hues.length < 2) return 0;
+        const sorted = [...hues].sort((a, b) => a - b);
+        let largestGap = 360 - sorted[sorted.length - 1] + sorted[0];
+        for (let i = 1; i < sorted.length; i++) {
+            largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+        }
+        return 360 - largestGap;
+    }
+
+    function hueDistance(a, b) {
+        const difference = Math.abs(a - b) % 360;
+        return difference > 180 ? 360 - difference : difference;
+    }
+
+    const HARMONY_TYPES = {
+        neutral: 'All neutrals',
+        'neutral-accent': 'Neutrals plus an accent',
+        monochrome: 'Monochrome',
+        analogous: 'Analogous',
+        complementary: 'Complementary',
+        triadic: 'Triadic',
+        mixed: 'Mixed colors'
+    };
+
+    /**
+     * Scores how well a set of hex colors go together (0-100).
+     * Neutrals are ignored when judging hue relationships, so navy jeans
+     * with a white tee and one red accent reads as "neutral-accent".
+     * Returns { score, type, label } or null when there are no colors.
+     */
+    function scorePaletteHarmony(hexes) {
+        const colors = hexes
+            .map(hex => ({ hex, rgb: hexToRgb(hex) }))
+            .filter(color => color.rgb)
+            .map(color => ({ ...color, hsl: rgbToHsl(color.rgb), neutral: isNeutralColor(color.hex) }));
+        if (colors.length === 0) return null;
+
+        // Near-identical accents count once
+        const accentHues = [];
+        colors.filter(color => !color.neutral).forEach(color => {
+            if (!accentHues.some(hue => hueDistance(hue, color.hsl.h) < 12)) {
+                accentHues.push(color.hsl.h);
+            }
+        });
+
+        let type;
+        let score;
+        if (accentHues.length === 0) {
+            type = 'neutral';
+            score = 85;
+        } else if (accentHues.length === 1) {
+            type = colors.length === 1 ? 'monochrome' : 'neutral-accent';
+            score = 90;
+        } else {
+            const spread = hueSpread(accentHues);
+            if (spread <= 30) {
+                type = 'monochrome';
+                score = 86;
+            } else if (spread <= 75) {
+                type = 'analogous';
+                score = 88;
+            } else if (accentHues.length === 2 && hueDistance(accentHues[0], accentHues[1]) >= 150) {
+                type = 'complementary';
+                score = 84;
+            } else if (accentHues.length === 3 &&
+                accentHues.every((hue, i) => Math.abs(hueDistance(hue, accentHues[(i + 1) % 3]) - 120) <= 25)) {
+                type = 'triadic';
+                score = 74;
+            } else {
+                type = 'mixed';
+                score = 55;
+            }
+            // Every accent past the second makes the outfit busier
+            score -= Math.max(0, accentHues.length - 2) * 10;
+        }
+
+        // Some light/dark contrast keeps an outfit from looking flat
+        const lightness = colors.map(color => color.hsl.l);
+        if (colors.length > 1 && Math.max(...lightness) - Math.min(...lightness) >= 0.3) {
+            score += 5;
+        }
+
+        score = Math.max(0, Math.min(100, Math.round(score)));
+        return { score, type, label: HARMONY_TYPES[type] };
+    }
+
+    function getHarmonyLevel(score) {
+        if (score >= 80) return 'good';
+        if (score >= 65) return 'fair';
+        return 'poor';
+    }
+
+    // Primary colors plus the secondary colors of patterned items
+    function getOutfitColors(clothes) {
+        return clothes.flatMap(cloth => [cloth.color, ...(cloth.secondaryColors || [])]).filter(Boolean);
+    }
+
+    // --- Dominant Color Extraction ---
+
+    const COLOR_SAMPLE_SIZE = 64; // Photos are shrunk to at most 64px a side before sampling
+    const BACKGROUND_DISTANCE = 12; // Lab distance treated as "same as the backdrop"
+    const CLUSTER_DISTANCE = 18; // Lab distance under which two shades merge into one color
+
+    // The dominant edge color, if it covers at least half of the border - most likely a plain backdrop
+    function detectBackground(pixelAt, width, height) {
+        const edge = [];
+        for (let x = 0; x < width; x++) {
+            edge.push(pixelAt(x, 0), pixelAt(x, height - 1));
+        }
+        for (let y = 1; y < height - 1; y++) {
+            edge.push(pixelAt(0, y), pixelAt(width - 1, y));
+        }
+        const opaque = edge.filter(Boolean);
+        if (opaque.length === 0) return null;
+
+        const counts = new Map();
+        opaque.forEach(pixel => {
+            const key = ((pixel.r >> 4) << 8) | ((pixel.g >> 4) << 4) | (pixel.b >> 4);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        const [modeKey] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+        const mode = opaque.filter(pixel =>
+            (((pixel.r >> 4) << 8) | ((pixel.g >> 4) << 4) | (pixel.b >> 4)) === modeKey);
+        const average = {
+            r: mode.reduce((sum, pixel) => sum + pixel.r, 0) / mode.length,
+            g: mode.reduce((sum, pixel) => sum + pixel.g, 0) / mode.length,
+            b: mode.reduce((sum, pixel) => sum + pixel.b, 0) / mode.length
+        };
+        const backgroundLab = rgbToLab(average);
+        const matching = opaque.filter(pixel => labDistance(rgbToLab(pixel), backgroundLab) < BACKGROUND_DISTANCE);
+
+        return matching.length / opaque.length >= 0.5 ? backgroundLab : null;
+    }
+
+    /**
+     * Finds the main colors of a garment photo.
+     * Transparent pixels and a plain backdrop are skipped, and pixels near the
+     * center weigh more since that's usually where the garment is.
+     * Resolves [{ hex, share }] sorted by share (0-1), largest first.
+     */
+    async function extractDominantColors(blob, maxColors = 5) {
+        const img = await loadImageElement(blob);
+        const scale = Math.min(1, COLOR_SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.max(1, Math.round(img.naturalWidth * scale));
+        const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(img, 0, 0, width, height);
+        const { data } = context.getImageData(0, 0, width, height);
+
+        const pixelAt = (x, y) => {
+            const i = (y * width + x) * 4;
+            return data[i + 3] < 128 ? null : { r: data[i], g: data[i + 1], b: data[i + 2] };
+        };
+        const background = detectBackground(pixelAt, width, height);
+
+        // Bucket pixels by their top 4 bits per channel
+        const buckets = new Map();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = pixelAt(x, y);
+                if (!pixel) continue;
+                if (background && labDistance(rgbToLab(pixel), background) < BACKGROUND_DISTANCE) continue;
+
+                const weight = 1.5 - Math.hypot((x + 0.5) / width - 0.5, (y + 0.5) / height - 0.5);
+                const key = ((pixel.r >> 4) << 8) | ((pixel.g >> 4) << 4) | (pixel.b >> 4);
+                const bucket = buckets.get(key) || { weight: 0, r: 0, g: 0, b: 0 };
+                bucket.weight += weight;
+                bucket.r += pixel.r * weight;
+                bucket.g += pixel.g * weight;
+                bucket.b += pixel.b * weight;
+                buckets.set(key, bucket);
+            }
+        }
+
+        // Merge neighbouring buckets into clusters, heaviest first
+        const clusters = [];
+        [...buckets.values()]
+            .sort((a, b) => b.weight - a.weight)
+            .forEach(bucket => {
+                const rgb = { r: bucket.r / bucket.weight, g: bucket.g / bucket.weight, b: bucket.b / bucket.weight };
+                const lab = rgbToLab(rgb);
+                const cluster = clusters.find(item => labDistance(item.lab, lab) < CLUSTER_DISTANCE);
+                if (cluster) {
+                    cluster.weight += bucket.weight;
+                    cluster.r += bucket.r;
+                    cluster.g += bucket.g;
+                    cluster.b += bucket.b;
+                } else {
+                    clusters.push({ ...bucket, lab });
+                }
+            });
+
+        const total = clusters.reduce((sum, cluster) => sum + cluster.weight, 0);
+        return clusters
+            .sort((a, b) => b.weight - a.weight)
+            .map(cluster => ({
+                hex: rgbToHex({ r: cluster.r / cluster.weight, g: cluster.g / cluster.weight, b: cluster.b / cluster.weight }),
+                share: cluster.weight / total
+            }))
+            .filter(color => color.share >= 0.03)
+            .slice(0, maxColors);
+    }
+
+    // --- Filtering & Sorting ---
+
+    const CLOTHES_SORTS = ['newest', 'oldest', 'most-worn', 'cost-per-wear', 'category', 'hue'];
+
+    // Query-string parameter for each list facet of a clothes filter
+    const FILTER_LIST_PARAMS = {
+        categories: 'cat',
+        families: 'family',
+        seasons: 'season',
+        occasions: 'occasion',
+        tags: 'tag',
+        wears: 'worn',
+        usage: 'usage'
+    };
+
+    function createEmptyFilter() {
+        return {
+            q: '',
+            categories: [],
+            families: [],
+            seasons: [],
+            occasions: [],
+            tags: [],
+            wears: [],
+            usage: [],
+            from: '',
+            to: '',
+            sort: 'newest'
+        };
+    }
+
+    // Local calendar date as YYYY-MM-DD
+    function toDateKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Reads a filter from a query string such as "?cat=Jeans,Shirt&sort=hue".
+     */
+    function filterFromQuery(queryString) {
+        const params = new URLSearchParams(queryString);
+        const filter = createEmptyFilter();
+
+        filter.q = params.get('q') || '';
+        Object.entries(FILTER_LIST_PARAMS).forEach(([key, param]) => {
+            filter[key] = (params.get(param) || '').split(',').filter(Boolean);
+        });
+        filter.from = params.get('from') || '';
+        filter.to = params.get('to') || '';
+        if (CLOTHES_SORTS.includes(params.get('sort'))) {
+            filter.sort = params.get('sort');
+        }
+        return filter;
+    }
+
+    function filterToQuery(filter) {
+        const params = new URLSearchParams();
+        if (filter.q) params.set('q', filter.q);
+        Object.entries(FILTER_LIST_PARAMS).forEach(([key, param]) => {
+            if (filter[key].length > 0) params.set(param, filter[key].join(','));
+        });
+        if (filter.from) params.set('from', filter.from);
+        if (filter.to) params.set('to', filter.to);
+        if (filter.sort !== 'newest') params.set('sort', filter.sort);
+        return params.toString();
+    }
+
+    // Number of facets (not search or sort) narrowing the list
+    function countActiveFacets(filter) {
+        return Object.keys(FILTER_LIST_PARAMS).reduce((sum, key) => sum + filter[key].length, 0) +
+            (filter.from ? 1 : 0) + (filter.to ? 1 : 0);
+    }
+
+    function matchesFilter(cloth, filter) {
+        const searchTerm = filter.q.toLowerCase();
+        if (searchTerm) {
+            const colors = [cloth.color, ...(cloth.secondaryColors || [])].filter(Boolean);
+            const colorWords = colors.flatMap(color => [color, getColorName(color), getLabel(COLOR_FAMILIES, getColorFamily(color))]);
+            const searchable = [...colorWords, cloth.notes, cloth.category, cloth.brand, cloth.material, cloth.size, ...(cloth.tags || [])];
+            if (!searchable.some(value => value && value.toLowerCase().includes(searchTerm))) return false;
+        }
+
+        const anyOf = (selected, values) => selected.length === 0 || values.some(value => selected.includes(value));
+
+        if (!anyOf(filter.categories, getCategoryPath(cloth.category))) return false;
+        const families = [cloth.color, ...(cloth.secondaryColors || [])].map(getColorFamily);
+        if (!anyOf(filter.families, families)) return false;
+        if (!anyOf(filter.seasons, cloth.seasons || [])) return false;
+        if (!anyOf(filter.occasions, [cloth.occasion])) return false;
+        if (!anyOf(filter.tags, cloth.tags || [])) return false;
+        if (!anyOf(filter.wears, [getWearBucket(cloth)])) return false;
+        if (!anyOf(filter.usage, [getUsageState(cloth)])) return false;
+
+        const added = toDateKey(cloth.createdAt);
+        if (filter.from && added < filter.from) return false;
+        if (filter.to && added > filter.to) return false;
+
+        return true;
+    }
+
+    // Hue order with neutrals (low saturation) last, darkest first
+    function hueSortKey(cloth) {
+        const rgb = hexToRgb(cloth.color);
+        if (!rgb) return [2, 0];
+        const { h, s, l } = rgbToHsl(rgb);
+        return s < 0.15 ? [1, l] : [0, h];
+    }
+
+    function sortClothes(clothes, sort) {
+        // Tree order, so subcategories sit under their parent; unknown categories last
+        const treeOrder = new Map(getCategoryTree().map(({ category }, index) => [category.name, index]));
+        const categoryOrder = cloth => treeOrder.has(cloth.category) ? treeOrder.get(cloth.category) : treeOrder.size;
+        const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+        const comparators = {
+            newest: byNewest,
+            oldest: (a, b) => -byNewest(a, b),
+            'most-worn': (a, b) => (b.wearCount || 0) - (a.wearCount || 0) || byNewest(a, b),
+            // Highest first, so the items earning their keep least come to the top; unknown last
+            'cost-per-wear': (a, b) => {
+                const costA = getCostPerWear(a);
+                const costB = getCostPerWear(b);
+                if (costA == null || costB == null) return (costA == null) - (costB == null) || byNewest(a, b);
+                return costB - costA || byNewest(a, b);
+            },
+            category: (a, b) => categoryOrder(a) - categoryOrder(b) || byNewest(a, b),
+            hue: (a, b) => {
+                const [groupA, valueA] = hueSortKey(a);
+                const [groupB, valueB] = hueSortKey(b);
+                return groupA - groupB || valueA - valueB;
+            }
+        };
+        return [...clothes].sort(comparators[sort] || byNewest);
+    }
+
+    function applyClothesFilter(clothes, filter) {
+        return sortClothes(clothes.filter(cloth => matchesFilter(cloth, filter)), filter.sort);
+    }
+
+    // --- Wardrobe Analytics ---
+
+    const ANALYTICS_MONTHS = 12;
+    const COST_PER_WEAR_RANKING_SIZE = 5;
+
+    // Link to My Clothes showing only what a chart entry counts
+    function clothesViewUrl(patch) {
+        const query = filterToQuery({ ...createEmptyFilter(), ...patch });
+        return routeUrl('clothes', {}, query);
+    }
+
+    // Sorts { label, value } rows largest first, keeping ties alphabetical
+    function byValueDesc(a, b) {
+        return b.value - a.value || a.label.localeCompare(b.label);
+    }
+
+    /**
+     * Numbers behind the dashboard charts. Each row carries the My Clothes
+     * link (`href`) for the items it counts; rows that a filter can't express,
+     * such as uncategorized items, have no link.
+     */
+    function getWardrobeAnalytics(now = new Date()) {
+        const clothes = store.data.clothes;
+
+        const categoryCounts = {};
+        const familyCounts = {};
+        clothes.forEach(cloth => {
+            const category = cloth.category || '';
+            categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+            const family = cloth.color ? getColorFamily(cloth.color) : '';
+            familyCounts[family] = (familyCounts[family] || 0) + 1;
+        });
+
+        const categories = Object.entries(categoryCounts).map(([category, value]) => ({
+            label: category || 'Uncategorized',
+            value,
+            href: category ? clothesViewUrl({ categories: [category] }) : null
+        })).sort(byValueDesc);
+
+        const families = Object.entries(familyCounts).map(([family, value]) => {
+            const option = COLOR_FAMILIES.find(entry => entry.value === family);
+            return {
+                label: option ? option.label : 'No color',
+                value,
+                color: option ? option.swatch : null,
+                href: option ? clothesViewUrl({ families: [family] }) : null
+            };
+        }).sort(byValueDesc);
+
+        // Oldest month first, ending with the current one
+        const months = [];
+        for (let offset = ANALYTICS_MONTHS - 1; offset >= 0; offset--) {
+            const start = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+            const end = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+            const from = toDateKey(start);
+            const to = toDateKey(end);
+            months.push({
+                label: start.toLocaleDateString(undefined, { month: 'short' }),
+                title: start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+                value: clothes.filter(cloth => {
+                    const added = toDateKey(cloth.createdAt);
+                    return added >= from && added <= to;
+                }).length,
+                href: clothesViewUrl({ from, to })
+            });
+        }
+
+        const wearFrequency = WEAR_BUCKETS.map(bucket => ({
+            label: bucket.label,
+            value: clothes.filter(cloth => getWearBucket(cloth) === bucket.value).length,
+            href: clothesViewUrl({ wears: [bucket.value] })
+        }));
+
+        const costPerWear = sortClothes(clothes.filter(cloth => getCostPerWear(cloth) != null), 'cost-per-wear')
+            .slice(0, COST_PER_WEAR_RANKING_SIZE)
+            .map(cloth => ({
+                label: cloth.category || 'Uncategorized',
+                detail: [cloth.brand, cloth.color && getColorName(cloth.color)].filter(Boolean).join(' \u00b7 '),
+                value: getCostPerWear(cloth),
+                currency: cloth.currency,
+                color: cloth.color || null,
+                href: routeUrl('cloth', { id: cloth.id })
+            }));
+
+        const recentlyWorn = clothes.filter(cloth => getUsageState(cloth, now) === 'recent').length;
+
+        return {
+            total: clothes.length,
+            categories,
+            families,
+            months,
+            wearFrequency,
+            costPerWear,
+            utilization: {
+                worn: recentlyWorn,
+                idle: clothes.length - recentlyWorn,
+                percent: clothes.length ? Math.round(recentlyWorn / clothes.length * 100) : 0
+            }
+        };
+    }
+
+    // --- ZIP Archives ---
+
+    // Minimal ZIP support for wardrobe backups: writes stored (uncompressed)
+    // entries, reads stored entries and deflated ones where DecompressionStream exists.
+
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Builds a ZIP Blob from [{ name, data: Uint8Array }].
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = toDosDateTime(new Date());
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, name, file.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralDirectory.push(central.buffer, name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+    }
+
+    async function inflateRaw(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed ZIP files');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Reads a ZIP Blob into a Map of entry name -> Uint8Array.
+     */
+    async function readZip(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+        const decoder = new TextDecoder();
+
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) throw new Error('Not a valid ZIP file');
+
+        const entries = new Map();
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                entries.set(name, data);
+            } else if (method === 8) {
+                entries.set(name, await inflateRaw(data));
+            } else {
+                throw new Error(`Unsupported ZIP compression in "${name}"`);
+            }
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    // --- Export / Import ---
+
+    const EXPORT_FORMAT = 'smart-closet-export';
+
+    const IMAGE_EXTENSIONS = {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/webp': 'webp',
+        'image/gif': 'gif'
+    };
+
+    function blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function exportFilename(extension) {
+        return `smart-closet-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    function createExportManifest() {
+        return {
+            format: EXPORT_FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            clothes: store.data.clothes,
+            combinations: store.data.combinations,
+            wearLog: store.data.wearLog,
+            plans: store.data.plans,
+            trips: store.data.trips,
+            categories: store.data.categories
+        };
+    }
+
+    // Resolves [{ id, blob }] for every stored image, skipping ones that can't be read
+    async function collectImages() {
+        const images = [];
+        for (const cloth of store.data.clothes.filter(item => item.imageId)) {
+            try {
+                const blob = await getImageBlob(cloth.imageId, 'full');
+                if (blob) images.push({ id: cloth.imageId, blob });
+            } catch (error) {
+                console.error(`Could not export image for item ${cloth.id}:`, error);
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Exports everything as a single JSON file with images embedded as data URLs.
+     */
+    async function exportAsJSON() {
+        const manifest = createExportManifest();
+        manifest.images = {};
+        for (const image of await collectImages()) {
+            manifest.images[image.id] = await blobToDataURL(image.blob);
+        }
+        const json = JSON.stringify(manifest, null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), exportFilename('json'));
+    }
+
+    /**
+     * Exports a ZIP with manifest.json plus the original images under images/.
+     */
+    async function exportAsZip() {
+        const encoder = new TextEncoder();
+        const manifest = createExportManifest();
+        manifest.imageFiles = {};
+        const files = [];
+
+        for (const image of await collectImages()) {
+            const path = `images/${image.id}.${IMAGE_EXTENSIONS[image.blob.type] || 'bin'}`;
+            manifest.imageFiles[image.id] = path;
+            files.push({ name: path, data: new Uint8Array(await image.blob.arrayBuffer()) });
+        }
+        files.unshift({ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+
+        downloadBlob(createZip(files), exportFilename('zip'));
+    }
+
+    /**
+     * Checks the nested lists applyImport and the views rely on, which
+     * validateData leaves alone. Returns a list of problems; the data is
+     * valid when it's empty.
+     */
+    function getImportErrors(data) {
+        const errors = [];
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        // Optional lists may be missing (older exports) but must be lists when present
+        const checkList = (list, label, checkEntry = () => {}) => {
+            if (list == null) return;
+            if (!Array.isArray(list)) {
+                errors.push(`${label} is not a list`);
+                return;
+            }
+            list.forEach((entry, index) => {
+                const name = `${label} #${index + 1}`;
+                if (isObject(entry)) checkEntry(entry, name);
+                else errors.push(`${name} is not a record`);
+            });
+        };
+
+        checkList(data.clothes, 'Item', (cloth, name) => {
+            ['tags', 'seasons'].forEach(field => {
+                if (cloth[field] != null && !Array.isArray(cloth[field])) errors.push(`${name} has invalid ${field}`);
+            });
+        });
+        checkList(data.wearLog, 'Wear log entry');
+        checkList(data.plans, 'Plan');
+        checkList(data.categories, 'Category', (category, name) => {
+            if (typeof category.name !== 'string') errors.push(`${name} has no name`);
+        });
+        checkList(data.trips, 'Trip', (trip, name) => {
+            if (!Array.isArray(trip.items) || trip.items.some(item => !isObject(item))) {
+                errors.push(`${name} has an invalid packing list`);
+            }
+            if (!Array.isArray(trip.extras) || trip.extras.some(extra => !isObject(extra))) {
+                errors.push(`${name} has an invalid list of extras`);
+            }
+            if (!Array.isArray(trip.outfits) || trip.outfits.some(outfit => !Array.isArray(outfit))) {
+                errors.push(`${name} has invalid outfits`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Reads an exported .json or .zip file and validates it.
+     * Resolves { clothes, combinations, wearLog, plans, trips, categories, images: Map<imageId, Blob>, exportedAt }.
+     */
+    async function readImportFile(file) {
+        const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        const isZip = header[0] === 0x50 && header[1] === 0x4B; // "PK"
+
+        let manifest;
+        const images = new Map();
+
+        if (isZip) {
+            const entries = await readZip(file);
+            if (!entries.has('manifest.json')) {
+                throw new Error('The archive has no manifest.json');
+            }
+            manifest = JSON.parse(new TextDecoder().decode(entries.get('manifest.json')));
+            Object.entries(manifest.imageFiles || {}).forEach(([imageId, path]) => {
+                if (!entries.has(path)) return;
+                const extension = path.split('.').pop();
+                const type = Object.keys(IMAGE_EXTENSIONS).find(mime => IMAGE_EXTENSIONS[mime] === extension) || '';
+                images.set(imageId, new Blob([entries.get(path)], { type }));
+            });
+        } else {
+            manifest = JSON.parse(await file.text());
+            Object.entries(manifest.images || {}).forEach(([imageId, dataUrl]) => {
+                images.set(imageId, dataURLToBlob(dataUrl));
+            });
+        }
+
+        if (!manifest || manifest.format !== EXPORT_FORMAT) {
+            throw new Error('This file is not a Smart Closet export');
+        }
+
+        // Older exports may still carry inline images; treat them like embedded ones
+        (manifest.clothes || []).forEach(cloth => {
+            if (cloth && cloth.imagePreview) {
+                images.set(String(cloth.id), dataURLToBlob(cloth.imagePreview));
+                cloth.imageId = String(cloth.id);
+            }
+            if (cloth) delete cloth.imagePreview;
+        });
+
+        const data = await migrateData({
+            schemaVersion: manifest.schemaVersion,
+            clothes: manifest.clothes,
+            combinations: manifest.combinations,
+            wearLog: manifest.wearLog,
+            plans: manifest.plans,
+            trips: manifest.trips,
+            categories: manifest.categories
+        });
+        // Checked before anything is applied, so a hand-edited or truncated file changes nothing
+        const errors = getImportErrors(data);
+        if (errors.length > 0) {
+            const more = errors.length > 3 ? ` and ${errors.length - 3} more` : '';
+            throw new Error(`This is not a valid Smart Closet backup (${errors.slice(0, 3).join('; ')}${more})`);
+        }
+
+        return {
+            clothes: data.clothes,
+            combinations: data.combinations,
+            wearLog: data.wearLog || [],
+            plans: data.plans || [],
+            trips: data.trips || [],
+            categories: data.categories || [],
+            images,
+            exportedAt: manifest.exportedAt || null
+        };
+    }
+
+    function isSameRecord(a, b) {
+        return a.id === b.id && a.createdAt === b.createdAt;
+    }
+
+    /**
+     * Applies an import in 'merge' or 'replace' mode. Replacing also empties
+     * the trash, but keeps shared clothes, which other profiles still use.
+     * On merge, records whose id is already taken by a different record get
+     * a fresh id, and combination `items`, wear events and trip items are
+     * remapped to match. Records and trips that are already present (same id
+     * and createdAt) are skipped, as are wear events already logged for that
+     * item and date and plans for days that already have one.
+     * Resolves a summary of what was added.
+     */
+    async function applyImport(imported, mode) {
+        const replace = mode === 'replace';
+        const existingClothes = replace ? store.data.clothes.filter(cloth => cloth.shared) : store.data.clothes;
+        const existingCombinations = replace ? [] : store.data.combinations;
+        // Trashed records keep their ids so they can be restored
+        const trashedRecords = replace ? [] : store.data.trash.map(entry => entry.record);
+        const takenIds = new Set([...existingClothes, ...existingCombinations, ...trashedRecords].map(record => record.id));
+        const summary = { clothes: 0, combinations: 0, skipped: 0, images: 0 };
+
+        const claimId = (id) => {
+            const finalId = takenIds.has(id) ? generateId() : id;
+            takenIds.add(finalId);
+            return finalId;
+        };
+
+        const clothIdMap = new Map();
+        const newClothes = [];
+        for (const cloth of imported.clothes) {
+            const existing = existingClothes.find(item => isSameRecord(item, cloth));
+            if (existing) {
+                clothIdMap.set(cloth.id, existing.id);
+                summary.skipped++;
+                continue;
+            }
+            const id = claimId(cloth.id);
+            clothIdMap.set(cloth.id, id);
+            newClothes.push({ ...cloth, id });
+        }
+
+        const comboIdMap = new Map();
+        const newCombinations = [];
+        for (const combo of imported.combinations) {
+            const existing = existingCombinations.find(item => isSameRecord(item, combo));
+            if (existing) {
+                comboIdMap.set(combo.id, existing.id);
+                summary.skipped++;
+                continue;
+            }
+            const id = claimId(combo.id);
+            comboIdMap.set(combo.id, id);
+            newCombinations.push({
+                ...combo,
+                id,
+                // Only keep references to clothes that came with this file
+                items: combo.items.map(clothId => clothIdMap.get(clothId)).filter(Boolean)
+            });
+        }
+
+        const existingWearLog = replace ? [] : store.data.wearLog;
+        const newWearLog = [];
+        for (const event of imported.wearLog) {
+            const clothId = clothIdMap.get(event.clothId);
+            if (!clothId) continue;
+            const isDuplicate = [...existingWearLog, ...newWearLog]
+                .some(item => item.clothId === clothId && item.date === event.date);
+            if (isDuplicate) continue;
+            newWearLog.push({
+                ...event,
+                id: generateId(),
+                clothId,
+                combinationId: comboIdMap.get(event.combinationId) || null
+            });
+        }
+
+        const existingPlans = replace ? [] : store.data.plans;
+        const newPlans = imported.plans
+            .filter(plan => comboIdMap.has(plan.combinationId))
+            .filter(plan => !existingPlans.some(item => item.date === plan.date))
+            .map(plan => ({ ...plan, id: generateId(), combinationId: comboIdMap.get(plan.combinationId) }));
+
+        const existingTrips = replace ? [] : store.data.trips;
+        const newTrips = imported.trips
+            .filter(trip => !existingTrips.some(item => isSameRecord(item, trip)))
+            .map(trip => ({
+                ...trip,
+                id: existingTrips.some(item => item.id === trip.id) ? generateId() : trip.id,
+                items: trip.items
+                    .map(item => ({ ...item, clothId: clothIdMap.get(item.clothId) }))
+                    .filter(item => item.clothId),
+                outfits: trip.outfits
+                    .map(outfit => outfit.map(clothId => clothIdMap.get(clothId)))
+                    .filter(outfit => outfit.every(Boolean))
+            }));
+
+        for (const cloth of newClothes) {
+            const blob = cloth.imageId && imported.images.get(cloth.imageId);
+            delete cloth.imageId;
+            if (!blob) continue;
+            try {
+                await saveImage(cloth.id, blob);
+                cloth.imageId = cloth.id;
+                summary.images++;
+            } catch (error) {
+                console.error(`Could not import image for item ${cloth.id}:`, error);
+            }
+        }
+
+        const replacedImageIds = replace
+            ? [...store.data.clothes, ...store.data.trash.filter(entry => entry.type === 'cloth').map(entry => entry.record)]
+                .map(cloth => cloth.imageId)
+            : [];
+        if (replace) store.data.trash = [];
+
+        store.data.clothes = [...existingClothes, ...newClothes];
+        store.data.combinations = [...existingCombinations, ...newCombinations];
+        store.data.wearLog = [...existingWearLog, ...newWearLog];
+        store.data.plans = [...existingPlans, ...newPlans];
+        store.data.trips = [...existingTrips, ...newTrips];
+        if (replace) store.data.categories = [];
+        mergeCategories(imported.categories);
+        addMissingCategories();
+        refreshWearStats([...new Set(newWearLog.map(event => event.clothId))]);
+        saveData();
+        // An import can't be replayed step by step, so start a fresh history
+        clearHistory();
+        // Checked once the new closet is in place, so photos it kept stay
+        deleteUnreferencedImages(replacedImageIds).catch(error => console.error('Error deleting image:', error));
+
+        summary.clothes = newClothes.length;
+        summary.combinations = newCombinations.length;
+        return summary;
+    }
+
+    // --- CSV Import / Export ---
+
+    function normalizeCategory(value) {
+        const match = getCategoryByName(value);
+        if (!match) throw new Error(`Unknown category "${value}"`);
+        return match.name;
+    }
+
+    function normalizeHexColor(value) {
+        if (!value) return '';
+        const match = value.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!match) throw new Error(`"${value}" is not a hex color`);
+        const hex = match[1].length === 3
+            ? match[1].split('').map(c => c + c).join('')
+            : match[1];
+        return `#${hex.toLowerCase()}`;
+    }
+
+    // List values are written as "a; b" so they survive in a single cell
+    function formatCsvList(values) {
+        return Array.isArray(values) ? values.join('; ') : '';
+    }
+
+    function parseCsvSeasons(value) {
+        return parseTags(value, ';').map(season => {
+            const match = SEASONS.find(option =>
+                [option.value, option.label.toLowerCase()].includes(season.toLowerCase()) ||
+                (option.value === 'autumn' && season.toLowerCase() === 'fall'));
+            if (!match) throw new Error(`Unknown season "${season}"`);
+            return match.value;
+        });
+    }
+
+    function parseCsvOccasion(value) {
+        if (!value) return '';
+        const match = OCCASIONS.find(option =>
+            [option.value, option.label.toLowerCase()].includes(value.toLowerCase()));
+        if (!match) throw new Error(`Unknown occasion "${value}"`);
+        return match.value;
+    }
+
+    function parseCsvWarmth(value) {
+        if (!value) return null;
+        const match = WARMTH_LEVELS.find(level =>
+            String(level.value) === value || level.label.toLowerCase() === value.toLowerCase());
+        if (!match) throw new Error(`"${value}" is not a warmth from 1 to 5`);
+        return match.value;
+    }
+
+    function parseCsvPrice(value) {
+        if (!value) return null;
+        const price = Number(value.replace(/,/g, ''));
+        if (!Number.isFinite(price) || price < 0) throw new Error(`"${value}" is not a valid price`);
+        return price;
+    }
+
+    function parseCsvCurrency(value) {
+        if (!value) return '';
+        if (!/^[a-z]{3}$/i.test(value)) throw new Error(`"${value}" is not a currency code`);
+        return value.toUpperCase();
+    }
+
+    function parseCsvDate(value) {
+        if (!value) return '';
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime())) {
+            throw new Error(`"${value}" is not a YYYY-MM-DD date`);
+        }
+        return value;
+    }
+
+    /*
+        Columns of the clothes CSV, in export order. `importable` fields can be
+        mapped in the import wizard; `parse` turns a trimmed cell into a value
+        (throwing on invalid input) and `format` does the reverse for export.
+    */
+    const CSV_FIELDS = [
+        { key: 'id', label: 'ID' },
+        { key: 'category', label: 'Category', importable: true, required: true, parse: normalizeCategory },
+        { key: 'color', label: 'Color', importable: true, parse: normalizeHexColor },
+        {
+            key: 'secondaryColors',
+            label: 'Secondary Colors',
+            importable: true,
+            parse: (value) => parseTags(value, ';').map(normalizeHexColor),
+            format: formatCsvList
+        },
+        { key: 'notes', label: 'Notes', importable: true },
+        { key: 'brand', label: 'Brand', importable: true },
+        { key: 'size', label: 'Size', importable: true },
+        { key: 'material', label: 'Material', importable: true },
+        { key: 'seasons', label: 'Seasons', importable: true, parse: parseCsvSeasons, format: formatCsvList },
+        { key: 'occasion', label: 'Occasion', importable: true, parse: parseCsvOccasion },
+        { key: 'warmth', label: 'Warmth', importable: true, parse: parseCsvWarmth },
+        { key: 'price', label: 'Price', importable: true, parse: parseCsvPrice },
+        { key: 'currency', label: 'Currency', importable: true, parse: parseCsvCurrency },
+        { key: 'purchaseDate', label: 'Purchase Date', importable: true, parse: parseCsvDate },
+        { key: 'tags', label: 'Tags', importable: true, parse: (value) => parseTags(value, ';'), format: formatCsvList },
+        { key: 'wearCount', label: 'Wear Count' },
+        { key: 'lastWornAt', label: 'Last Worn' },
+        { key: 'laundryState', label: 'Laundry' },
+        { key: 'createdAt', label: 'Created At' }
+    ];
+
+    const CSV_IMPORT_FIELDS = CSV_FIELDS.filter(field => field.importable);
+
+    function toCSV(rows) {
+        return rows.map(row => row.map(value => {
+            const text = value == null ? '' : String(value);
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+
+    /**
+     * Parses RFC 4180 CSV text into an array of rows (arrays of strings).
+     * Blank lines are dropped.
+     */
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    function exportClothesCSV() {
+        const rows = [
+            CSV_FIELDS.map(field => field.label),
+            ...getClothes().map(cloth => CSV_FIELDS.map(field => {
+                const value = cloth[field.key];
+                return field.format ? field.format(value) : value;
+            }))
+        ];
+        // The BOM makes Excel read the file as UTF-8
+        const csv = '\uFEFF' + toCSV(rows);
+        downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `smart-closet-clothes-${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+
+    // Pre-selects a column for each field whose header matches its key or label
+    function guessCsvMapping(headers) {
+        const simplify = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const mapping = {};
+        CSV_IMPORT_FIELDS.forEach(field => {
+            const index = headers.findIndex(header =>
+                [field.key, field.label].some(name => simplify(name) === simplify(header)));
+            if (index !== -1) mapping[field.key] = index;
+        });
+        return mapping;
+    }
+
+    /**
+     * Turns one CSV row into cloth data using a { fieldKey: columnIndex } mapping.
+     * Returns { item, errors }; the row is valid when errors is empty.
+     */
+    function csvRowToCloth(row, mapping) {
+        const item = {};
+        const errors = [];
+
+        CSV_IMPORT_FIELDS.forEach(field => {
+            const column = mapping[field.key];
+            const raw = column == null ? '' : (row[column] || '').trim();
+
+            if (!raw) {
+                if (field.required) errors.push(`${field.label} is required`);
+                else item[field.key] = field.parse ? field.parse('') : '';
+                return;
+            }
+            try {
+                item[field.key] = field.parse ? field.parse(raw) : raw;
+            } catch (error) {
+                errors.push(error.message);
+            }
+        });
+
+        return { item, errors };
+    }
+
+    // --- Server Sync ---
+
+    /*
+        store.data (cached in localStorage) is always the working copy, so
+        addCloth, getClothes, deleteCombination and friends stay synchronous
+        and work offline. A backend decides where changes go beyond this
+        browser. 'local' keeps them here; a remote backend implements:
+          fetchChanges(since)                 -> { seq, clothes, combinations, images }
+          putRecord(collection, record)       -> { applied, record }
+          deleteRecord(collection, id, deletedAt)
+          getImage(id) -> Blob, putImage(id, blob, updatedAt), deleteImage(id, deletedAt)
+        Records carry updatedAt; whichever copy was modified last wins.
+    */
+    const SYNC_KEY = PROFILE_KEYS.sync;
+    const SYNCED_COLLECTIONS = ['clothes', 'combinations'];
+    const SYNC_DELAY = 2000;
+    const SYNC_INTERVAL = 60 * 1000;
+    const SYNC_TIMEOUT = 15 * 1000;
+    // The server refuses other image types, since it serves them back from its own origin
+    const SYNCABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+    const STORAGE_BACKENDS = {
+        local: {
+            label: 'This browser only',
+            create: () => null
+        },
+        server: {
+            label: 'Smart Closet server',
+            needsUrl: true,
+            create: settings => createServerBackend(settings.serverUrl)
+        }
+    };
+
+    let syncTimer = null;
+    let syncPromise = null;
+    const syncStatusListeners = new Set();
+
+    function createServerBackend(serverUrl) {
+        const baseUrl = `${serverUrl.replace(/\/+$/, '')}/api`;
+
+        async function request(path, options = {}) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), SYNC_TIMEOUT);
+            try {
+                const response = await fetch(baseUrl + path, { ...options, signal: controller.signal });
+                if (!response.ok) {
+                    throw new Error(`The server answered ${response.status} for ${path}`);
+                }
+                return response;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        function sendJson(method, path, body) {
+            return request(path, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            }).then(response => response.json());
+        }
+
+        return {
+            fetchChanges: since => request(`/changes?since=${since}`).then(response => response.json()),
+            putRecord: (collection, record) => sendJson('PUT', `/${collection}/${encodeURIComponent(record.id)}`, record),
+            deleteRecord: (collection, id, deletedAt) => sendJson('DELETE', `/${collection}/${encodeURIComponent(id)}`, { deletedAt }),
+            getImage: id => request(`/images/${encodeURIComponent(id)}`).then(response => response.blob()),
+            putImage: (id, blob, updatedAt) => request(`/images/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': blob.type || 'application/octet-stream', 'X-Updated-At': updatedAt },
+                body: blob
+            }).then(response => response.json()),
+            deleteImage: (id, deletedAt) => sendJson('DELETE', `/images/${encodeURIComponent(id)}`, { deletedAt })
+        };
+    }
+
+    // Per-device, per-profile settings, shared by this browser's tabs but never synced or exported
+    function loadSyncSettings(key = SYNC_KEY) {
+        const defaults = {
+            backend: 'local',
+            serverUrl: '',
+            cursor: 0,
+            pending: { clothes: {}, combinations: {}, images: {} },
+            lastSyncedAt: null,
+            lastError: null
+        };
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            return stored ? { ...defaults, ...stored, pending: { ...defaults.pending, ...stored.pending } } : defaults;
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    function updateSyncSettings(update, key = SYNC_KEY) {
+        const settings = loadSyncSettings(key);
+        update(settings);
+        try {
+            localStorage.setItem(key, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving sync settings:', error);
+        }
+        return settings;
+    }
+
+    function getActiveBackend(settings = loadSyncSettings()) {
+        const backend = STORAGE_BACKENDS[settings.backend] || STORAGE_BACKENDS.local;
+        return backend.create(settings);
+    }
+
+    function isSyncEnabled() {
+        return loadSyncSettings().backend !== 'local';
+    }
+
+    // Queues a record or image for the next push; deletedAt is null for a change
+    function markForSync(collection, id, deletedAt) {
+        if (!isSyncEnabled()) return;
+        updateSyncSettings(settings => {
+            settings.pending[collection][id] = deletedAt;
+        });
+    }
+
+    /**
+     * Gives every record that changed since the last save a fresh updatedAt
+     * and queues it (or its deletion) for sync. Called from saveData, so it
+     * covers every mutation path, including undo and imports.
+     */
+    function trackChanges() {
+        const previous = store.base ? JSON.parse(store.base) : createEmptyData();
+        const now = new Date().toISOString();
+        const syncing = isSyncEnabled();
+        const changed = [];
+
+        SYNCED_COLLECTIONS.forEach(collection => {
+            const before = new Map((previous[collection] || []).map(record => [record.id, JSON.stringify(record)]));
+            store.data[collection].forEach(record => {
+                if (before.get(record.id) !== JSON.stringify(record)) {
+                    record.updatedAt = now;
+                    changed.push([collection, record.id, null]);
+                }
+                before.delete(record.id);
+            });
+            before.forEach((json, id) => changed.push([collection, id, now]));
+        });
+
+        if (syncing && changed.length > 0) {
+            updateSyncSettings(settings => {
+                changed.forEach(([collection, id, deletedAt]) => {
+                    settings.pending[collection][id] = deletedAt;
+                });
+            });
+        }
+    }
+
+    /**
+     * Switches backend. Moving to a server queues the whole closet so the
+     * first sync merges it with whatever the server already has.
+     */
+    async function setSyncBackend(backend, serverUrl = '') {
+        if (!STORAGE_BACKENDS[backend]) throw new Error(`Unknown storage backend "${backend}"`);
+        updateSyncSettings(settings => {
+            settings.backend = backend;
+            settings.serverUrl = serverUrl;
+            settings.cursor = 0;
+            settings.lastSyncedAt = null;
+            settings.lastError = null;
+            settings.pending = { clothes: {}, combinations: {}, images: {} };
+            if (backend !== 'local') {
+                SYNCED_COLLECTIONS.forEach(collection => {
+                    store.data[collection].forEach(record => {
+                        settings.pending[collection][record.id] = null;
+                    });
+                });
+                // Only this closet's photos; the image store is shared by every profile
+                [...store.data.clothes, ...store.data.trash.filter(entry => entry.type === 'cloth').map(entry => entry.record)]
+                    .filter(cloth => cloth.imageId)
+                    .forEach(cloth => {
+                        settings.pending.images[cloth.imageId] = null;
+                    });
+            }
+        });
+        notifySyncStatus();
+        return syncNow();
+    }
+
+    function scheduleSync() {
+        if (!isSyncEnabled()) return;
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(syncNow, SYNC_DELAY);
+    }
+
+    function onSyncStatus(listener) {
+        syncStatusListeners.add(listener);
+        return () => syncStatusListeners.delete(listener);
+    }
+
+    function notifySyncStatus() {
+        const settings = loadSyncSettings();
+        syncStatusListeners.forEach(listener => listener(settings, Boolean(syncPromise)));
+    }
+
+    // Drops a pending entry once pushed, unless it changed again in the meantime
+    function clearPending(collection, id, pushedValue) {
+        updateSyncSettings(settings => {
+            if (settings.pending[collection][id] === pushedValue) {
+                delete settings.pending[collection][id];
+            }
+        });
+    }
+
+    // Replaces or removes a local record with the server's copy; returns whether anything changed
+    function applyRemoteRecord(collection, remote) {
+        const records = store.data[collection];
+        const index = records.findIndex(record => record.id === remote.id);
+        const local = index === -1 ? null : records[index];
+        const pending = loadSyncSettings().pending[collection];
+
+        // A local change that hasn't reached the server yet wins if it's newer
+        if (remote.id in pending) {
+            const localTime = local ? local.updatedAt : pending[remote.id];
+            if (localTime && localTime > remote.updatedAt) return false;
+        }
+
+        if (remote.deleted) {
+            if (index === -1) return false;
+            records.splice(index, 1);
+            return true;
+        }
+        if (local && sameValue(local, remote)) return false;
+        if (index === -1) {
+            records.push(remote);
+        } else {
+            records[index] = remote;
+        }
+        return true;
+    }
+
+    async function pushPending(backend) {
+        const { pending } = loadSyncSettings();
+        let changed = false;
+
+        for (const collection of SYNCED_COLLECTIONS) {
+            for (const [id, deletedAt] of Object.entries(pending[collection])) {
+                const record = store.data[collection].find(item => item.id === id);
+                const pushedAt = record ? record.updatedAt : null;
+                const result = record
+                    ? await backend.putRecord(collection, record)
+                    : await backend.deleteRecord(collection, id, deletedAt || new Date().toISOString());
+                const current = store.data[collection].find(item => item.id === id);
+                if ((current ? current.updatedAt : null) === pushedAt) clearPending(collection, id, deletedAt);
+                // The server kept a newer copy; take it instead
+                if (!result.applied && applyRemoteRecord(collection, result.record)) changed = true;
+            }
+        }
+
+        for (const [id, deletedAt] of Object.entries(pending.images)) {
+            const image = deletedAt ? null : await getImageRecord(id);
+            if (image) {
+                // A photo in another format (HEIC, BMP, ...) goes up as its JPEG thumbnail
+                const blob = [image.full, image.thumb].find(candidate => candidate && SYNCABLE_IMAGE_TYPES.includes(candidate.type));
+                if (blob) await backend.putImage(id, blob, image.updatedAt);
+            } else {
+                await backend.deleteImage(id, deletedAt || new Date().toISOString());
+            }
+            clearPending('images', id, deletedAt);
+        }
+        return changed;
+    }
+
+    async function pullChanges(backend) {
+        const { cursor, pending } = loadSyncSettings();
+        const changes = await backend.fetchChanges(cursor);
+        let changed = false;
+
+        SYNCED_COLLECTIONS.forEach(collection => {
+            (changes[collection] || []).forEach(remote => {
+                if (applyRemoteRecord(collection, remote)) changed = true;
+            });
+        });
+
+        for (const remote of changes.images || []) {
+            const local = await getImageRecord(remote.id);
+            if (local && local.updatedAt >= remote.updatedAt) continue;
+            if (!local && remote.id in pending.images) continue; // Deleted here since
+            if (!remote.deleted) {
+                await saveImage(remote.id, await backend.getImage(remote.id), { track: false, updatedAt: remote.updatedAt });
+                changed = true;
+            } else if (local) {
+                // Left alone while another profile or the shared pool still shows it
+                if (await deleteUnreferencedImages([remote.id], { track: false })) changed = true;
+            }
+        }
+
+        updateSyncSettings(settings => {
+            settings.cursor = changes.seq;
+        });
+        return changed;
+    }
+
+    async function runSync() {
+        const backend = getActiveBackend();
+        if (!backend) return false;
+
+        try {
+            if (!navigator.onLine) throw new Error('This device is offline');
+            const pushed = await pushPending(backend);
+            const pulled = await pullChanges(backend);
+            if (pushed || pulled) saveData({ track: false });
+            updateSyncSettings(settings => {
+                settings.lastSyncedAt = new Date().toISOString();
+                settings.lastError = null;
+            });
+            return true;
+        } catch (error) {
+            console.error('Sync failed:', error);
+            updateSyncSettings(settings => {
+                settings.lastError = error.name === 'AbortError' ? 'The server did not respond' : error.message;
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Pushes queued changes to the active backend, then pulls everything
+     * changed there since the last sync. Concurrent calls share one run.
+     */
+    function syncNow() {
+        clearTimeout(syncTimer);
+        if (!syncPromise) {
+            syncPromise = runSync().finally(() => {
+                syncPromise = null;
+                notifySyncStatus();
+            });
+            notifySyncStatus();
+        }
+        return syncPromise;
+    }
+
+    // Listens everywhere; syncNow does nothing while the backend is 'local'
+    function initServerSync() {
+        window.addEventListener('online', syncNow);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') syncNow();
+        });
+        setInterval(() => {
+            if (document.visibilityState === 'visible') syncNow();
+        }, SYNC_INTERVAL);
+        syncNow();
+    }
+
+    // --- Safe HTML ---
+
+    /*
+        Markup is built with the html`` tag, which escapes every interpolated
+        value unless it is SafeHtml: the result of another html`` call, or
+        trusted markup wrapped in raw(). Arrays are joined and null, undefined
+        and false render nothing, so lists and conditionals can be inlined.
+        Write to the page with setHtml(), which escapes plain strings too.
+    */
+    class SafeHtml {
+        constructor(markup) {
+            this.markup = markup;
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function renderHtmlValue(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+        if (value == null || value === false) return '';
+        return escapeHtml(value);
+    }
+
+    function html(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, string, i) =>
+            markup + string + (i < values.length ? renderHtmlValue(values[i]) : ''), ''));
+    }
+
+    // Only for markup that never contains user data (icons, static snippets)
+    function raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    // Like Array#join, escaping each part (and the separator unless it's SafeHtml)
+    function joinHtml(parts, separator = '') {
+        return parts.map((part, i) => html`${i > 0 ? separator : ''}${part}`);
+    }
+
+    function setHtml(element, content) {
+        element.innerHTML = renderHtmlValue(content);
+    }
+
+    // Colors end up in style attributes, where escaping alone doesn't stop CSS injection
+    function safeColor(value, fallback = '#cccccc') {
+        return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? value : fallback;
+    }
+
+    // --- Charts ---
+
+    /*
+        Small SVG charts for the dashboard, drawn locally so they work offline.
+        Rows are { label, value, href?, color?, title? }; a row with an href
+        becomes a link. Each chart has an aria-label and per-row <title>
+        tooltips for screen readers and hover.
+    */
+    const CHART_WIDTH = 320;
+    const CHART_LABEL_LENGTH = 14;
+
+    function shortenLabel(label) {
+        return label.length > CHART_LABEL_LENGTH ? label.slice(0, CHART_LABEL_LENGTH - 1) + '\u2026' : label;
+    }
+
+    function chartLink(href, content) {
+        return href ? html`<a href="${href}">${content}</a>` : content;
+    }
+
+    function createChartEmpty(text) {
+        return html`<p class="chart-empty">${text}</p>`;
+    }
+
+    // Horizontal bars, one row per entry
+    function createBarChart(rows, { label, formatValue = row => String(row.value), emptyText = 'No data yet' }) {
+        if (!rows.some(row => row.value > 0)) return createChartEmpty(emptyText);
+
+        const rowHeight = 28;
+        const barHeight = 18;
+        const labelWidth = 110;
+        const valueWidth = 70;
+        const barArea = CHART_WIDTH - labelWidth - valueWidth;
+        const max = Math.max(...rows.map(row => row.value));
+        const height = rows.length * rowHeight;
+
+        return html`
+            <svg class="chart chart-bars" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${label}">
+                ${rows.map((row, i) => {
+                    const y = i * rowHeight;
+                    const width = row.value > 0 ? Math.max(row.value / max * barArea, 2) : 0;
+                    const value = formatValue(row);
+                    return chartLink(row.href, html`
+                        <g class="chart-row">
+                            <title>${row.title || row.label}: ${value}</title>
+                            <text class="chart-label" x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${shortenLabel(row.label)}</text>
+                            <rect class="chart-bar" x="${labelWidth}" y="${y + (rowHeight - barHeight) / 2}" width="${width}" height="${barHeight}" rx="3"${row.color && html` style="fill: ${safeColor(row.color)}"`}></rect>
+                            <text class="chart-value" x="${labelWidth + width + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle">${value}</text>
+                        </g>
+                    `);
+                })}
+            </svg>
+        `;
+    }
+
+    // Vertical columns along a time axis
+    function createColumnChart(columns, { label, emptyText = 'No data yet' }) {
+        if (!columns.some(column => column.value > 0)) return createChartEmpty(emptyText);
+
+        const height = 160;
+        const axisHeight = 20;
+        const valueHeight = 16;
+        const plotHeight = height - axisHeight - valueHeight;
+        const columnWidth = CHART_WIDTH / columns.length;
+        const barWidth = columnWidth * 0.6;
+        const max = Math.max(...columns.map(column => column.value));
+
+        return html`
+            <svg class="chart chart-columns" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${label}">
+                <line class="chart-axis" x1="0" x2="${CHART_WIDTH}" y1="${height - axisHeight}" y2="${height - axisHeight}"></line>
+                ${columns.map((column, i) => {
+                    const barHeight = column.value > 0 ? Math.max(column.value / max * plotHeight, 2) : 0;
+                    const x = i * columnWidth + (columnWidth - barWidth) / 2;
+                    const top = height - axisHeight - barHeight;
+                    return chartLink(column.href, html`
+                        <g class="chart-row">
+                            <title>${column.title || column.label}: ${column.value}</title>
+                            <rect class="chart-bar" x="${x}" y="${top}" width="${barWidth}" height="${barHeight}" rx="2"></rect>
+                            ${column.value > 0 && html`<text class="chart-value" x="${x + barWidth / 2}" y="${top - 4}" text-anchor="middle">${column.value}</text>`}
+                            <text class="chart-label" x="${x + barWidth / 2}" y="${height - 6}" text-anchor="middle">${column.label}</text>
+                        </g>
+                    `);
+                })}
+            </svg>
+        `;
+    }
+
+    // A ring filled to `percent`, starting at 12 o'clock
+    function createDonutChart(percent, { label, href = null }) {
+        // r = 100 / 2π makes the circumference 100, so dash lengths are percentages
+        const ring = html`
+            <circle class="chart-track" cx="21" cy="21" r="15.9155" fill="none" stroke-width="5"></circle>
+            <circle class="chart-ring" cx="21" cy="21" r="15.9155" fill="none" stroke-width="5"
+                stroke-dasharray="${percent} ${100 - percent}" stroke-dashoffset="25"></circle>
+            <text class="chart-total" x="21" y="21" text-anchor="middle" dominant-baseline="central">${percent}%</text>
+        `;
+        return html`
+            <svg class="chart chart-donut" viewBox="0 0 42 42" role="img" aria-label="${label}">
+                <title>${label}</title>
+                ${chartLink(href, ring)}
+            </svg>
+        `;
+    }
+
+    // --- Routing ---
+
+    /*
+        The app is one page: index.html holds the navbar and a <template>
+        per view, and the hash decides which view fills #app:
+          #/                      dashboard
+          #/clothes               My Clothes grid
+          #/clothes/new           add form
+          #/clothes/:id           item detail
+          #/clothes/:id/edit      edit form
+          #/combinations          all combinations
+          #/combinations/:id      one combination
+          #/calendar, #/trips, #/categories, #/trash
+        A route may carry a query, e.g. #/clothes?category=Tops for filters.
+        Moving between routes of the same view hands the new route to the
+        view's onRoute handlers; moving to another view tears the old one
+        down (see onViewExit) and builds the new one from its template.
+    */
+    const ROUTES = [
+        { name: 'dashboard', pattern: '/', view: 'dashboard' },
+        { name: 'clothes', pattern: '/clothes', view: 'clothes' },
+        { name: 'addCloth', pattern: '/clothes/new', view: 'clothForm' },
+        { name: 'cloth', pattern: '/clothes/:id', view: 'clothes' },
+        { name: 'editCloth', pattern: '/clothes/:id/edit', view: 'clothForm' },
+        { name: 'combinations', pattern: '/combinations', view: 'combinations' },
+        { name: 'combination', pattern: '/combinations/:id', view: 'combinations' },
+        { name: 'calendar', pattern: '/calendar', view: 'calendar' },
+        { name: 'trips', pattern: '/trips', view: 'trips' },
+        { name: 'categories', pattern: '/categories', view: 'categories' },
+        { name: 'trash', pattern: '/trash', view: 'trash' }
+    ];
+
+    // `remount` views are filled once, so any route change rebuilds them
+    const VIEWS = {
+        dashboard: { template: 'view-dashboard', title: 'Smart Cloth Management - Dashboard', nav: '#/', init: initDashboardView },
+        clothes: { template: 'view-clothes', title: 'My Clothes - Smart Cloth Management', nav: '#/clothes', init: initViewClothesPage },
+        clothForm: { template: 'view-cloth-form', title: 'Add New Cloth - Smart Cloth Management', nav: '#/clothes/new', init: initAddClothPage, remount: true },
+        combinations: { template: 'view-combinations', title: 'Outfit Combinations - Smart Cloth Management', nav: '#/combinations', init: initCombinationsPage },
+        calendar: { template: 'view-calendar', title: 'Outfit Planner - Smart Cloth Management', nav: '#/calendar', init: initCalendarPage },
+        trips: { template: 'view-trips', title: 'Trip Packing - Smart Cloth Management', nav: '#/trips', init: initTripsPage },
+        categories: { template: 'view-categories', title: 'Categories - Smart Cloth Management', nav: '#/categories', init: initCategoriesPage },
+        trash: { template: 'view-trash', title: 'Trash - Smart Cloth Management', nav: '#/trash', init: initTrashPage }
+    };
+
+    // The mounted view: { name, controller, cleanups, routeHandlers }
+    let currentView = null;
+
+    function splitHash(hash = window.location.hash) {
+        const [path, query = ''] = hash.replace(/^#/, '').split('?');
+        return { path: path || '/', query };
+    }
+
+    // Returns { route, params, query } for the hash, or null if it isn't a known route
+    function matchRoute(hash = window.location.hash) {
+        const { path, query } = splitHash(hash);
+        for (const route of ROUTES) {
+            const keys = [];
+            const pattern = new RegExp(`^${route.pattern.replace(/:(\w+)/g, (_, key) => {
+                keys.push(key);
+                return '([^/]+)';
+            })}/?$`);
+            const match = path.match(pattern);
+            if (!match) continue;
+            try {
+                const params = {};
+                keys.forEach((key, i) => {
+                    params[key] = decodeURIComponent(match[i + 1]);
+                });
+                return { route, params, query: new URLSearchParams(query) };
+            } catch (error) {
+                return null; // Malformed escape in the URL
+            }
+        }
+        return null;
+    }
+
+    // `query` is a query string or URLSearchParams
+    function routeUrl(name, params = {}, query = '') {
+        const route = ROUTES.find(item => item.name === name);
+        const path = route.pattern.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
+        const queryString = String(query);
+        return `#${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    function getRouteQuery() {
+        return new URLSearchParams(splitHash().query);
+    }
+
+    // Rewrites the current route's query in place, without a history entry or a route change
+    function setRouteQuery(query) {
+        const queryString = String(query);
+        history.replaceState(null, '', `#${splitHash().path}${queryString ? `?${queryString}` : ''}`);
+    }
+
+    /**
+     * Calls handler({ route, params, query }) for the current route now and
+     * after every route change that stays on this view, including back and
+     * forward. Only valid while a view is being set up.
+     */
+    function onRoute(handler) {
+        currentView.routeHandlers.push(handler);
+        handler(matchRoute());
+    }
+
+    // Runs `cleanup` when the current view is left: unsubscribe functions, timers, ...
+    function onViewExit(cleanup) {
+        currentView.cleanups.push(cleanup);
+    }
+
+    // Pass as { signal } to window and document listeners so they end with the view
+    function viewSignal() {
+        return currentView.controller.signal;
+    }
+
+    function unmountView() {
+        if (!currentView) return;
+        currentView.controller.abort();
+        currentView.cleanups.forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.error('Error leaving view:', error);
+            }
+        });
+        currentView = null;
+        // A modal left open would otherwise keep the page from scrolling
+        document.body.style.overflow = '';
+    }
+
+    function mountView(name) {
+        const view = VIEWS[name];
+        const app = document.getElementById('app');
+        unmountView();
+        currentView = { name, controller: new AbortController(), cleanups: [], routeHandlers: [] };
+        app.replaceChildren(document.getElementById(view.template).content.cloneNode(true));
+        document.title = view.title;
+        document.querySelectorAll('.nav-links a').forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === view.nav);
+        });
+        window.scrollTo(0, 0);
+        try {
+            view.init();
+        } catch (error) {
+            console.error(`Error setting up the ${name} view:`, error);
+        }
+    }
+
+    function renderRoute() {
+        const match = matchRoute();
+        if (!match) {
+            // Unknown or stale links land on the dashboard
+            window.location.replace('#/');
+            return;
+        }
+        const name = match.route.view;
+        if (currentView && currentView.name === name && !VIEWS[name].remount) {
+            currentView.routeHandlers.forEach(handler => handler(match));
+        } else {
+            mountView(name);
+        }
+    }
+
+    function initRouter() {
+        window.addEventListener('hashchange', renderRoute);
+        renderRoute();
+    }
+
+    // --- UI Rendering ---
+
+    const TOAST_DURATION = 5000;
+
+    /**
+     * Shows a short, non-blocking message in the corner of the page, with an
+     * optional { label, onClick } action button such as "Undo".
+     */
+    function showToast(message, { type = 'info', duration = TOAST_DURATION, action = null } = {}) {
+        let container = document.querySelector('.toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'toast-container';
+            container.setAttribute('role', 'status');
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), duration);
+        return toast;
+    }
+
+    /**
+     * <option>s for the category tree, indented by depth. Options carry the
+     * category name unless `valueKey` is 'id'; `exclude` drops ids (and
+     * their subcategories).
+     */
+    function createCategoryOptions({ placeholder = '', selected = '', valueKey = 'name', exclude = [] } = {}) {
+        const excluded = new Set(exclude.flatMap(id => [id, ...getDescendantIds(id)]));
+        return html`
+            ${placeholder && html`<option value="">${placeholder}</option>`}
+            ${getCategoryTree()
+                .filter(({ category }) => !excluded.has(category.id))
+                .map(({ category, depth }) => html`
+                    <option value="${category[valueKey]}"${category[valueKey] === selected && raw(' selected')}>${'\u00a0\u00a0\u00a0'.repeat(depth)}${category.name}</option>
+                `)}
+        `;
+    }
+
+    // Brand, size, material, badges, price and tags shown under a cloth's color
+    function createClothDetails(cloth) {
+        const meta = [cloth.brand, cloth.size && `Size ${cloth.size}`, cloth.material].filter(Boolean);
+        const badges = [
+            ...(cloth.seasons || []).map(season => getLabel(SEASONS, season)),
+            cloth.occasion && getLabel(OCCASIONS, cloth.occasion)
+        ].filter(Boolean);
+        const price = formatPrice(cloth.price, cloth.currency);
+        const purchased = cloth.purchaseDate
+            ? `Bought ${new Date(cloth.purchaseDate + 'T00:00:00').toLocaleDateString()}`
+            : '';
+
+        return html`
+            ${meta.length > 0 && html`<div class="cloth-meta">${joinHtml(meta, raw(' &middot; '))}</div>`}
+            ${(badges.length > 0 || cloth.shared) && html`
+                <div class="cloth-badges">
+                    ${cloth.shared && html`<span class="badge badge-shared" title="Shared with every profile"><i class="fas fa-users"></i> Shared</span>`}
+                    ${badges.map(badge => html`<span class="badge">${badge}</span>`)}
+                </div>
+            `}
+            ${(price || purchased) && html`
+                <div class="cloth-meta">${joinHtml([price, purchased].filter(Boolean), raw(' &middot; '))}</div>
+            `}
+            ${cloth.tags && cloth.tags.length > 0 && html`
+                <div class="cloth-tags">
+                    ${cloth.tags.map(tag => html`<span class="tag">${tag}</span>`)}
+                </div>
+            `}
+        `;
+    }
+
+    // Wear count, last-worn date, cost per wear and laundry state
+    function createWearDetails(cloth) {
+        const wearCount = cloth.wearCount || 0;
+        const costPerWear = getCostPerWear(cloth);
+        const parts = [
+            wearCount ? `Worn ${wearCount}\u00d7` : 'Never worn',
+            cloth.lastWornAt && `last ${new Date(cloth.lastWornAt + 'T00:00:00').toLocaleDateString()}`,
+            costPerWear != null && `${formatPrice(costPerWear, cloth.currency)}/wear`
+        ].filter(Boolean);
+
+        return html`
+            <div class="cloth-meta wear-details">
+                ${isInLaundry(cloth) && html`<span class="badge badge-laundry">In laundry</span>`}
+                ${joinHtml(parts, raw(' &middot; '))}
+            </div>
+        `;
+    }
+
+    // Swatches plus a harmony score badge for a set of outfit colors
+    function createHarmonySummary(colors) {
+        const harmony = scorePaletteHarmony(colors);
+        if (!harmony) return html``;
+
+        return html`
+            <div class="harmony-summary">
+                <div class="palette-swatches">
+                    ${colors.map(color => html`<span class="palette-swatch" style="background-color: ${safeColor(color)}" title="${getColorName(color)}"></span>`)}
+                </div>
+                <span class="harmony-badge harmony-${getHarmonyLevel(harmony.score)}" title="Color harmony score">
+                    ${harmony.score} &middot; ${harmony.label}
+                </span>
+            </div>
+        `;
+    }
+
+    // Pass `selected` (true or false) to show a selection checkbox on the card
+    function createClothCard(cloth, { selected = null } = {}) {
+        return html`
+            <div class="cloth-card${isInLaundry(cloth) ? ' in-laundry' : ''}${selected && ' is-selected'}" data-id="${cloth.id}">
+                ${selected !== null && html`
+                    <label class="cloth-select">
+                        <input type="checkbox" class="cloth-select-input" data-id="${cloth.id}"${selected && raw(' checked')} aria-label="Select ${cloth.category || 'item'}">
+                    </label>
+                `}
+                <a href="${routeUrl('cloth', { id: cloth.id })}" class="cloth-image-link" tabindex="-1">
+                    <img ${imageAttrs(cloth)} alt="${cloth.category}" class="cloth-image" onerror="this.src='${ERROR_IMAGE_URL}'">
+                </a>
+                <div class="cloth-info">
+                    <div class="cloth-category">
+                        <a href="${routeUrl('cloth', { id: cloth.id })}" class="cloth-detail-link">${cloth.category || 'Uncategorized'}</a>
+                    </div>
+                    <div class="color-container">
+                        <span class="cloth-color" style="background-color: ${safeColor(cloth.color)}"></span>
+                        <span>${cloth.color ? getColorName(cloth.color) : 'No Color'}</span>
+                        ${cloth.color && html`<span class="color-hex">${cloth.color}</span>`}
+                        ${(cloth.secondaryColors || []).map(color => html`
+                            <span class="cloth-color cloth-color-secondary" style="background-color: ${safeColor(color)}" title="${getColorName(color)}"></span>
+                        `)}
+                    </div>
+                    ${createClothDetails(cloth)}
+                    ${createWearDetails(cloth)}
+                    ${cloth.notes && html`<p class="cloth-notes">${cloth.notes}</p>`}
+                    <div class="cloth-actions">
+                        <button class="btn-icon btn-wear" data-id="${cloth.id}" aria-label="Wore this today" title="Wore this today">
+                            <i class="fas fa-check-circle"></i> Wore
+                        </button>
+                        <button class="btn-icon btn-laundry" data-id="${cloth.id}" aria-label="${isInLaundry(cloth) ? 'Mark as clean' : 'Send to laundry'}" title="${isInLaundry(cloth) ? 'Mark as clean' : 'Send to laundry'}">
+                            <i class="fas ${isInLaundry(cloth) ? 'fa-tshirt' : 'fa-soap'}"></i>
+                        </button>
+                        <a href="${routeUrl('editCloth', { id: cloth.id })}" class="btn-icon btn-edit" aria-label="Edit item">
+                            <i class="fas fa-edit"></i> Edit
+                        </a>
+                        <button class="btn-icon btn-delete" data-id="${cloth.id}" aria-label="Delete item">
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * The item detail view (#/clothes/:id): the full image, every field,
+     * the wear history and the combinations the item appears in. Its
+     * action buttons reuse the card classes, so handleWearAction works here.
+     */
+    function createClothDetailView(cloth) {
+        const categoryPath = getCategoryPath(cloth.category || 'Uncategorized').reverse().join(' \u203a ');
+        const colors = [cloth.color, ...(cloth.secondaryColors || [])].filter(Boolean);
+        const wearDates = [...new Set(store.data.wearLog
+            .filter(event => event.clothId === cloth.id)
+            .map(event => event.date))].sort().reverse();
+        const wornWith = new Map(store.data.wearLog
+            .filter(event => event.clothId === cloth.id && event.combinationId)
+            .map(event => [event.date, getCombinationById(event.combinationId)]));
+        const combinations = getCombinationsUsingCloth(cloth.id);
+        const costPerWear = getCostPerWear(cloth);
+
+        const facts = [
+            ['Category', categoryPath],
+            ['Brand', cloth.brand],
+            ['Size', cloth.size],
+            ['Material', cloth.material],
+            ['Seasons', (cloth.seasons || []).map(season => getLabel(SEASONS, season)).join(', ')],
+            ['Occasion', cloth.occasion && getLabel(OCCASIONS, cloth.occasion)],
+            ['Warmth', getWarmthLevel(cloth.warmth) && `${getWarmthLevel(cloth.warmth).label} (${cloth.warmth} of 5)`],
+            ['Price', formatPrice(cloth.price, cloth.currency)],
+            ['Purchased', cloth.purchaseDate && parseDateKey(cloth.purchaseDate).toLocaleDateString()],
+            ['Times worn', String(cloth.wearCount || 0)],
+            ['Last worn', cloth.lastWornAt && parseDateKey(cloth.lastWornAt).toLocaleDateString()],
+            ['Cost per wear', costPerWear != null && formatPrice(costPerWear, cloth.currency)],
+            ['Laundry', `${isInLaundry(cloth) ? 'In laundry' : 'Clean'} (${cloth.wearsSinceWash || 0} of ${getWearsBeforeWash(cloth)} wears before washing)`],
+            ['Added', cloth.createdAt && new Date(cloth.createdAt).toLocaleDateString()],
+            ['Last changed', cloth.updatedAt && new Date(cloth.updatedAt).toLocaleString()]
+        ].filter(([, value]) => value);
+
+        return html`
+            <div class="cloth-detail-header">
+                <a href="#/clothes" class="btn btn-cancel"><i class="fas fa-arrow-left"></i> All clothes</a>
+                <div class="cloth-actions">
+                    <button class="btn-icon btn-wear" data-id="${cloth.id}" title="Wore this today">
+                        <i class="fas fa-check-circle"></i> Wore today
+                    </button>
+                    <button class="btn-icon btn-laundry" data-id="${cloth.id}">
+                        <i class="fas ${isInLaundry(cloth) ? 'fa-tshirt' : 'fa-soap'}"></i> ${isInLaundry(cloth) ? 'Mark as clean' : 'Send to laundry'}
+                    </button>
+                    <a href="${routeUrl('editCloth', { id: cloth.id })}" class="btn-icon btn-edit">
+                        <i class="fas fa-edit"></i> Edit
+                    </a>
+                    <button class="btn-icon btn-delete" data-id="${cloth.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </div>
+
+            <div class="cloth-detail-body${isInLaundry(cloth) ? ' in-laundry' : ''}">
+                <img ${imageAttrs(cloth)} data-image-variant="full" alt="${cloth.category}" class="cloth-detail-image" onerror="this.src='${ERROR_IMAGE_URL}'">
+                <div class="cloth-detail-info">
+                    <h2>${cloth.category || 'Uncategorized'}</h2>
+                    ${cloth.shared && html`<span class="badge badge-shared" title="Shared with every profile"><i class="fas fa-users"></i> Shared</span>`}
+                    <div class="cloth-detail-colors">
+                        ${colors.length > 0
+                            ? colors.map(color => html`
+                                <span class="color-container">
+                                    <span class="cloth-color" style="background-color: ${safeColor(color)}"></span>
+                                    <span>${getColorName(color)}</span>
+                                    <span class="color-hex">${color} &middot; ${getLabel(COLOR_FAMILIES, getColorFamily(color))}</span>
+                                </span>
+                            `)
+                            : html`<span class="color-container">No Color</span>`}
+                    </div>
+                    <dl class="cloth-facts">
+                        ${facts.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+                    </dl>
+                    ${cloth.tags && cloth.tags.length > 0 && html`
+                        <div class="cloth-tags">
+                            ${cloth.tags.map(tag => html`<span class="tag">${tag}</span>`)}
+                        </div>
+                    `}
+                    ${cloth.notes && html`<p class="cloth-notes">${cloth.notes}</p>`}
+                </div>
+            </div>
+
+            <div class="cloth-detail-section">
+                <h3>In ${combinations.length} combination${combinations.length === 1 ? '' : 's'}</h3>
+                ${combinations.length > 0
+                    ? html`
+                        <ul class="cloth-detail-list">
+                            ${combinations.map(combo => html`
+                                <li>
+                                    <a href="${routeUrl('combination', { id: combo.id })}">${combo.name || 'Unnamed Outfit'}</a>
+                                    ${combo.favorite && html`<i class="fas fa-star" title="Favorite"></i>`}
+                                    <small>${combo.items.length} items</small>
+                                </li>
+                            `)}
+                        </ul>
+                    `
+                    : html`<p class="cloth-detail-empty">Not part of any outfit yet. <a href="${routeUrl('combinations', {}, `items=${encodeURIComponent(cloth.id)}`)}">Create one</a></p>`}
+            </div>
+
+            <div class="cloth-detail-section">
+                <h3>Wear history</h3>
+                ${wearDates.length > 0
+                    ? html`
+                        <ul class="cloth-detail-list">
+                            ${wearDates.map(date => html`
+                                <li>
+                                    ${parseDateKey(date).toLocaleDateString()}
+                                    ${wornWith.get(date) && html`<small>with <a href="${routeUrl('combination', { id: wornWith.get(date).id })}">${wornWith.get(date).name || 'Unnamed Outfit'}</a></small>`}
+                                </li>
+                            `)}
+                        </ul>
+                    `
+                    : html`<p class="cloth-detail-empty">Never worn.</p>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Handles the wear and laundry buttons on cloth cards. Returns true when
+     * the click changed an item, so the caller can re-render.
+     */
+    function handleWearAction(e) {
+        const wearBtn = e.target.closest('.btn-wear');
+        if (wearBtn) {
+            e.preventDefault();
+            const events = recordChange('Log wear', () => logWear([wearBtn.getAttribute('data-id')]));
+            if (events.length === 0) {
+                alert('This item is already logged as worn today.');
+                return false;
+            }
+            return true;
+        }
+
+        const laundryBtn = e.target.closest('.btn-laundry');
+        if (laundryBtn) {
+            e.preventDefault();
+            const cloth = getClothById(laundryBtn.getAttribute('data-id'));
+            if (!cloth) return false;
+            return setLaundryState(cloth.id, isInLaundry(cloth) ? 'clean' : 'laundry');
+        }
+        return false;
+    }
+
+    // --- Page Initializers ---
+
+    const WEAR_LIST_SIZE = 5;
+
+    function renderWearList(container, clothes, emptyText, describe) {
+        if (!container) return;
+        setHtml(container, clothes.length > 0
+            ? clothes.map(cloth => html`
+                <li class="wear-list-item">
+                    <img ${imageAttrs(cloth, SMALL_NO_IMAGE_URL)} alt="${cloth.category}">
+                    <div class="wear-list-info">
+                        <span>${cloth.category || 'Uncategorized'}</span>
+                        <small>${describe(cloth)}</small>
+                    </div>
+                    ${isInLaundry(cloth) && html`
+                        <button class="btn-icon btn-laundry" data-id="${cloth.id}" title="Mark as clean" aria-label="Mark as clean">
+                            <i class="fas fa-tshirt"></i>
+                        </button>
+                    `}
+                </li>
+            `)
+            : html`<li class="wear-list-empty">${emptyText}</li>`);
+        hydrateImages(container);
+    }
+
+    // Draws the dashboard stats; safe to call again after data changes
+    function renderDashboard() {
+        const totalClothesEl = document.getElementById('totalClothes');
+        if (totalClothesEl) {
+            totalClothesEl.textContent = store.data.clothes.length;
+        }
+
+        const categoryStatsEl = document.getElementById('categoryStats');
+        if (categoryStatsEl) {
+            // One card per top-level category, counting everything filed under it
+            const groups = new Map();
+            store.data.clothes.forEach(cloth => {
+                const root = getRootCategory(cloth.category);
+                const name = root ? root.name : (cloth.category || '');
+                if (!groups.has(name)) groups.set(name, { count: 0, subcategories: new Map() });
+                const group = groups.get(name);
+                group.count++;
+                if (cloth.category && cloth.category !== name) {
+                    group.subcategories.set(cloth.category, (group.subcategories.get(cloth.category) || 0) + 1);
+                }
+            });
+            const treeOrder = getCategoryTree().map(({ category }) => category.name);
+            const position = name => treeOrder.includes(name) ? treeOrder.indexOf(name) : treeOrder.length;
+
+            const cards = [...groups.entries()]
+                .sort(([a], [b]) => position(a) - position(b))
+                .map(([category, { count, subcategories }]) => html`
+                <div class="stat-card" style="padding: 1rem;"> 
+                    <h4 style="font-weight: 500; color: var(--gray); margin-bottom: 0.5rem;">
+                        ${category ? html`<a href="${clothesViewUrl({ categories: [category] })}" class="category-stat-link">${category}</a>` : 'Uncategorized'}
+                    </h4>
+                    <div class="stat-number" style="font-size: 2rem;">${count}</div>
+                    ${subcategories.size > 0 && html`
+                        <div class="category-breakdown">
+                            ${joinHtml([...subcategories].sort(([a], [b]) => position(a) - position(b)).map(([name, value]) => `${name} ${value}`), raw(' &middot; '))}
+                        </div>
+                    `}
+                </div>`);
+            categoryStatsEl.style.display = 'grid';
+            categoryStatsEl.style.gridTemplateColumns = 'repeat(auto-fit, minmax(100px, 1fr))';
+            categoryStatsEl.style.gap = '1rem';
+            setHtml(categoryStatsEl, cards.length > 0 ? cards : html`<p>No categories yet</p>`);
+        }
+
+        const favoriteCombosEl = document.getElementById('favoriteCombos');
+        if (favoriteCombosEl) {
+            favoriteCombosEl.textContent = store.data.combinations.filter(combo => combo.favorite).length;
+        }
+
+        const recentClothesEl = document.getElementById('recentClothes');
+        if (recentClothesEl) {
+            const recent = [...store.data.clothes]
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .slice(0, 4); 
+                
+            setHtml(recentClothesEl, recent.length > 0 
+                ? recent.map(cloth => createClothCard(cloth))
+                : html`<div class="empty-state" style="grid-column: 1 / -1;"><p>No clothes added yet. Add your first item!</p></div>`);
+            hydrateImages(recentClothesEl);
+        }
+
+        const todayOutfitEl = document.getElementById('todayOutfit');
+        if (todayOutfitEl) {
+            const today = toDateKey(new Date());
+            const plan = getPlanForDate(today);
+            const combo = plan && getCombinationById(plan.combinationId);
+
+            if (combo) {
+                const comboClothes = combo.items.map(getClothById).filter(Boolean);
+                const warnings = getPlanWarnings(today);
+                setHtml(todayOutfitEl, html`
+                    <div class="combination-card">
+                        <div class="combination-header">
+                            <h3 class="combination-title">
+                                <a href="${routeUrl('combination', { id: combo.id })}">${combo.name || 'Unnamed Outfit'}</a>
+                            </h3>
+                            <a href="${routeUrl('calendar')}" class="btn-icon" aria-label="Open planner">
+                                <i class="fas fa-calendar-alt"></i>
+                            </a>
+                        </div>
+                        <div class="combination-items">
+                            ${comboClothes.map(item => html`
+                                <a href="${routeUrl('cloth', { id: item.id })}" class="combination-item${isInLaundry(item) ? ' in-laundry' : ''}">
+                                    <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} alt="${item.category}">
+                                    <div class="combination-item-category">${item.category}</div>
+                                </a>
+                            `)}
+                        </div>
+                        ${warnings.length > 0 && html`
+                            <ul class="plan-warnings">
+                                ${warnings.map(warning => html`
+                                    <li><i class="fas fa-exclamation-triangle"></i> ${warning.message}</li>
+                                `)}
+                            </ul>
+                        `}
+                    </div>
+                `);
+                hydrateImages(todayOutfitEl);
+            } else {
+                setHtml(todayOutfitEl, html`
+                    <div class="empty-state">
+                        <p>No outfit planned for today.</p>
+                        <a href="${routeUrl('calendar', {}, `view=week&date=${today}`)}" class="btn btn-primary">Plan One</a>
+                    </div>
+                `);
+            }
+        }
+
+        const mostWornEl = document.getElementById('mostWorn');
+        const neverWornEl = document.getElementById('neverWorn');
+        const inLaundryEl = document.getElementById('inLaundry');
+        const colorName = (cloth) => cloth.color ? getColorName(cloth.color) : 'No Color';
+
+        renderWearList(
+            mostWornEl,
+            store.data.clothes
+                .filter(cloth => cloth.wearCount > 0)
+                .sort((a, b) => b.wearCount - a.wearCount)
+                .slice(0, WEAR_LIST_SIZE),
+            'Nothing worn yet',
+            (cloth) => {
+                const costPerWear = getCostPerWear(cloth);
+                return html`${cloth.wearCount} wear${cloth.wearCount === 1 ? '' : 's'}${costPerWear != null && html` &middot; ${formatPrice(costPerWear, cloth.currency)}/wear`}`;
+            }
+        );
+        renderWearList(
+            neverWornEl,
+            store.data.clothes
+                .filter(cloth => !cloth.wearCount)
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                .slice(0, WEAR_LIST_SIZE),
+            'Everything has been worn',
+            (cloth) => html`${colorName(cloth)} &middot; added ${new Date(cloth.createdAt).toLocaleDateString()}`
+        );
+        renderWearList(
+            inLaundryEl,
+            store.data.clothes.filter(isInLaundry),
+            'Everything is clean',
+            colorName
+        );
+
+        renderAnalytics();
+    }
+
+    // Charts in the dashboard's Analytics section
+    function renderAnalytics() {
+        const analytics = getWardrobeAnalytics();
+        const render = (id, content) => {
+            const container = document.getElementById(id);
+            if (container) setHtml(container, content);
+        };
+
+        render('categoryChart', createBarChart(analytics.categories, {
+            label: 'Items per category',
+            emptyText: 'No clothes added yet'
+        }));
+        render('colorChart', createBarChart(analytics.families, {
+            label: 'Items per color family',
+            emptyText: 'No clothes added yet'
+        }));
+        render('monthlyChart', createColumnChart(analytics.months, {
+            label: `Items added in the last ${analytics.months.length} months`,
+            emptyText: `Nothing added in the last ${analytics.months.length} months`
+        }));
+        render('wearChart', createBarChart(analytics.wearFrequency, {
+            label: 'Items by number of times worn',
+            emptyText: 'No clothes added yet'
+        }));
+        render('costPerWearChart', createBarChart(analytics.costPerWear.map(row => ({
+            ...row,
+            title: [row.label, row.detail].filter(Boolean).join(', ')
+        })), {
+            label: 'Highest cost per wear',
+            formatValue: row => formatPrice(row.value, row.currency),
+            emptyText: 'Add prices and log wears to see cost per wear'
+        }));
+
+        const { worn, idle, percent } = analytics.utilization;
+        render('utilizationChart', analytics.total > 0
+            ? html`
+                <div class="utilization">
+                    ${createDonutChart(percent, {
+                        label: `${percent}% of items worn in the last ${UTILIZATION_DAYS} days`,
+                        href: clothesViewUrl({ usage: ['recent'] })
+                    })}
+                    <ul class="utilization-legend">
+                        <li><a href="${clothesViewUrl({ usage: ['recent'] })}"><span class="legend-dot legend-worn"></span>${worn} worn in the last ${UTILIZATION_DAYS} days</a></li>
+                        <li><a href="${clothesViewUrl({ usage: ['idle'] })}"><span class="legend-dot legend-idle"></span>${idle} not worn</a></li>
+                    </ul>
+                </div>
+            `
+            : createChartEmpty('No clothes added yet'));
+    }
+
+    /**
+     * Initializes the Dashboard view (#/) and its sections.
+     * `#/?section=<id>` scrolls to a section, e.g. the profiles.
+     */
+    function initDashboardView() {
+        initDashboardPage();
+        initWeatherSection();
+        initProfilesSection();
+        initBackupSection();
+        initSyncSection();
+
+        onRoute(match => {
+            const section = match && match.query.get('section');
+            const target = section && document.getElementById(section);
+            if (target) target.scrollIntoView();
+        });
+    }
+
+    /**
+     * Initializes the wardrobe overview at the top of the dashboard
+     */
+    function initDashboardPage() {
+        renderDashboard();
+        onViewExit(subscribe(() => renderDashboard()));
+
+        ['recentClothes', 'mostWorn', 'neverWorn', 'inLaundry'].forEach(id => {
+            const container = document.getElementById(id);
+            if (!container) return;
+            container.addEventListener('click', handleWearAction);
+        });
+    }
+
+    /**
+     * Initializes the weather panel on the dashboard: picks the weather
+     * source, then ranks saved outfits and clean pieces for the forecast.
+     */
+    function initWeatherSection() {
+        const daySelect = document.getElementById('weatherDay');
+        const providerSelect = document.getElementById('weatherProvider');
+        const temperatureInput = document.getElementById('weatherTemperature');
+        const conditionSelect = document.getElementById('weatherCondition');
+        const latitudeInput = document.getElementById('weatherLatitude');
+        const longitudeInput = document.getElementById('weatherLongitude');
+        const locateBtn = document.getElementById('weatherLocateBtn');
+        const unitSelect = document.getElementById('weatherUnit');
+        const updateBtn = document.getElementById('weatherUpdateBtn');
+        const summaryEl = document.getElementById('weatherSummary');
+        const outfitsEl = document.getElementById('weatherOutfits');
+        const picksEl = document.getElementById('weatherPicks');
+
+        if (!providerSelect || !summaryEl) return; // Not on this page
+
+        let forecast = null;
+        let request = 0; // So a slow answer can't replace a newer one
+
+        setHtml(providerSelect, Object.entries(WEATHER_PROVIDERS)
+            .map(([value, provider]) => html`<option value="${value}">${provider.label}</option>`));
+        setHtml(conditionSelect, WEATHER_CONDITIONS
+            .map(condition => html`<option value="${condition.value}">${condition.label}</option>`));
+
+        const isCoordinate = (value, limit) => value !== '' && Math.abs(Number(value)) <= limit;
+
+        function hasLocation() {
+            return isCoordinate(latitudeInput.value.trim(), 90) && isCoordinate(longitudeInput.value.trim(), 180);
+        }
+
+        function updateForm() {
+            const provider = WEATHER_PROVIDERS[providerSelect.value];
+            const manual = providerSelect.value === 'manual';
+            temperatureInput.hidden = !manual;
+            conditionSelect.hidden = !manual;
+            // Typed-in weather is for whichever day you typed it for
+            daySelect.hidden = manual;
+            [latitudeInput, longitudeInput, locateBtn].forEach(control => {
+                control.hidden = !provider.needsLocation;
+            });
+        }
+
+        function syncForm() {
+            const settings = loadWeatherSettings();
+            const { temperature } = settings.manual;
+            providerSelect.value = WEATHER_PROVIDERS[settings.provider] ? settings.provider : 'manual';
+            unitSelect.value = settings.unit;
+            conditionSelect.value = settings.manual.condition;
+            temperatureInput.value = temperature == null ? '' : Math.round(settings.unit === 'F' ? toFahrenheit(temperature) : temperature);
+            temperatureInput.placeholder = `Temperature (°${settings.unit})`;
+            latitudeInput.value = settings.latitude;
+            longitudeInput.value = settings.longitude;
+            updateForm();
+        }
+
+        // Stores the form; returns false (after saying why) when the location is missing
+        function saveForm() {
+            const provider = providerSelect.value;
+            if (WEATHER_PROVIDERS[provider].needsLocation && !hasLocation()) {
+                alert('Please enter a latitude and longitude, or press "Use my location".');
+                return false;
+            }
+            const typed = temperatureInput.value === '' ? null : Number(temperatureInput.value);
+            updateWeatherSettings(settings => {
+                // Keep the stored value unless the user changed it, so °F rounding doesn't creep in
+                const shown = settings.manual.temperature == null ? null
+                    : Math.round(settings.unit === 'F' ? toFahrenheit(settings.manual.temperature) : settings.manual.temperature);
+                const latitude = latitudeInput.value.trim();
+                const longitude = longitudeInput.value.trim();
+                if (latitude !== settings.latitude || longitude !== settings.longitude) settings.lastForecast = null;
+                settings.provider = provider;
+                settings.latitude = latitude;
+                settings.longitude = longitude;
+                if (typed !== shown) {
+                    settings.manual.temperature = typed == null ? null : settings.unit === 'F' ? fromFahrenheit(typed) : typed;
+                }
+                settings.manual.condition = conditionSelect.value;
+            });
+            return true;
+        }
+
+        function clearRecommendations() {
+            setHtml(outfitsEl, '');
+            setHtml(picksEl, '');
+        }
+
+        async function refresh() {
+            const current = ++request;
+            const settings = loadWeatherSettings();
+            const days = settings.provider === 'manual' ? 0 : Number(daySelect.value);
+            summaryEl.classList.remove('is-error');
+            summaryEl.textContent = 'Checking the weather...';
+            updateBtn.disabled = true;
+            try {
+                const result = await getWeather(addDays(toDateKey(new Date()), days), settings);
+                if (current !== request) return;
+                forecast = result;
+                renderRecommendations();
+            } catch (error) {
+                if (current !== request) return;
+                forecast = null;
+                // A blank manual temperature is the first-run state, not a failure
+                const failed = settings.provider !== 'manual';
+                if (failed) console.error('Error getting the weather:', error);
+                summaryEl.classList.toggle('is-error', failed);
+                summaryEl.textContent = error.message;
+                clearRecommendations();
+            } finally {
+                if (current === request) updateBtn.disabled = false;
+            }
+        }
+
+        function renderRecommendations() {
+            if (!forecast) return;
+            const { unit } = loadWeatherSettings();
+            const condition = getWeatherCondition(forecast.condition);
+            const { target, outfits, picks } = getWeatherRecommendations(forecast);
+            const level = getWarmthLevel(Math.round(target));
+            const details = [
+                forecast.high !== forecast.low && `${formatTemperature(forecast.low, unit)} to ${formatTemperature(forecast.high, unit)}`,
+                forecast.provider !== 'manual' && `${forecast.precipitation}% chance of rain`,
+                forecast.provider === 'mock' && 'sample weather',
+                forecast.stale && 'offline, showing the last forecast'
+            ].filter(Boolean);
+
+            setHtml(summaryEl, html`
+                <i class="fas ${condition.icon} weather-icon" aria-hidden="true"></i>
+                <div>
+                    <strong>${formatTemperature(forecast.temperature, unit)} &middot; ${condition.label}</strong>
+                    ${details.length > 0 && html`<small>${joinHtml(details, raw(' &middot; '))}</small>`}
+                    <small>Dress ${level.label.toLowerCase()}: ${level.hint}.</small>
+                </div>
+            `);
+
+            setHtml(outfitsEl, outfits.length > 0
+                ? outfits.map(({ combo, clothes, score, notes }) => html`
+                    <div class="weather-outfit">
+                        <div class="weather-outfit-header">
+                            <a href="${routeUrl('combination', { id: combo.id })}">${combo.name || 'Unnamed Outfit'}</a>
+                            <span class="suggestion-score" title="Weather fit">${score}</span>
+                        </div>
+                        <div class="weather-outfit-items">
+                            ${clothes.map(cloth => html`
+                                <a href="${routeUrl('cloth', { id: cloth.id })}" title="${getClothName(cloth)}">
+                                    <img ${imageAttrs(cloth, SMALL_NO_IMAGE_URL)} alt="${cloth.category}">
+                                </a>
+                            `)}
+                        </div>
+                        ${notes.length > 0 && html`<small class="weather-note">${joinHtml(notes, raw(' &middot; '))}</small>`}
+                    </div>
+                `)
+                : html`<p class="wear-list-empty">No saved outfit has every piece clean. <a href="${routeUrl('combinations')}">Create one</a></p>`);
+
+            setHtml(picksEl, picks.length > 0
+                ? picks.map(({ slot, items }) => html`
+                    <h4 class="weather-slot">${TRIP_SLOT_LABELS[slot]}</h4>
+                    <ul class="wear-list">
+                        ${items.map(({ cloth, score, note }) => html`
+                            <li class="wear-list-item">
+                                <img ${imageAttrs(cloth, SMALL_NO_IMAGE_URL)} alt="${cloth.category}">
+                                <div class="wear-list-info">
+                                    <a href="${routeUrl('cloth', { id: cloth.id })}">${getClothName(cloth)}</a>
+                                    <small>${note || describeWarmth(cloth)} &middot; fit ${score}</small>
+                                </div>
+                            </li>
+                        `)}
+                    </ul>
+                `)
+                : html`<p class="wear-list-empty">Add clothes with a category to get suggestions.</p>`);
+            hydrateImages(outfitsEl);
+            hydrateImages(picksEl);
+        }
+
+        function locate() {
+            if (!navigator.geolocation) {
+                alert("This browser can't share your location. Please enter it by hand.");
+                return;
+            }
+            locateBtn.disabled = true;
+            navigator.geolocation.getCurrentPosition(position => {
+                locateBtn.disabled = false;
+                latitudeInput.value = position.coords.latitude.toFixed(2);
+                longitudeInput.value = position.coords.longitude.toFixed(2);
+                if (saveForm()) refresh();
+            }, error => {
+                locateBtn.disabled = false;
+                alert(`Could not get your location: ${error.message}`);
+            }, { timeout: WEATHER_TIMEOUT });
+        }
+
+        providerSelect.addEventListener('change', () => {
+            updateForm();
+            // An online forecast needs a location first; wait for it rather than nag
+            if (WEATHER_PROVIDERS[providerSelect.value].needsLocation && !hasLocation()) {
+                forecast = null;
+                summaryEl.classList.remove('is-error');
+                summaryEl.textContent = 'Enter your location, or press "Use my location", to get the forecast.';
+                clearRecommendations();
+                return;
+            }
+            if (saveForm()) refresh();
+        });
+        [temperatureInput, conditionSelect].forEach(control => {
+            control.addEventListener('change', () => {
+                if (saveForm()) refresh();
+            });
+        });
+        unitSelect.addEventListener('change', () => {
+            updateWeatherSettings(settings => {
+                settings.unit = unitSelect.value;
+            });
+            syncForm();
+            renderRecommendations();
+        });
+        daySelect.addEventListener('change', refresh);
+        locateBtn.addEventListener('click', locate);
+        updateBtn.addEventListener('click', () => {
+            if (saveForm()) refresh();
+        });
+        onViewExit(subscribe(() => renderRecommendations()));
+
+        syncForm();
+        refresh();
+    }
+
+    /**
+     * Initializes the Backup & Restore section (dashboard)
+     */
+    function initBackupSection() {
+        const exportJsonBtn = document.getElementById('exportJsonBtn');
+        const exportZipBtn = document.getElementById('exportZipBtn');
+        const importFileInput = document.getElementById('importFile');
+        const importModal = document.getElementById('importModal');
+        const importSummaryEl = document.getElementById('importSummary');
+        const confirmImportBtn = document.getElementById('confirmImport');
+        const cancelImportBtn = document.getElementById('cancelImport');
+
+        if (!importFileInput || !importModal) return; // Not on this page
+
+        let pendingImport = null;
+
+        async function runExport(button, exporter) {
+            const label = raw(button.innerHTML);
+            button.disabled = true;
+            setHtml(button, html`<i class="fas fa-spinner fa-spin"></i> Exporting...`);
+            try {
+                await exporter();
+            } catch (error) {
+                console.error('Error exporting data:', error);
+                alert('An error occurred while exporting.');
+            } finally {
+                button.disabled = false;
+                setHtml(button, label);
+            }
+        }
+
+        function openImportModal(imported) {
+            pendingImport = imported;
+            const exportedAt = imported.exportedAt
+                ? ` exported on ${new Date(imported.exportedAt).toLocaleDateString()}`
+                : '';
+            importSummaryEl.textContent = `This file${exportedAt} contains ${imported.clothes.length} items, ` +
+                `${imported.combinations.length} combinations and ${imported.images.size} images.`;
+            importModal.querySelector('input[name="importMode"][value="merge"]').checked = true;
+            importModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+
+        function closeImportModal() {
+            importModal.style.display = 'none';
+            document.body.style.overflow = '';
+            importFileInput.value = '';
+            pendingImport = null;
+        }
+
+        async function confirmImport() {
+            if (!pendingImport) return;
+            const mode = importModal.querySelector('input[name="importMode"]:checked').value;
+            if (mode === 'replace' && !confirm('Replace your whole wardrobe with this file? Your current items and combinations will be removed (shared items stay).')) {
+                return;
+            }
+
+            confirmImportBtn.disabled = true;
+            try {
+                const summary = await applyImport(pendingImport, mode);
+                closeImportModal();
+                alert(`Imported ${summary.clothes} items and ${summary.combinations} combinations` +
+                    (summary.skipped ? ` (${summary.skipped} already in your closet were skipped).` : '.'));
+            } catch (error) {
+                console.error('Error importing data:', error);
+                alert('An error occurred while importing.');
+            } finally {
+                confirmImportBtn.disabled = false;
+            }
+        }
+
+        if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => runExport(exportJsonBtn, exportAsJSON));
+        if (exportZipBtn) exportZipBtn.addEventListener('click', () => runExport(exportZipBtn, exportAsZip));
+
+        importFileInput.addEventListener('change', async () => {
+            const file = importFileInput.files && importFileInput.files[0];
+            if (!file) return;
+            try {
+                openImportModal(await readImportFile(file));
+            } catch (error) {
+                console.error('Error reading import file:', error);
+                alert(`This file can't be imported: ${error.message}`);
+                importFileInput.value = '';
+            }
+        });
+
+        if (confirmImportBtn) confirmImportBtn.addEventListener('click', confirmImport);
+        if (cancelImportBtn) cancelImportBtn.addEventListener('click', closeImportModal);
+
+        importModal.addEventListener('click', (e) => {
+            if (e.target === importModal) {
+                closeImportModal();
+            }
+        });
+    }
+
+    /**
+     * Initializes the Sync settings (dashboard)
+     */
+    function initSyncSection() {
+        const backendSelect = document.getElementById('syncBackend');
+        const serverUrlInput = document.getElementById('syncServerUrl');
+        const saveBtn = document.getElementById('syncSaveBtn');
+        const syncNowBtn = document.getElementById('syncNowBtn');
+        const statusEl = document.getElementById('syncStatus');
+
+        if (!backendSelect || !statusEl) return; // Not on this page
+
+        setHtml(backendSelect, Object.entries(STORAGE_BACKENDS)
+            .map(([value, backend]) => html`<option value="${value}">${backend.label}</option>`));
+
+        const settings = loadSyncSettings();
+        backendSelect.value = settings.backend;
+        // When the app is served by the sync server itself, that's the likely address
+        serverUrlInput.value = settings.serverUrl || (window.location.protocol.startsWith('http') ? window.location.origin : '');
+
+        function updateForm() {
+            const backend = STORAGE_BACKENDS[backendSelect.value];
+            serverUrlInput.hidden = !backend.needsUrl;
+        }
+
+        function renderStatus(current, syncing) {
+            const pendingCount = Object.values(current.pending)
+                .reduce((total, entries) => total + Object.keys(entries).length, 0);
+            let text;
+            if (current.backend === 'local') {
+                text = 'Your closet is only stored in this browser.';
+            } else if (syncing) {
+                text = 'Syncing...';
+            } else if (current.lastError) {
+                text = `Last sync failed: ${current.lastError}.`;
+            } else if (current.lastSyncedAt) {
+                text = `Last synced ${new Date(current.lastSyncedAt).toLocaleString()}.`;
+            } else {
+                text = 'Not synced yet.';
+            }
+            if (current.backend !== 'local' && pendingCount > 0 && !syncing) {
+                text += ` ${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to sync.`;
+            }
+            statusEl.textContent = text;
+            statusEl.classList.toggle('is-error', Boolean(current.lastError) && !syncing);
+            syncNowBtn.disabled = current.backend === 'local' || syncing;
+        }
+
+        async function saveSettings() {
+            const backend = backendSelect.value;
+            const serverUrl = serverUrlInput.value.trim();
+            if (STORAGE_BACKENDS[backend].needsUrl && !/^https?:\/\/\S+$/.test(serverUrl)) {
+                alert('Please enter the server address, e.g. http://192.168.1.20:8787');
+                return;
+            }
+            const current = loadSyncSettings();
+            if (backend === current.backend && serverUrl === current.serverUrl) return;
+            if (backend === 'local' && !confirm('Stop syncing? Your closet stays in this browser, but other devices will no longer see changes made here.')) {
+                backendSelect.value = current.backend;
+                updateForm();
+                return;
+            }
+            if (await setSyncBackend(backend, serverUrl) && backend !== 'local') {
+                showToast('Your closet is now synced with the server.');
+            }
+        }
+
+        backendSelect.addEventListener('change', updateForm);
+        saveBtn.addEventListener('click', saveSettings);
+        syncNowBtn.addEventListener('click', syncNow);
+        onViewExit(onSyncStatus(renderStatus));
+
+        updateForm();
+        renderStatus(settings, false);
+    }
+
+    /**
+     * Lists the device's profiles on the dashboard, with switching, renaming,
+     * deleting and adding, plus how many items are in the shared pool.
+     */
+    function initProfilesSection() {
+        const profileList = document.getElementById('profileList');
+        const addProfileForm = document.getElementById('addProfileForm');
+        const newProfileNameInput = document.getElementById('newProfileName');
+        const sharedPoolStatus = document.getElementById('sharedPoolStatus');
+
+        if (!profileList || !addProfileForm) return; // Not on this page
+
+        function render() {
+            renderProfileSwitcher();
+            setHtml(profileList, getProfiles().map(profile => {
+                const active = profile.id === ACTIVE_PROFILE_ID;
+                const count = getProfileItemCount(profile.id);
+                return html`
+                    <li class="profile-item${active ? ' is-active' : ''}">
+                        <div class="profile-info">
+                            <strong>${profile.name}</strong>
+                            ${active && html`<span class="badge">Active</span>`}
+                            <small>${count} item${count === 1 ? '' : 's'}</small>
+                        </div>
+                        <div class="profile-actions">
+                            ${!active && html`
+                                <button class="btn-icon btn-switch-profile" data-id="${profile.id}" title="Switch to this profile" aria-label="Switch to ${profile.name}">
+                                    <i class="fas fa-exchange-alt"></i>
+                                </button>
+                            `}
+                            <button class="btn-icon btn-rename-profile" data-id="${profile.id}" title="Rename" aria-label="Rename ${profile.name}">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            ${!active && html`
+                                <button class="btn-icon btn-delete" data-id="${profile.id}" title="Delete" aria-label="Delete ${profile.name}">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            `}
+                        </div>
+                    </li>
+                `;
+            }));
+
+            if (sharedPoolStatus) {
+                const sharedCount = readSharedPool().clothes.length;
+                sharedPoolStatus.textContent = sharedCount > 0
+                    ? `${sharedCount} shared item${sharedCount === 1 ? '' : 's'} show${sharedCount === 1 ? 's' : ''} up in every profile.`
+                    : 'Nothing is shared yet. Tick "Shared with every profile" when editing an item to show it in everyone\'s closet.';
+            }
+        }
+
+        profileList.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+            const profile = getProfileById(button.dataset.id);
+            if (!profile) return;
+
+            try {
+                if (button.classList.contains('btn-switch-profile')) {
+                    switchProfile(profile.id);
+                } else if (button.classList.contains('btn-rename-profile')) {
+                    const name = prompt('Rename profile:', profile.name);
+                    if (name === null || name.trim() === profile.name) return;
+                    renameProfile(profile.id, name);
+                    render();
+                } else if (button.classList.contains('btn-delete')) {
+                    if (!confirm(`Delete the profile "${profile.name}" and every item in it? Shared items stay. This cannot be undone.`)) return;
+                    await deleteProfile(profile.id);
+                    showToast(`Deleted the profile "${profile.name}".`);
+                    render();
+                }
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+
+        addProfileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                const profile = createProfile(newProfileNameInput.value);
+                newProfileNameInput.value = '';
+                render();
+                showToast(`Added the profile "${profile.name}".`, {
+                    action: { label: 'Switch', onClick: () => switchProfile(profile.id) }
+                });
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+
+        // Item counts and the shared pool change with saves here and in other tabs
+        onViewExit(subscribe(render));
+        window.addEventListener('storage', (e) => {
+            if (e.key === PROFILES_KEY || e.key === SHARED_POOL_KEY) render();
+        }, { signal: viewSignal() });
+        render();
+    }
+
+    /**
+     * Initializes the My Clothes view (#/clothes and #/clothes/:id)
+     */
+    function initViewClothesPage() {
+        const clothesContainer = document.getElementById('clothesContainer');
+        if (!clothesContainer) return; // Not on view-clothes page
+
+        const searchInput = document.getElementById('searchInput');
+        const sortSelect = document.getElementById('sortSelect');
+        const toggleFiltersBtn = document.getElementById('toggleFilters');
+        const activeFilterCountEl = document.getElementById('activeFilterCount');
+        const filterPanel = document.getElementById('filterPanel');
+        const categoryFilter = document.getElementById('categoryFilter');
+        const familyFilter = document.getElementById('familyFilter');
+        const seasonFilter = document.getElementById('seasonFilter');
+        const occasionFilter = document.getElementById('occasionFilter');
+        const tagFilter = document.getElementById('tagFilter');
+        const wearFilter = document.getElementById('wearFilter');
+        const usageFilter = document.getElementById('usageFilter');
+        const dateFromInput = document.getElementById('dateFrom');
+        const dateToInput = document.getElementById('dateTo');
+        const clearFiltersBtn = document.getElementById('clearFilters');
+        const savedViewsSelect = document.getElementById('savedViews');
+        const saveViewBtn = document.getElementById('saveViewBtn');
+        const deleteViewBtn = document.getElementById('deleteViewBtn');
+        const resultCountEl = document.getElementById('resultCount');
+        const deleteModal = document.getElementById('deleteModal');
+        const confirmDeleteBtn = document.getElementById('confirmDelete');
+        const deleteWithEmptyBtn = document.getElementById('deleteWithEmpty');
+        const cancelDeleteBtn = document.getElementById('cancelDelete');
+        const deleteUsageEl = document.getElementById('deleteUsage');
+        const toggleSelectBtn = document.getElementById('toggleSelectBtn');
+        const bulkBar = document.getElementById('bulkBar');
+        const selectionCountEl = document.getElementById('selectionCount');
+        const selectAllBtn = document.getElementById('selectAllBtn');
+        const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+        const bulkCategorySelect = document.getElementById('bulkCategory');
+        const bulkTagInput = document.getElementById('bulkTag');
+        const bulkAddTagBtn = document.getElementById('bulkAddTagBtn');
+        const bulkRemoveTagBtn = document.getElementById('bulkRemoveTagBtn');
+        const bulkLaundryBtn = document.getElementById('bulkLaundryBtn');
+        const bulkProfileSelect = document.getElementById('bulkProfile');
+        const bulkCombineBtn = document.getElementById('bulkCombineBtn');
+        const bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+        const listView = document.getElementById('clothesListView');
+        const detailView = document.getElementById('clothDetail');
+
+        if (!deleteModal) return; // Modal is essential
+
+        let allClothes = [];
+        let filteredClothes = [];
+        let itemsToDelete = [];
+        let filter = filterFromQuery(getRouteQuery());
+        // Selection mode: ids of the ticked cards, and the last one clicked for shift-click ranges
+        let selecting = false;
+        let selectedIds = new Set();
+        let lastSelectedId = null;
+        // The item shown by the #/clothes/:id route, and where the grid was scrolled before it opened
+        let detailId = null;
+        let listScrollY = 0;
+
+        function loadClothes() {
+            allClothes = getClothes();
+            // Drop items deleted or moved away since they were selected
+            selectedIds = new Set(allClothes.filter(cloth => selectedIds.has(cloth.id)).map(cloth => cloth.id));
+            syncControls();
+            applyFilter();
+        }
+
+        function renderClothes(clothesToRender) {
+            if (clothesToRender.length === 0) {
+                setHtml(clothesContainer, html`
+                    <div class="empty-state">
+                        <h3>No clothes found</h3>
+                        <p>Try adjusting your search or add a new item to your wardrobe.</p>
+                        <a href="${routeUrl('addCloth')}" class="btn btn-primary">Add Your First Item</a>
+                    </div>
+                `);
+                return;
+            }
+            setHtml(clothesContainer, clothesToRender.map(cloth =>
+                createClothCard(cloth, { selected: selecting ? selectedIds.has(cloth.id) : null })));
+            hydrateImages(clothesContainer);
+        }
+
+        function renderFacetOptions(container, options, selected) {
+            if (!container) return;
+            // Keep selected values visible even if no item currently has them
+            const values = new Set(options.map(option => option.value));
+            const allOptions = [...options, ...selected.filter(value => !values.has(value)).map(value => ({ value, label: value }))];
+
+            setHtml(container, allOptions.length > 0
+                ? allOptions.map(option => html`
+                    <label class="facet-chip${option.depth > 0 && ' facet-chip-sub'}"${option.title && html` title="${option.title}"`}>
+                        <input type="checkbox" value="${option.value}" ${selected.includes(option.value) && 'checked'}>
+                        <span>${option.label}</span>
+                    </label>
+                `)
+                : html`<span class="facet-empty">None yet</span>`);
+        }
+
+        function renderFacets() {
+            const presentFamilies = new Set(allClothes.flatMap(cloth =>
+                [cloth.color, ...(cloth.secondaryColors || [])].map(getColorFamily)));
+            const presentTags = [...new Set(allClothes.flatMap(cloth => cloth.tags || []))]
+                .sort((a, b) => a.localeCompare(b));
+
+            // Picking a parent category also matches everything under it
+            renderFacetOptions(categoryFilter, getCategoryTree().map(({ category, depth }) => ({
+                value: category.name,
+                label: category.name,
+                depth,
+                title: depth > 0 ? getCategoryLineage(category).map(item => item.name).reverse().join(' › ') : ''
+            })), filter.categories);
+            renderFacetOptions(familyFilter, COLOR_FAMILIES.filter(family => presentFamilies.has(family.value)), filter.families);
+            renderFacetOptions(seasonFilter, SEASONS, filter.seasons);
+            renderFacetOptions(occasionFilter, OCCASIONS, filter.occasions);
+            renderFacetOptions(tagFilter, presentTags.map(tag => ({ value: tag, label: tag })), filter.tags);
+            renderFacetOptions(wearFilter, WEAR_BUCKETS, filter.wears);
+            renderFacetOptions(usageFilter, USAGE_STATES, filter.usage);
+        }
+
+        function renderSavedViews() {
+            if (!savedViewsSelect) return;
+            setHtml(savedViewsSelect, html`
+                <option value="">Saved views</option>
+                ${getSavedViews().map(view => html`<option value="${view.id}">${view.name}</option>`)}
+            `);
+        }
+
+        // Puts the current filter into the search box, sort select and facet panel
+        function syncControls() {
+            if (searchInput) searchInput.value = filter.q;
+            if (sortSelect) sortSelect.value = filter.sort;
+            if (dateFromInput) dateFromInput.value = filter.from;
+            if (dateToInput) dateToInput.value = filter.to;
+            renderFacets();
+        }
+
+        function readControls() {
+            filter.q = searchInput ? searchInput.value.trim() : '';
+            filter.sort = sortSelect ? sortSelect.value : 'newest';
+            filter.from = dateFromInput ? dateFromInput.value : '';
+            filter.to = dateToInput ? dateToInput.value : '';
+            if (filterPanel) {
+                filterPanel.querySelectorAll('.facet-options[data-facet]').forEach(container => {
+                    filter[container.dataset.facet] = Array.from(container.querySelectorAll('input:checked'))
+                        .map(input => input.value);
+                });
+            }
+        }
+
+        function applyFilter() {
+            filteredClothes = applyClothesFilter(allClothes, filter);
+            renderClothes(filteredClothes);
+
+            const query = filterToQuery(filter);
+            // The detail route has no filters of its own; the grid's come back with it
+            if (!detailId) setRouteQuery(query);
+
+            const facetCount = countActiveFacets(filter);
+            if (activeFilterCountEl) activeFilterCountEl.textContent = facetCount > 0 ? facetCount : '';
+            if (resultCountEl) resultCountEl.textContent = `Showing ${filteredClothes.length} of ${allClothes.length} items`;
+
+            // Select the saved view that matches exactly, if any
+            if (savedViewsSelect) {
+                const match = getSavedViews().find(view => view.query === query);
+                savedViewsSelect.value = match ? match.id : '';
+                if (deleteViewBtn) deleteViewBtn.hidden = !match;
+            }
+        }
+
+        function filterClothes() {
+            readControls();
+            applyFilter();
+        }
+
+        function toggleFilterPanel(open) {
+            if (!filterPanel || !toggleFiltersBtn) return;
+            filterPanel.hidden = !open;
+            toggleFiltersBtn.setAttribute('aria-expanded', String(open));
+        }
+
+        function saveCurrentView() {
+            const name = (prompt('Name this view:') || '').trim();
+            if (!name) return;
+            addSavedView(name, filterToQuery(filter));
+            renderSavedViews();
+            applyFilter();
+        }
+
+        function deleteCurrentView() {
+            const view = getSavedViews().find(item => item.id === savedViewsSelect.value);
+            if (view && confirm(`Delete the saved view "${view.name}"?`)) {
+                deleteSavedView(view.id);
+                renderSavedViews();
+                applyFilter();
+            }
+        }
+
+        // Takes one id from a card's delete button, or every selected id from the bulk bar
+        function openDeleteModal(ids) {
+            itemsToDelete = ids;
+            if (itemsToDelete.length > 0) {
+                const single = ids.length === 1;
+                const deleting = new Set(ids);
+                const usedIn = getCombinations().filter(combo => combo.items.some(id => deleting.has(id)));
+                const wouldEmpty = usedIn.filter(combo => combo.items.every(id => deleting.has(id)));
+
+                // Update modal text for deleting clothes
+                deleteModal.querySelector('h3').textContent = single ? 'Delete Item' : `Delete ${ids.length} Items`;
+                deleteModal.querySelector('p').textContent = usedIn.length > 0
+                    ? `${single ? 'This item is' : 'These items are'} used in ${usedIn.length} outfit${usedIn.length === 1 ? '' : 's'}. Deleting ${single ? 'it' : 'them'} removes ${single ? 'it' : 'them'} from ${usedIn.length === 1 ? 'that outfit' : 'them'}. ${single ? 'It' : 'They'} will stay in the Trash for 30 days.`
+                    : `Are you sure you want to delete ${single ? 'this item' : `these ${ids.length} items`}? ${single ? 'It' : 'They'} will stay in the Trash for 30 days.`;
+                if (deleteUsageEl) {
+                    setHtml(deleteUsageEl, usedIn.length > 0 && html`
+                        <ul class="delete-usage">
+                            ${usedIn.map(combo => html`
+                                <li>
+                                    ${combo.name || 'Unnamed Outfit'}
+                                    ${wouldEmpty.includes(combo) && html`<span class="badge badge-laundry">would be empty</span>`}
+                                </li>
+                            `)}
+                        </ul>
+                    `);
+                }
+                if (confirmDeleteBtn) {
+                    confirmDeleteBtn.textContent = usedIn.length > 0 ? 'Delete & Keep Outfits' : 'Delete';
+                }
+                if (deleteWithEmptyBtn) {
+                    deleteWithEmptyBtn.style.display = wouldEmpty.length > 0 ? '' : 'none';
+                }
+                deleteModal.style.display = 'flex';
+                document.body.style.overflow = 'hidden';
+            }
+        }
+
+        function closeDeleteModal() {
+            deleteModal.style.display = 'none';
+            document.body.style.overflow = '';
+            itemsToDelete = [];
+        }
+
+        function deleteItems(deleteEmptyCombinations = false) {
+            if (itemsToDelete.length > 0) {
+                const leavingDetail = itemsToDelete.includes(detailId);
+                const count = deleteClothes(itemsToDelete, { deleteEmptyCombinations });
+                if (count > 0) {
+                    showToast(count === 1 ? 'Item moved to the Trash.' : `${count} items moved to the Trash.`, { action: { label: 'Undo', onClick: undo } });
+                }
+                closeDeleteModal();
+                // Replace the detail route so Back doesn't lead to a deleted item
+                if (leavingDetail) window.location.replace('#/clothes');
+            }
+        }
+
+        // --- Item Detail ---
+
+        function renderDetail() {
+            if (!detailView || !detailId) return;
+            const cloth = getClothById(detailId);
+            document.title = `${cloth ? cloth.category || 'Item' : 'Item not found'} - Smart Cloth Management`;
+            setHtml(detailView, cloth
+                ? createClothDetailView(cloth)
+                : html`
+                    <div class="empty-state">
+                        <h3>Item not found</h3>
+                        <p>It may have been deleted, moved to another profile, or the link is wrong.</p>
+                        <a href="#/clothes" class="btn btn-primary">Back to My Clothes</a>
+                    </div>
+                `);
+            hydrateImages(detailView);
+        }
+
+        // Swaps between the grid and the detail view as the route changes
+        function showRoute(match) {
+            const id = match && match.route.name === 'cloth' ? match.params.id : null;
+            if (!detailView || !listView) return;
+            if (id && !detailId) listScrollY = window.scrollY;
+            const wasDetail = Boolean(detailId);
+            detailId = id;
+            listView.hidden = Boolean(id);
+            detailView.hidden = !id;
+            if (id) {
+                renderDetail();
+                window.scrollTo(0, 0);
+            } else {
+                document.title = 'My Clothes - Smart Cloth Management';
+                // A link with filters (back/forward, a chart) replaces them; a bare #/clothes keeps the current ones
+                const query = match ? match.query.toString() : '';
+                if (query && query !== filterToQuery(filter)) {
+                    filter = filterFromQuery(query);
+                    syncControls();
+                    toggleFilterPanel(countActiveFacets(filter) > 0);
+                }
+                applyFilter();
+                if (wasDetail) window.scrollTo(0, listScrollY);
+            }
+        }
+
+        // --- Selection & Batch Actions ---
+
+        function getSelectedIds() {
+            // In grid order, so a combination made from the selection lists items as shown
+            return allClothes.filter(cloth => selectedIds.has(cloth.id)).map(cloth => cloth.id);
+        }
+
+        function renderBulkBar() {
+            if (toggleSelectBtn) {
+                toggleSelectBtn.setAttribute('aria-pressed', String(selecting));
+                setHtml(toggleSelectBtn, selecting
+                    ? html`<i class="fas fa-times"></i> Done`
+                    : html`<i class="fas fa-check-square"></i> Select`);
+            }
+            if (!bulkBar) return;
+            bulkBar.hidden = !selecting;
+            const count = selectedIds.size;
+            if (selectionCountEl) selectionCountEl.textContent = `${count} selected`;
+            bulkBar.querySelectorAll('.bulk-actions button, .bulk-actions select, .bulk-actions input').forEach(control => {
+                control.disabled = count === 0;
+            });
+            if (bulkCategorySelect) {
+                setHtml(bulkCategorySelect, createCategoryOptions({ placeholder: 'Change category...', valueKey: 'id' }));
+            }
+            if (bulkProfileSelect) {
+                const otherProfiles = getProfiles().filter(profile => profile.id !== ACTIVE_PROFILE_ID);
+                bulkProfileSelect.hidden = otherProfiles.length === 0;
+                setHtml(bulkProfileSelect, html`
+                    <option value="">Move to profile...</option>
+                    ${otherProfiles.map(profile => html`<option value="${profile.id}">${profile.name}</option>`)}
+                `);
+            }
+        }
+
+        function setSelecting(on) {
+            selecting = on;
+            if (!on) selectedIds.clear();
+            lastSelectedId = null;
+            renderBulkBar();
+            renderClothes(filteredClothes);
+        }
+
+        // Shift-click ticks or unticks every shown card between the last click and this one
+        function toggleSelection(id, checked, extendRange) {
+            const ids = filteredClothes.map(cloth => cloth.id);
+            const from = extendRange && lastSelectedId ? ids.indexOf(lastSelectedId) : -1;
+            const to = ids.indexOf(id);
+            const range = from !== -1 && to !== -1
+                ? ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+                : [id];
+            range.forEach(rangeId => {
+                if (checked) {
+                    selectedIds.add(rangeId);
+                } else {
+                    selectedIds.delete(rangeId);
+                }
+            });
+            lastSelectedId = id;
+            clothesContainer.querySelectorAll('.cloth-select-input').forEach(input => {
+                input.checked = selectedIds.has(input.dataset.id);
+                input.closest('.cloth-card').classList.toggle('is-selected', input.checked);
+            });
+            renderBulkBar();
+        }
+
+        // `describe` turns "3 items" into the toast message
+        function showBatchResult(count, describe) {
+            if (count === 0) {
+                showToast('Nothing to change for the selected items.');
+                return;
+            }
+            showToast(describe(`${count} item${count === 1 ? '' : 's'}`), { action: { label: 'Undo', onClick: undo } });
+        }
+
+        function changeSelectedCategory() {
+            const category = getCategoryById(bulkCategorySelect.value);
+            bulkCategorySelect.value = '';
+            if (!category) return;
+            const count = updateClothes(getSelectedIds(), 'Change category', cloth =>
+                cloth.category === category.name ? null : { category: category.name });
+            showBatchResult(count, items => `Moved ${items} to ${category.name}.`);
+        }
+
+        function changeSelectedTags(adding) {
+            const tags = parseTags(bulkTagInput.value);
+            if (tags.length === 0) {
+                alert('Please enter a tag.');
+                return;
+            }
+            const lowerTags = tags.map(tag => tag.toLowerCase());
+            const count = updateClothes(getSelectedIds(), adding ? 'Add tags' : 'Remove tags', cloth => {
+                const current = cloth.tags || [];
+                const has = tag => current.some(existing => existing.toLowerCase() === tag.toLowerCase());
+                if (adding) {
+                    const missing = tags.filter(tag => !has(tag));
+                    return missing.length > 0 ? { tags: [...current, ...missing] } : null;
+                }
+                const kept = current.filter(existing => !lowerTags.includes(existing.toLowerCase()));
+                return kept.length < current.length ? { tags: kept } : null;
+            });
+            bulkTagInput.value = '';
+            showBatchResult(count, items => adding ? `Tagged ${items}.` : `Removed tags from ${items}.`);
+        }
+
+        function sendSelectedToLaundry() {
+            const count = updateClothes(getSelectedIds(), 'Send to laundry', cloth =>
+                isInLaundry(cloth) ? null : { laundryState: 'laundry' });
+            showBatchResult(count, items => `Sent ${items} to the laundry.`);
+        }
+
+        async function moveSelectedToProfile() {
+            const profile = getProfileById(bulkProfileSelect.value);
+            bulkProfileSelect.value = '';
+            const ids = getSelectedIds();
+            if (!profile || ids.length === 0) return;
+            if (!confirm(`Move ${ids.length} item${ids.length === 1 ? '' : 's'} to "${profile.name}"? They will be taken out of your closet and your outfits.`)) return;
+            try {
+                const count = await transferClothes(ids, profile.id);
+                showToast(`Moved ${count} item${count === 1 ? '' : 's'} to "${profile.name}".`);
+            } catch (error) {
+                console.error('Error moving items:', error);
+                alert(error.message);
+            }
+        }
+
+        function createCombinationFromSelection() {
+            const ids = getSelectedIds();
+            if (ids.length === 0) return;
+            window.location.href = routeUrl('combinations', {}, `items=${ids.map(encodeURIComponent).join(',')}`);
+        }
+
+        clothesContainer.addEventListener('click', (e) => {
+            const selectInput = e.target.closest('.cloth-select-input');
+            if (selectInput) {
+                toggleSelection(selectInput.dataset.id, selectInput.checked, e.shiftKey);
+                return;
+            }
+            // While selecting, clicking a card's image or name ticks it instead of opening it
+            const detailLink = selecting && e.target.closest('.cloth-image-link, .cloth-detail-link');
+            if (detailLink) {
+                e.preventDefault();
+                const id = detailLink.closest('.cloth-card').dataset.id;
+                toggleSelection(id, !selectedIds.has(id), e.shiftKey);
+                return;
+            }
+            const deleteBtn = e.target.closest('.btn-delete');
+            if (deleteBtn) {
+                e.preventDefault();
+                openDeleteModal([deleteBtn.getAttribute('data-id')]);
+            }
+            handleWearAction(e);
+        });
+
+        if (toggleSelectBtn) toggleSelectBtn.addEventListener('click', () => setSelecting(!selecting));
+        if (selectAllBtn) {
+            selectAllBtn.addEventListener('click', () => {
+                filteredClothes.forEach(cloth => selectedIds.add(cloth.id));
+                renderBulkBar();
+                renderClothes(filteredClothes);
+            });
+        }
+        if (clearSelectionBtn) {
+            clearSelectionBtn.addEventListener('click', () => {
+                selectedIds.clear();
+                lastSelectedId = null;
+                renderBulkBar();
+                renderClothes(filteredClothes);
+            });
+        }
+        if (bulkCategorySelect) bulkCategorySelect.addEventListener('change', changeSelectedCategory);
+        if (bulkAddTagBtn) bulkAddTagBtn.addEventListener('click', () => changeSelectedTags(true));
+        if (bulkRemoveTagBtn) bulkRemoveTagBtn.addEventListener('click', () => changeSelectedTags(false));
+        if (bulkLaundryBtn) bulkLaundryBtn.addEventListener('click', sendSelectedToLaundry);
+        if (bulkProfileSelect) bulkProfileSelect.addEventListener('change', moveSelectedToProfile);
+        if (bulkCombineBtn) bulkCombineBtn.addEventListener('click', createCombinationFromSelection);
+        if (bulkDeleteBtn) bulkDeleteBtn.addEventListener('click', () => openDeleteModal(getSelectedIds()));
+
+        if (detailView) {
+            detailView.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('.btn-delete');
+                if (deleteBtn) {
+                    e.preventDefault();
+                    openDeleteModal([deleteBtn.getAttribute('data-id')]);
+                }
+                handleWearAction(e);
+            });
+        }
+
+        if (searchInput) searchInput.addEventListener('input', filterClothes);
+        if (sortSelect) sortSelect.addEventListener('change', filterClothes);
+        if (filterPanel) filterPanel.addEventListener('change', filterClothes);
+        if (toggleFiltersBtn) {
+            toggleFiltersBtn.addEventListener('click', () => toggleFilterPanel(filterPanel.hidden));
+        }
+        if (clearFiltersBtn) {
+            clearFiltersBtn.addEventListener('click', () => {
+                filter = { ...createEmptyFilter(), q: filter.q, sort: filter.sort };
+                syncControls();
+                applyFilter();
+            });
+        }
+        if (savedViewsSelect) {
+            savedViewsSelect.addEventListener('change', () => {
+                const view = getSavedViews().find(item => item.id === savedViewsSelect.value);
+                if (!view) return;
+                filter = filterFromQuery(view.query);
+                syncControls();
+                applyFilter();
+            });
+        }
+        if (saveViewBtn) saveViewBtn.addEventListener('click', saveCurrentView);
+        if (deleteViewBtn) deleteViewBtn.addEventListener('click', deleteCurrentView);
+        if (confirmDeleteBtn) confirmDeleteBtn.addEventListener('click', () => deleteItems(false));
+        if (deleteWithEmptyBtn) deleteWithEmptyBtn.addEventListener('click', () => deleteItems(true));
+        if (cancelDeleteBtn) cancelDeleteBtn.addEventListener('click', closeDeleteModal);
+
+        deleteModal.addEventListener('click', (e) => {
+            if (e.target === deleteModal) {
+                closeDeleteModal();
+            }
+        });
+
+        initCsvImport(loadClothes);
+
+        renderSavedViews();
+        loadClothes();
+        onViewExit(subscribe(() => {
+            loadClothes();
+            renderBulkBar();
+            renderDetail();
+        }));
+        renderBulkBar();
+        toggleFilterPanel(countActiveFacets(filter) > 0);
+        onRoute(showRoute);
+    }
+
+    /**
+     * Initializes the CSV import wizard on the View Clothes page.
+     * `onImported` runs after rows have been added.
+     */
+    function initCsvImport(onImported) {
+        const csvFileInput = document.getElementById('csvFile');
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        const csvModal = document.getElementById('csvImportModal');
+        if (!csvFileInput || !csvModal) return;
+
+        const fileNameEl = document.getElementById('csvFileName');
+        const mappingEl = document.getElementById('csvMapping');
+        const previewSummaryEl = document.getElementById('csvPreviewSummary');
+        const previewEl = document.getElementById('csvPreview');
+        const reportSummaryEl = document.getElementById('csvReportSummary');
+        const reportEl = document.getElementById('csvReport');
+        const backBtn = document.getElementById('csvBack');
+        const nextBtn = document.getElementById('csvNext');
+        const closeBtn = document.getElementById('closeCsvImport');
+
+        let headers = [];
+        let rows = [];
+        let mapping = {};
+        let results = [];
+        let currentStep = 'mapping';
+
+        function showStep(step) {
+            currentStep = step;
+            csvModal.querySelectorAll('.csv-step').forEach(el => {
+                el.hidden = el.dataset.step !== step;
+            });
+            backBtn.hidden = step !== 'preview';
+            nextBtn.disabled = false;
+            if (step === 'mapping') nextBtn.textContent = 'Preview';
+            if (step === 'preview') {
+                const validCount = results.filter(result => result.errors.length === 0).length;
+                nextBtn.textContent = `Import ${validCount} items`;
+                nextBtn.disabled = validCount === 0;
+            }
+            if (step === 'report') nextBtn.textContent = 'Done';
+        }
+
+        function openModal() {
+            csvModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+
+        function closeModal() {
+            csvModal.style.display = 'none';
+            document.body.style.overflow = '';
+            csvFileInput.value = '';
+        }
+
+        function renderMapping() {
+            setHtml(mappingEl, CSV_IMPORT_FIELDS.map(field => html`
+                <div class="form-group csv-map-row">
+                    <label for="csv-map-${field.key}">${field.label}${field.required && ' *'}</label>
+                    <select id="csv-map-${field.key}" class="form-control" data-field="${field.key}">
+                        <option value="">Don't import</option>
+                        ${headers.map((header, index) => html`
+                            <option value="${index}" ${mapping[field.key] === index && 'selected'}>${header}</option>
+                        `)}
+                    </select>
+                </div>
+            `));
+        }
+
+        function readMapping() {
+            mapping = {};
+            mappingEl.querySelectorAll('select[data-field]').forEach(select => {
+                if (select.value !== '') mapping[select.dataset.field] = Number(select.value);
+            });
+        }
+
+        function renderPreview() {
+            results = rows.map((row, index) => ({ line: index + 2, ...csvRowToCloth(row, mapping) }));
+            const rejected = results.filter(result => result.errors.length > 0).length;
+            previewSummaryEl.textContent = `${results.length - rejected} of ${results.length} rows are ready to import` +
+                (rejected ? `; ${rejected} will be skipped.` : '.');
+
+            setHtml(previewEl, html`
+                <table class="csv-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            ${CSV_IMPORT_FIELDS.map(field => html`<th>${field.label}</th>`)}
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.map(result => html`
+                            <tr class="${result.errors.length > 0 && 'csv-row-invalid'}">
+                                <td>${result.line}</td>
+                                ${CSV_IMPORT_FIELDS.map(field => html`<td>${String(result.item[field.key] == null ? '' : result.item[field.key])}</td>`)}
+                                <td>${result.errors.length ? result.errors.join('; ') : 'OK'}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `);
+        }
+
+        function runImport() {
+            const rejected = [];
+            let imported = 0;
+
+            recordChange('Import CSV', () => {
+                results.forEach(result => {
+                    if (result.errors.length === 0) {
+                        addCloth(result.item);
+                        imported++;
+                    } else {
+                        rejected.push(result);
+                    }
+                });
+            });
+
+            reportSummaryEl.textContent = `Imported ${imported} items.` +
+                (rejected.length ? ` ${rejected.length} rows were rejected:` : '');
+            setHtml(reportEl, rejected.length > 0 && html`
+                <ul class="csv-report">
+                    ${rejected.map(result => html`
+                        <li><strong>Row ${result.line}:</strong> ${result.errors.join('; ')}</li>
+                    `)}
+                </ul>
+            `);
+            onImported();
+        }
+
+        csvFileInput.addEventListener('change', async () => {
+            const file = csvFileInput.files && csvFileInput.files[0];
+            if (!file) return;
+
+            try {
+                const parsed = parseCSV(await file.text());
+                if (parsed.length < 2) {
+                    alert('This CSV file has no data rows.');
+                    csvFileInput.value = '';
+                    return;
+                }
+                [headers, ...rows] = parsed;
+                mapping = guessCsvMapping(headers);
+                fileNameEl.textContent = file.name;
+                renderMapping();
+                showStep('mapping');
+                openModal();
+            } catch (error) {
+                console.error('Error reading CSV file:', error);
+                alert('An error occurred while reading the CSV file.');
+                csvFileInput.value = '';
+            }
+        });
+
+        nextBtn.addEventListener('click', () => {
+            if (currentStep === 'mapping') {
+                readMapping();
+                const missing = CSV_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] == null);
+                if (missing.length > 0) {
+                    alert(`Please choose a column for: ${missing.map(field => field.label).join(', ')}`);
+                    return;
+                }
+                renderPreview();
+                showStep('preview');
+            } else if (currentStep === 'preview') {
+                runImport();
+                showStep('report');
+            } else {
+                closeModal();
+            }
+        });
+
+        backBtn.addEventListener('click', () => showStep('mapping'));
+        if (closeBtn) closeBtn.addEventListener('click', closeModal);
+        if (exportCsvBtn) exportCsvBtn.addEventListener('click', exportClothesCSV);
+
+        csvModal.addEventListener('click', (e) => {
+            if (e.target === csvModal) {
+                closeModal();
+            }
+        });
+    }
+
+    /**
+     * Initializes the Add/Edit Cloth form (#/clothes/new and #/clothes/:id/edit)
+     */
+    function initAddClothPage() {
+        const addClothForm = document.getElementById('addClothForm');
+        if (!addClothForm) return; // Not on this page
+
+        const pageTitle = document.getElementById('pageTitle');
+        const submitBtn = document.getElementById('submitBtn');
+        const categoryField = document.getElementById('cloth-category');
+        const colorField = document.getElementById('cloth-color');
+        const notesField = document.getElementById('cloth-notes');
+        const brandField = document.getElementById('cloth-brand');
+        const sizeField = document.getElementById('cloth-size');
+        const materialField = document.getElementById('cloth-material');
+        const occasionField = document.getElementById('cloth-occasion');
+        const warmthField = document.getElementById('cloth-warmth');
+        const priceField = document.getElementById('cloth-price');
+        const currencyField = document.getElementById('cloth-currency');
+        const purchaseDateField = document.getElementById('cloth-purchase-date');
+        const tagsField = document.getElementById('cloth-tags');
+        const wearsBeforeWashField = document.getElementById('cloth-wears-before-wash');
+        const seasonFields = addClothForm.querySelectorAll('input[name="cloth-season"]');
+        const clothImageInput = document.getElementById('cloth-image');
+        const imagePreviewEl = document.getElementById('image-preview');
+        const colorSuggestionsEl = document.getElementById('colorSuggestions');
+        const colorSuggestionList = document.getElementById('colorSuggestionList');
+        const secondaryColorList = document.getElementById('secondaryColorList');
+        const secondaryColorPicker = document.getElementById('secondary-color-picker');
+        const addSecondaryColorBtn = document.getElementById('addSecondaryColor');
+        const sharedField = document.getElementById('cloth-shared');
+        const profileTransferEl = document.getElementById('profileTransfer');
+        const transferProfileSelect = document.getElementById('transferProfile');
+        const copyToProfileBtn = document.getElementById('copyToProfileBtn');
+        const moveToProfileBtn = document.getElementById('moveToProfileBtn');
+        const cancelBtn = document.getElementById('cancelBtn');
+
+        // Editing is the #/clothes/:id/edit route, adding is #/clothes/new
+        const editMatch = matchRoute();
+        const editId = editMatch && editMatch.route.name === 'editCloth' ? editMatch.params.id : null;
+        let isEditMode = false;
+        let clothToEdit = null;
+        let secondaryColors = [];
+
+        function renderSecondaryColors() {
+            if (!secondaryColorList) return;
+            setHtml(secondaryColorList, secondaryColors.length > 0
+                ? secondaryColors.map(color => html`
+                    <span class="secondary-color-chip">
+                        <span class="cloth-color" style="background-color: ${safeColor(color)}"></span>
+                        ${getColorName(color)}
+                        <button type="button" class="remove-secondary" data-color="${color}" aria-label="Remove ${getColorName(color)}">&times;</button>
+                    </span>
+                `)
+                : html`<span class="facet-empty">None</span>`);
+        }
+
+        function addSecondaryColor(hex) {
+            const color = hex.toLowerCase();
+            if (color !== colorField.value.toLowerCase() && !secondaryColors.includes(color)) {
+                secondaryColors.push(color);
+                renderSecondaryColors();
+            }
+        }
+
+        function renderColorSuggestions(colors) {
+            if (!colorSuggestionsEl || !colorSuggestionList) return;
+            colorSuggestionsEl.hidden = colors.length === 0;
+            setHtml(colorSuggestionList, colors.map(color => html`
+                <div class="color-suggestion">
+                    <button type="button" class="color-suggestion-swatch" data-color="${color.hex}"
+                            style="background-color: ${safeColor(color.hex)}"
+                            title="Use ${getColorName(color.hex)} (${Math.round(color.share * 100)}%) as the main color"></button>
+                    <button type="button" class="color-suggestion-add" data-color="${color.hex}"
+                            aria-label="Add ${getColorName(color.hex)} as a secondary color">+</button>
+                </div>
+            `));
+        }
+
+        // Pre-fills the color field with the photo's dominant color and offers the rest
+        async function suggestColors(file) {
+            try {
+                const colors = await extractDominantColors(file);
+                if (colors.length > 0 && colorField) {
+                    colorField.value = colors[0].hex;
+                    secondaryColors = secondaryColors.filter(color => color !== colors[0].hex);
+                    renderSecondaryColors();
+                }
+                renderColorSuggestions(colors);
+            } catch (error) {
+                console.error('Error analyzing image colors:', error);
+                renderColorSuggestions([]);
+            }
+        }
+
+        if (clothImageInput && imagePreviewEl) {
+            clothImageInput.addEventListener('change', function() {
+                if (this.files && this.files[0]) {
                     const reader = new FileReader();
                     reader.onload = function(e) {
                         imagePreviewEl.src = e.target.result;
                         imagePreviewEl.style.display = 'block';
                     };
                     reader.readAsDataURL(this.files[0]);
+                    suggestColors(this.files[0]);
+                } else {
+                    imagePreviewEl.src = '';
+                    imagePreviewEl.style.display = 'none';
+                    renderColorSuggestions([]);
+                }
+            });
+        }
+
+        if (colorSuggestionList) {
+            colorSuggestionList.addEventListener('click', (e) => {
+                const swatch = e.target.closest('.color-suggestion-swatch');
+                if (swatch && colorField) {
+                    colorField.value = swatch.dataset.color;
+                    secondaryColors = secondaryColors.filter(color => color !== swatch.dataset.color);
+                    renderSecondaryColors();
+                }
+                const addBtn = e.target.closest('.color-suggestion-add');
+                if (addBtn) addSecondaryColor(addBtn.dataset.color);
+            });
+        }
+
+        if (secondaryColorList) {
+            secondaryColorList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.remove-secondary');
+                if (removeBtn) {
+                    secondaryColors = secondaryColors.filter(color => color !== removeBtn.dataset.color);
+                    renderSecondaryColors();
+                }
+            });
+        }
+
+        if (addSecondaryColorBtn && secondaryColorPicker) {
+            addSecondaryColorBtn.addEventListener('click', () => addSecondaryColor(secondaryColorPicker.value));
+        }
+
+        if (categoryField) setHtml(categoryField, createCategoryOptions({ placeholder: 'Select a category' }));
+
+        if (editId) {
+            clothToEdit = getClothById(editId);
+            if (clothToEdit) {
+                isEditMode = true;
+                document.title = 'Edit Cloth - Smart Cloth Management';
+                if (pageTitle) pageTitle.textContent = 'Edit Cloth';
+                if (submitBtn) submitBtn.textContent = 'Save Changes';
+                if (cancelBtn) cancelBtn.href = routeUrl('cloth', { id: editId });
+                if (categoryField) categoryField.value = clothToEdit.category;
+                if (colorField) colorField.value = clothToEdit.color;
+                if (notesField) notesField.value = clothToEdit.notes;
+                if (brandField) brandField.value = clothToEdit.brand || '';
+                if (sizeField) sizeField.value = clothToEdit.size || '';
+                if (materialField) materialField.value = clothToEdit.material || '';
+                if (occasionField) occasionField.value = clothToEdit.occasion || '';
+                if (warmthField) warmthField.value = clothToEdit.warmth || '';
+                if (priceField) priceField.value = clothToEdit.price != null ? clothToEdit.price : '';
+                if (currencyField && clothToEdit.currency) currencyField.value = clothToEdit.currency;
+                if (purchaseDateField) purchaseDateField.value = clothToEdit.purchaseDate || '';
+                if (tagsField) tagsField.value = (clothToEdit.tags || []).join(', ');
+                if (wearsBeforeWashField) wearsBeforeWashField.value = clothToEdit.wearsBeforeWash || '';
+                if (sharedField) sharedField.checked = clothToEdit.shared === true;
+                seasonFields.forEach(field => {
+                    field.checked = (clothToEdit.seasons || []).includes(field.value);
+                });
+                secondaryColors = [...(clothToEdit.secondaryColors || [])];
+                if (imagePreviewEl && clothToEdit.imageId) {
+                    getImageURL(clothToEdit.imageId, 'full')
+                        .then(url => {
+                            if (url) {
+                                imagePreviewEl.src = url;
+                                imagePreviewEl.style.display = 'block';
+                            }
+                        })
+                        .catch(error => console.error('Error loading image:', error));
+                } else if (imagePreviewEl && clothToEdit.imagePreview) {
+                    imagePreviewEl.src = clothToEdit.imagePreview;
+                    imagePreviewEl.style.display = 'block';
+                }
+            } else {
+                console.error('Edit item not found');
+                window.location.replace(routeUrl('cloth', { id: editId }));
+                return;
+            }
+        }
+
+        renderSecondaryColors();
+
+        const otherProfiles = getProfiles().filter(profile => profile.id !== ACTIVE_PROFILE_ID);
+        // Sharing and transfers only mean something once the device has a second profile
+        if (sharedField && otherProfiles.length === 0 && !sharedField.checked) {
+            sharedField.closest('.form-group').hidden = true;
+        }
+
+        if (profileTransferEl && transferProfileSelect && isEditMode && otherProfiles.length > 0) {
+            profileTransferEl.hidden = false;
+            setHtml(transferProfileSelect, otherProfiles.map(profile => html`<option value="${profile.id}">${profile.name}</option>`));
+
+            async function transfer(copy) {
+                const profile = getProfileById(transferProfileSelect.value);
+                if (!profile) return;
+                if (!copy && !confirm(`Move this item to "${profile.name}"? It will be taken out of your closet and your outfits.`)) return;
+                copyToProfileBtn.disabled = true;
+                moveToProfileBtn.disabled = true;
+                try {
+                    await transferClothes([editId], profile.id, { copy });
+                    if (copy) {
+                        showToast(`Copied to "${profile.name}".`);
+                    } else {
+                        window.location.href = routeUrl('clothes');
+                    }
+                } catch (error) {
+                    console.error('Error transferring item:', error);
+                    alert(error.message);
+                } finally {
+                    copyToProfileBtn.disabled = false;
+                    moveToProfileBtn.disabled = false;
+                }
+            }
+
+            copyToProfileBtn.addEventListener('click', () => transfer(true));
+            moveToProfileBtn.addEventListener('click', () => transfer(false));
+        }
+
+        addClothForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            if (submitBtn) {
+                submitBtn.disabled = true;
+                setHtml(submitBtn, html`<i class="fas fa-spinner fa-spin"></i> Saving...`);
+            }
+
+            const price = priceField && priceField.value !== '' ? Number(priceField.value) : null;
+            const wearsBeforeWash = wearsBeforeWashField ? parseInt(wearsBeforeWashField.value, 10) : NaN;
+            const itemData = {
+                category: categoryField.value,
+                color: colorField.value,
+                secondaryColors: secondaryColors.filter(color => color !== colorField.value.toLowerCase()),
+                notes: notesField.value,
+                brand: brandField ? brandField.value.trim() : '',
+                size: sizeField ? sizeField.value.trim() : '',
+                material: materialField ? materialField.value.trim() : '',
+                seasons: Array.from(seasonFields).filter(field => field.checked).map(field => field.value),
+                occasion: occasionField ? occasionField.value : '',
+                warmth: warmthField && warmthField.value ? Number(warmthField.value) : null,
+                price,
+                currency: price != null && currencyField ? currencyField.value : '',
+                purchaseDate: purchaseDateField ? purchaseDateField.value : '',
+                tags: tagsField ? parseTags(tagsField.value) : [],
+                wearsBeforeWash: wearsBeforeWash > 0 ? wearsBeforeWash : null,
+                shared: sharedField ? sharedField.checked : false
+            };
+
+            const imageFile = clothImageInput.files && clothImageInput.files[0];
+
+            try {
+                const clothId = isEditMode ? editId : generateId();
+
+                // Images live in IndexedDB. Store it first so the item is saved
+                // (and undoable) in one step. A replacement photo gets its own
+                // key, so undo can point back at the old one; that is swept
+                // once nothing refers to it (see purgeOrphanImages).
+                if (imageFile) {
+                    const imageId = isEditMode ? generateId() : clothId;
+                    await saveImage(imageId, imageFile);
+                    itemData.imageId = imageId;
+                    itemData.imagePreview = undefined;
+                }
+
+                if (isEditMode) {
+                    updateCloth(editId, itemData);
+                    // Replace the edit route, so Back from the item doesn't reopen the form
+                    window.location.replace(routeUrl('cloth', { id: editId }));
                 } else {
-                    imagePreviewEl.src = '';
-                    imagePreviewEl.style.display = 'none';
+                    addCloth({ id: clothId, ...itemData });
+                    window.location.href = routeUrl('clothes');
+                }
+
+            } catch (error) {
+                console.error('Error saving item:', error);
+                alert('An error occurred while saving.');
+                if (submitBtn) {
+                    submitBtn.disabled = false;
+                    submitBtn.textContent = isEditMode ? 'Save Changes' : 'Save Item';
+                }
+            }
+        });
+    }
+
+    /**
+     * Initializes the Combinations view (#/combinations and #/combinations/:id)
+     */
+    function initCombinationsPage() {
+        const combinationsContainer = document.getElementById('combinationsContainer');
+        if (!combinationsContainer) return; // Not on this page
+
+        const createCombinationBtn = document.getElementById('createCombinationBtn');
+        const suggestOutfitsBtn = document.getElementById('suggestOutfitsBtn');
+        const suggestModal = document.getElementById('suggestModal');
+        const suggestionsContainer = document.getElementById('suggestionsContainer');
+        const suggestSeasonSelect = document.getElementById('suggestSeason');
+        const suggestOccasionSelect = document.getElementById('suggestOccasion');
+        const closeSuggestBtn = document.getElementById('closeSuggest');
+        const createCombinationModal = document.getElementById('createCombinationModal');
+        const closeModalBtn = document.getElementById('closeModal');
+        const cancelCombinationBtn = document.getElementById('cancelCombination');
+        const saveCombinationBtn = document.getElementById('saveCombination');
+        const deleteModal = document.getElementById('deleteModal');
+        const cancelDeleteBtn = document.getElementById('cancelDelete');
+        const confirmDeleteBtn = document.getElementById('confirmDelete');
+        const availableItemsContainer = document.getElementById('availableItems');
+        const selectedItemsContainer = document.getElementById('selectedItems');
+        const focusBar = document.getElementById('combinationFocusBar');
+        
+        let clothes = [];
+        let selectedClothes = [];
+        let combinationToDelete = null;
+        let combinationToEdit = null;
+        let suggestions = [];
+        // Set by the #/combinations/:id route to show just that outfit
+        let focusId = null;
+        
+        // Load and display combinations
+        function loadCombinations() {
+            const combinations = focusId
+                ? getCombinations().filter(combo => combo.id === focusId)
+                : getCombinations();
+            const allClothes = getClothes();
+
+            if (focusBar) focusBar.hidden = !focusId;
+            if (focusId && combinations.length === 0) {
+                setHtml(combinationsContainer, html`
+                    <div class="no-combinations">
+                        <h3>Combination not found</h3>
+                        <p>It may have been deleted, or it belongs to another profile.</p>
+                    </div>
+                `);
+                return;
+            }
+            
+            if (combinations.length === 0) {
+                setHtml(combinationsContainer, html`
+                    <div class="no-combinations">
+                        <h3>No combinations yet</h3>
+                        <p>Create your first outfit combination to get started!</p>
+                        <button id="createFirstCombination" class="btn btn-primary mt-2">
+                            <i class="fas fa-plus"></i> Create Combination
+                        </button>
+                    </div>
+                `);
+                return;
+            }
+            
+            setHtml(combinationsContainer, combinations.map(combo => {
+                const comboClothes = combo.items.map(id => 
+                    allClothes.find(item => item.id === id)
+                ).filter(Boolean); // Filter out any missing/deleted items
+                const wearDates = getCombinationWearDates(combo.id);
+                
+                return html`
+                    <div class="combination-card" data-id="${combo.id}">
+                        <div class="combination-header">
+                            <h3 class="combination-title">
+                                <a href="${routeUrl('combination', { id: combo.id })}">${combo.name || 'Unnamed Outfit'}</a>
+                            </h3>
+                            <div class="combination-actions">
+                                <button class="btn-icon btn-favorite${combo.favorite ? ' is-favorite' : ''}" data-id="${combo.id}" title="${combo.favorite ? 'Remove from favorites' : 'Add to favorites'}" aria-label="${combo.favorite ? 'Remove from favorites' : 'Add to favorites'}" aria-pressed="${combo.favorite ? 'true' : 'false'}">
+                                    <i class="${combo.favorite ? 'fas' : 'far'} fa-star"></i>
+                                </button>
+                                <button class="btn-icon btn-wear-combo" data-id="${combo.id}" title="Wore this today" aria-label="Wore this today">
+                                    <i class="fas fa-check-circle"></i>
+                                </button>
+                                <button class="btn-icon btn-edit-combo" data-id="${combo.id}" title="Edit" aria-label="Edit combination">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn-icon btn-duplicate-combo" data-id="${combo.id}" title="Duplicate" aria-label="Duplicate combination">
+                                    <i class="fas fa-copy"></i>
+                                </button>
+                                <button class="btn-icon btn-delete" data-id="${combo.id}" aria-label="Delete combination">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        </div>
+                        
+                        <div class="combination-items">
+                            ${comboClothes.length > 0 ? 
+                                comboClothes.map(item => html`
+                                    <a href="${routeUrl('cloth', { id: item.id })}" class="combination-item${isInLaundry(item) ? ' in-laundry' : ''}"${isInLaundry(item) && html` title="In laundry"`}>
+                                        <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} 
+                                             alt="${item.category}">
+                                        <div class="combination-item-category">${item.category}</div>
+                                    </a>
+                                `) :
+                                html`<p style="grid-column: 1 / -1; text-align: center; color: var(--gray);">No items in this outfit</p>`
+                            }
+                        </div>
+
+                        ${createHarmonySummary(getOutfitColors(comboClothes))}
+
+                        ${wearDates.length > 0 && html`
+                            <div class="combination-wear">
+                                Worn ${wearDates.length}&times; &middot; last ${new Date(wearDates[0] + 'T00:00:00').toLocaleDateString()}
+                            </div>
+                        `}
+                        
+                        ${combo.tags && combo.tags.length > 0 && html`
+                            <div class="combination-tags">
+                                ${combo.tags.map(tag => html`<span class="tag">${tag}</span>`)}
+                            </div>
+                        `}
+                    </div>
+                `;
+            }));
+            hydrateImages(combinationsContainer);
+        }
+        
+        // Load available clothes for the create modal
+        function loadAvailableClothes() {
+            clothes = getClothes();
+            
+            if (clothes.length === 0) {
+                setHtml(availableItemsContainer, html`
+                    <div class="text-center" style="padding: 2rem;">
+                        <p>No clothes found in your wardrobe.</p>
+                        <a href="${routeUrl('addCloth')}" class="btn btn-primary mt-2">Add Clothes</a>
+                    </div>
+                `);
+                return;
+            }
+            
+            // Group clothes by category
+            const clothesByCategory = clothes.reduce((acc, item) => {
+                const category = item.category || 'Uncategorized';
+                if (!acc[category]) {
+                    acc[category] = [];
+                }
+                acc[category].push(item);
+                return acc;
+            }, {});
+            
+            // Render clothes by category
+            setHtml(availableItemsContainer, Object.entries(clothesByCategory)
+                .map(([category, items]) => html`
+                    <div class="category-section">
+                        <div class="category-title">
+                            <span>${category}</span>
+                            <span>${items.length} items</span>
+                        </div>
+                        <div class="category-items">
+                            ${items.map(item => html`
+                                <div class="item-checkbox-container">
+                                    <input type="checkbox" 
+                                           id="item-${item.id}" 
+                                           class="item-checkbox" 
+                                           value="${item.id}"
+                                           ${selectedClothes.includes(item.id) && 'checked'}>
+                                    <label for="item-${item.id}" class="item-label">
+                                        <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} 
+                                             alt="${item.category}">
+                                        <span class="item-category">${getColorName(item.color) || 'No Color'}</span>
+                                    </label>
+                                </div>
+                            `)}
+                        </div>
+                    </div>
+                `));
+            hydrateImages(availableItemsContainer);
+        }
+        
+        // Update the selected items display
+        function updateSelectedItems() {
+            const selectedHarmonyEl = document.getElementById('selectedHarmony');
+            if (selectedHarmonyEl) {
+                const selected = selectedClothes.map(id => clothes.find(c => c.id === id)).filter(Boolean);
+                setHtml(selectedHarmonyEl, createHarmonySummary(getOutfitColors(selected)));
+            }
+
+            if (selectedClothes.length === 0) {
+                setHtml(selectedItemsContainer, html`
+                    <p class="text-center" style="grid-column: 1 / -1; color: #6b7280;">
+                        Select items from below to add to this combination
+                    </p>
+                `);
+                return;
+            }
+            
+            setHtml(selectedItemsContainer, selectedClothes.map(id => {
+                const item = clothes.find(c => c.id === id);
+                if (!item) return null;
+                
+                return html`
+                    <div class="selected-item">
+                        <button class="remove-item" data-id="${item.id}" aria-label="Remove item">&times;</button>
+                        <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} 
+                             alt="${item.category}"
+                             style="width: 100%; height: 80px; object-fit: cover; border-radius: 0.25rem;">
+                        <div class="item-category">${item.category}</div>
+                    </div>
+                `;
+            }));
+            hydrateImages(selectedItemsContainer);
+        }
+
+        // --- Modal and Action Functions ---
+
+        function wearOutfit(comboId) {
+            const combo = getCombinationById(comboId);
+            if (!combo) return;
+            const dirty = combo.items.map(getClothById).filter(item => item && isInLaundry(item));
+            if (dirty.length > 0 && !confirm(`${dirty.length} item(s) in this outfit are in the laundry. Log it as worn anyway?`)) {
+                return;
+            }
+            const events = recordChange('Log wear', () => logWear(combo.items, { combinationId: combo.id }));
+            if (events.length === 0) {
+                alert('This outfit is already logged as worn today.');
+            }
+        }
+        
+        // Shared by create, edit and duplicate; editId is set only when editing
+        function openCombinationModal({ title, name = '', tags = [], items = [], editId = null }) {
+            combinationToEdit = editId;
+            selectedClothes = [...items];
+            document.getElementById('combinationModalTitle').textContent = title;
+            document.getElementById('combinationName').value = name;
+            document.getElementById('combinationTags').value = tags.join(', ');
+            if (saveCombinationBtn) saveCombinationBtn.textContent = editId ? 'Save Changes' : 'Save Combination';
+            loadAvailableClothes();
+            updateSelectedItems();
+            createCombinationModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+
+        function openCreateModal() {
+            openCombinationModal({ title: 'Create New Outfit Combination' });
+        }
+
+        function openEditModal(id) {
+            const combo = getCombinationById(id);
+            if (!combo) return;
+            openCombinationModal({
+                title: 'Edit Outfit Combination',
+                name: combo.name || '',
+                tags: combo.tags || [],
+                // Drop references to clothes that no longer exist
+                items: combo.items.filter(itemId => getClothById(itemId)),
+                editId: combo.id
+            });
+        }
+
+        function openDuplicateModal(id) {
+            const combo = getCombinationById(id);
+            if (!combo) return;
+            openCombinationModal({
+                title: 'Duplicate Outfit Combination',
+                name: `${combo.name || 'Unnamed Outfit'} (copy)`,
+                tags: combo.tags || [],
+                items: combo.items.filter(itemId => getClothById(itemId))
+            });
+        }
+        
+        function closeCreateModal() {
+            createCombinationModal.style.display = 'none';
+            document.body.style.overflow = '';
+            combinationToEdit = null;
+        }
+
+        function openDeleteModal(id) {
+            combinationToDelete = id;
+            // Update modal text for deleting a combination
+            deleteModal.querySelector('h3').textContent = 'Delete Combination';
+            deleteModal.querySelector('p').textContent = 'Are you sure you want to delete this combination? It will stay in the Trash for 30 days.';
+            deleteModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+
+        function closeDeleteModal() {
+            deleteModal.style.display = 'none';
+            document.body.style.overflow = '';
+            combinationToDelete = null;
+        }
+        
+        function saveCombination() {
+            const name = document.getElementById('combinationName').value.trim() || 'Unnamed Outfit';
+            const tags = parseTags(document.getElementById('combinationTags').value);
+            
+            if (selectedClothes.length === 0) {
+                alert('Please select at least one item for this combination.');
+                return;
+            }
+            
+            const combinationData = {
+                name,
+                tags,
+                items: [...selectedClothes]
+            };
+            
+            if (combinationToEdit) {
+                updateCombination(combinationToEdit, combinationData);
+            } else {
+                addCombination({ ...combinationData, favorite: false });
+            }
+            closeCreateModal();
+        }
+
+        function deleteSelectedCombination() {
+            if (combinationToDelete) {
+                if (deleteCombination(combinationToDelete)) {
+                    showToast('Combination moved to the Trash.', { action: { label: 'Undo', onClick: undo } });
+                }
+                closeDeleteModal();
+            }
+        }
+        
+        // --- Event Listeners ---
+        
+        if (createCombinationBtn) {
+            createCombinationBtn.addEventListener('click', openCreateModal);
+        }
+        
+        if (saveCombinationBtn) saveCombinationBtn.addEventListener('click', saveCombination);
+        if (cancelCombinationBtn) cancelCombinationBtn.addEventListener('click', closeCreateModal);
+        if (closeModalBtn) closeModalBtn.addEventListener('click', closeCreateModal);
+
+        if (confirmDeleteBtn) confirmDeleteBtn.addEventListener('click', deleteSelectedCombination);
+        if (cancelDeleteBtn) cancelDeleteBtn.addEventListener('click', closeDeleteModal);
+
+        if (availableItemsContainer) {
+            availableItemsContainer.addEventListener('change', (e) => {
+                if (e.target.classList.contains('item-checkbox')) {
+                    const itemId = e.target.value;
+                    if (e.target.checked) {
+                        if (!selectedClothes.includes(itemId)) {
+                            selectedClothes.push(itemId);
+                        }
+                    } else {
+                        selectedClothes = selectedClothes.filter(id => id !== itemId);
+                    }
+                    updateSelectedItems();
+                }
+            });
+        }
+
+        if (selectedItemsContainer) {
+            selectedItemsContainer.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.remove-item');
+                if (removeBtn) {
+                    const itemId = removeBtn.getAttribute('data-id');
+                    selectedClothes = selectedClothes.filter(id => id !== itemId);
+                    
+                    const checkbox = document.querySelector(`#item-${itemId}`);
+                    if (checkbox) {
+                        checkbox.checked = false;
+                    }
+                    updateSelectedItems();
                 }
             });
         }
+        
+        combinationsContainer.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.btn-delete');
+            if (deleteBtn) {
+                e.stopPropagation();
+                openDeleteModal(deleteBtn.getAttribute('data-id'));
+            }
 
-        if (editId) {
-            clothToEdit = getClothById(editId);
-            if (clothToEdit) {
-                isEditMode = true;
-                if (pageTitle) pageTitle.textContent = 'Edit Cloth';
-                if (submitBtn) submitBtn.textContent = 'Save Changes';
-                if (categoryField) categoryField.value = clothToEdit.category;
-                if (colorField) colorField.value = clothToEdit.color;
-                if (notesField) notesField.value = clothToEdit.notes;
-                if (imagePreviewEl && clothToEdit.imagePreview) {
-                    imagePreviewEl.src = clothToEdit.imagePreview;
-                    imagePreviewEl.style.display = 'block';
+            const wearBtn = e.target.closest('.btn-wear-combo');
+            if (wearBtn) {
+                wearOutfit(wearBtn.getAttribute('data-id'));
+            }
+
+            const favoriteBtn = e.target.closest('.btn-favorite');
+            if (favoriteBtn) {
+                const combo = getCombinationById(favoriteBtn.getAttribute('data-id'));
+                if (combo) updateCombination(combo.id, { favorite: !combo.favorite });
+            }
+
+            const editBtn = e.target.closest('.btn-edit-combo');
+            if (editBtn) {
+                openEditModal(editBtn.getAttribute('data-id'));
+            }
+
+            const duplicateBtn = e.target.closest('.btn-duplicate-combo');
+            if (duplicateBtn) {
+                openDuplicateModal(duplicateBtn.getAttribute('data-id'));
+            }
+
+            const createBtn = e.target.closest('#createFirstCombination');
+            if (createBtn) {
+                openCreateModal();
+            }
+        });
+
+        // --- Outfit Suggestions ---
+
+        function renderSuggestions() {
+            suggestions = suggestOutfits({
+                season: suggestSeasonSelect.value,
+                occasion: suggestOccasionSelect.value
+            });
+
+            if (suggestions.length === 0) {
+                setHtml(suggestionsContainer, html`
+                    <div class="empty-state">
+                        <h3>No new outfits to suggest</h3>
+                        <p>Add more tops, bottoms or dresses for this season and occasion, or try other settings.</p>
+                    </div>
+                `);
+                return;
+            }
+
+            setHtml(suggestionsContainer, suggestions.map((suggestion, index) => html`
+                <div class="suggestion-card">
+                    <div class="suggestion-header">
+                        <span class="suggestion-score">${suggestion.score}</span>
+                        <span class="suggestion-breakdown">
+                            Color ${suggestion.breakdown.color} &middot;
+                            Fit ${suggestion.breakdown.fit} &middot;
+                            Freshness ${suggestion.breakdown.freshness}
+                        </span>
+                    </div>
+                    <div class="combination-items">
+                        ${suggestion.items.map(item => html`
+                            <div class="combination-item">
+                                <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} alt="${item.category}">
+                                <div class="combination-item-category">${item.category}</div>
+                            </div>
+                        `)}
+                    </div>
+                    ${createHarmonySummary(getOutfitColors(suggestion.items))}
+                    <div class="suggestion-actions">
+                        <button class="btn btn-cancel btn-reject-suggestion" data-index="${index}">
+                            <i class="fas fa-times"></i> Not for me
+                        </button>
+                        <button class="btn btn-primary btn-accept-suggestion" data-index="${index}">
+                            <i class="fas fa-check"></i> Save outfit
+                        </button>
+                    </div>
+                </div>
+            `));
+            hydrateImages(suggestionsContainer);
+        }
+
+        function openSuggestModal() {
+            suggestSeasonSelect.value = getCurrentSeason();
+            renderSuggestions();
+            suggestModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+
+        function closeSuggestModal() {
+            suggestModal.style.display = 'none';
+            document.body.style.overflow = '';
+        }
+
+        function acceptSuggestion(suggestion) {
+            const season = suggestSeasonSelect.value;
+            const occasion = suggestOccasionSelect.value;
+            const tags = [getLabel(SEASONS, season), occasion && getLabel(OCCASIONS, occasion)].filter(Boolean);
+
+            addCombination({
+                name: `${tags.join(' ')} Outfit`,
+                favorite: false,
+                tags,
+                items: suggestion.items.map(item => item.id)
+            });
+            renderSuggestions();
+        }
+
+        if (suggestModal && suggestionsContainer) {
+            if (suggestOutfitsBtn) suggestOutfitsBtn.addEventListener('click', openSuggestModal);
+            if (closeSuggestBtn) closeSuggestBtn.addEventListener('click', closeSuggestModal);
+            suggestSeasonSelect.addEventListener('change', renderSuggestions);
+            suggestOccasionSelect.addEventListener('change', renderSuggestions);
+
+            suggestionsContainer.addEventListener('click', (e) => {
+                const acceptBtn = e.target.closest('.btn-accept-suggestion');
+                if (acceptBtn) {
+                    acceptSuggestion(suggestions[Number(acceptBtn.dataset.index)]);
                 }
+                const rejectBtn = e.target.closest('.btn-reject-suggestion');
+                if (rejectBtn) {
+                    rejectOutfit(suggestions[Number(rejectBtn.dataset.index)].items.map(item => item.id));
+                    renderSuggestions();
+                }
+            });
+        }
+
+        window.addEventListener('click', (e) => {
+            if (e.target === createCombinationModal) {
+                closeCreateModal();
+            }
+            if (e.target === suggestModal) {
+                closeSuggestModal();
+            }
+            if (e.target === deleteModal) {
+                closeDeleteModal();
+            }
+        }, { signal: viewSignal() });
+        
+        // Initial load; the route decides between every outfit and just one
+        onRoute(match => {
+            focusId = match && match.route.name === 'combination' ? match.params.id : null;
+            const combo = focusId && getCombinationById(focusId);
+            document.title = `${combo ? combo.name || 'Unnamed Outfit' : 'Outfit Combinations'} - Smart Cloth Management`;
+            loadCombinations();
+        });
+        onViewExit(subscribe(() => loadCombinations()));
+
+        // "Create combination" on My Clothes links here with the selected items
+        const requestedItems = (getRouteQuery().get('items') || '')
+            .split(',')
+            .filter(id => getClothById(id));
+        if (requestedItems.length > 0) {
+            // Drop the query so a reload doesn't open the modal again
+            setRouteQuery('');
+            openCombinationModal({ title: 'Create New Outfit Combination', items: requestedItems });
+        }
+    }
+
+
+    /**
+     * Initializes the Outfit Planner view (#/calendar)
+     */
+    function initCalendarPage() {
+        const calendarGrid = document.getElementById('calendarGrid');
+        if (!calendarGrid) return; // Not on this page
+
+        const calendarTitle = document.getElementById('calendarTitle');
+        const prevBtn = document.getElementById('calendarPrev');
+        const nextBtn = document.getElementById('calendarNext');
+        const todayBtn = document.getElementById('calendarToday');
+        const viewButtons = document.querySelectorAll('.view-toggle [data-view]');
+        const planModal = document.getElementById('planModal');
+        const planModalTitle = document.getElementById('planModalTitle');
+        const planCombinationSelect = document.getElementById('planCombination');
+        const planPreview = document.getElementById('planPreview');
+        const savePlanBtn = document.getElementById('savePlanBtn');
+        const removePlanBtn = document.getElementById('removePlanBtn');
+        const cancelPlanBtn = document.getElementById('cancelPlanBtn');
+        const closePlanModalBtn = document.getElementById('closePlanModal');
+
+        if (!planModal) return; // Modal is essential
+
+        // The view and anchor date live in the URL so reloads keep your place
+        const urlParams = getRouteQuery();
+        const requestedDate = urlParams.get('date');
+        let view = urlParams.get('view') === 'month' ? 'month' : 'week';
+        let anchor = /^\d{4}-\d{2}-\d{2}$/.test(requestedDate || '') ? requestedDate : toDateKey(new Date());
+        let dateToPlan = null;
+
+        function getVisibleRange() {
+            if (view === 'week') {
+                const start = startOfWeek(anchor);
+                return { start, end: addDays(start, 6) };
+            }
+            const first = parseDateKey(anchor.slice(0, 8) + '01');
+            const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+            const start = startOfWeek(toDateKey(first));
+            return { start, end: addDays(startOfWeek(toDateKey(last)), 6) };
+        }
+
+        function formatTitle() {
+            if (view === 'month') {
+                return parseDateKey(anchor).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            }
+            const { start, end } = getVisibleRange();
+            const options = { month: 'short', day: 'numeric' };
+            return `${parseDateKey(start).toLocaleDateString(undefined, options)} – ` +
+                `${parseDateKey(end).toLocaleDateString(undefined, { ...options, year: 'numeric' })}`;
+        }
+
+        function renderDay(dateKey, today) {
+            const date = parseDateKey(dateKey);
+            const plan = getPlanForDate(dateKey);
+            const combo = plan && getCombinationById(plan.combinationId);
+            const warnings = combo ? getPlanWarnings(dateKey) : [];
+            const classes = ['calendar-day'];
+            if (dateKey === today) classes.push('today');
+            if (dateKey < today) classes.push('past');
+            if (view === 'month' && dateKey.slice(0, 7) !== anchor.slice(0, 7)) classes.push('outside');
+
+            let planHtml = html`<span class="calendar-empty"><i class="fas fa-plus"></i> Plan</span>`;
+            if (combo) {
+                const comboClothes = combo.items.map(getClothById).filter(Boolean);
+                planHtml = html`
+                    <div class="calendar-plan">
+                        <div class="calendar-plan-name">${combo.name || 'Unnamed Outfit'}</div>
+                        ${view === 'week' && html`
+                            <div class="calendar-plan-items">
+                                ${comboClothes.map(item => html`
+                                    <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} alt="${item.category}" title="${item.category}">
+                                `)}
+                            </div>
+                        `}
+                        ${plan.loggedAt && html`<div class="calendar-logged"><i class="fas fa-check-circle"></i> Worn</div>`}
+                        ${warnings.length > 0 && html`
+                            <div class="calendar-warning" title="${warnings.map(warning => warning.message).join('\n')}">
+                                <i class="fas fa-exclamation-triangle"></i> ${warnings.length}
+                            </div>
+                        `}
+                    </div>
+                `;
+            } else if (plan) {
+                // The combination was deleted after it was planned
+                planHtml = html`<span class="calendar-empty">Outfit removed</span>`;
+            }
+
+            return html`
+                <div class="${classes.join(' ')}" data-date="${dateKey}">
+                    <div class="calendar-date">
+                        <span class="calendar-weekday">${date.toLocaleDateString(undefined, { weekday: 'short' })}</span>
+                        ${date.getDate()}
+                    </div>
+                    ${planHtml}
+                </div>
+            `;
+        }
+
+        function renderCalendar() {
+            const { start, end } = getVisibleRange();
+            const today = toDateKey(new Date());
+            const days = [];
+            for (let dateKey = start; dateKey <= end; dateKey = addDays(dateKey, 1)) {
+                days.push(renderDay(dateKey, today));
+            }
+
+            calendarGrid.className = `calendar-grid calendar-${view}`;
+            setHtml(calendarGrid, days);
+            hydrateImages(calendarGrid);
+            if (calendarTitle) calendarTitle.textContent = formatTitle();
+            viewButtons.forEach(button => {
+                button.classList.toggle('btn-primary', button.dataset.view === view);
+                button.classList.toggle('btn-cancel', button.dataset.view !== view);
+            });
+            setRouteQuery(`view=${view}&date=${anchor}`);
+        }
+
+        function move(direction) {
+            if (view === 'week') {
+                anchor = addDays(anchor, direction * 7);
             } else {
-                console.error('Edit item not found');
-                window.location.href = 'view-clothes.html'; 
+                const date = parseDateKey(anchor);
+                anchor = toDateKey(new Date(date.getFullYear(), date.getMonth() + direction, 1));
             }
+            renderCalendar();
         }
 
-        addClothForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            if (submitBtn) {
-                submitBtn.disabled = true;
-                submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+        function renderPlanPreview() {
+            const combo = getCombinationById(planCombinationSelect.value);
+            if (!combo) {
+                planPreview.textContent = '';
+                return;
             }
+            const comboClothes = combo.items.map(getClothById).filter(Boolean);
+            const warnings = getPlanWarnings(dateToPlan, combo.id);
+            setHtml(planPreview, html`
+                <div class="combination-items">
+                    ${comboClothes.map(item => html`
+                        <div class="combination-item${isInLaundry(item) ? ' in-laundry' : ''}">
+                            <img ${imageAttrs(item, SMALL_NO_IMAGE_URL)} alt="${item.category}">
+                            <div class="combination-item-category">${item.category}</div>
+                        </div>
+                    `)}
+                </div>
+                ${warnings.length > 0 && html`
+                    <ul class="plan-warnings">
+                        ${warnings.map(warning => html`
+                            <li><i class="fas fa-exclamation-triangle"></i> ${warning.message}</li>
+                        `)}
+                    </ul>
+                `}
+            `);
+            hydrateImages(planPreview);
+        }
 
-            const itemData = {
-                category: categoryField.value,
-                color: colorField.value,
-                notes: notesField.value
-            };
+        function openPlanModal(dateKey) {
+            const combinations = getCombinations();
+            if (combinations.length === 0) {
+                if (confirm('You have no saved outfits yet. Create one on the Combinations page?')) {
+                    window.location.href = routeUrl('combinations');
+                }
+                return;
+            }
 
-            const readImageAsDataURL = (file) => {
-                return new Promise((resolve, reject) => {
-                    const reader = new FileReader();
-                    reader.onload = () => resolve(reader.result);
-                    reader.onerror = (error) => reject(error);
-                    reader.readAsDataURL(file);
-                });
+            dateToPlan = dateKey;
+            const plan = getPlanForDate(dateKey);
+            planModalTitle.textContent = parseDateKey(dateKey)
+                .toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+            setHtml(planCombinationSelect, combinations
+                .map(combo => html`<option value="${combo.id}">${combo.name || 'Unnamed Outfit'}</option>`));
+            if (plan && getCombinationById(plan.combinationId)) {
+                planCombinationSelect.value = plan.combinationId;
+            }
+            removePlanBtn.style.display = plan ? '' : 'none';
+            renderPlanPreview();
+
+            planModal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+
+        function closePlanModal() {
+            planModal.style.display = 'none';
+            document.body.style.overflow = '';
+            dateToPlan = null;
+        }
+
+        calendarGrid.addEventListener('click', (e) => {
+            const day = e.target.closest('.calendar-day');
+            if (day) openPlanModal(day.dataset.date);
+        });
+
+        viewButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                view = button.dataset.view;
+                renderCalendar();
+            });
+        });
+        if (prevBtn) prevBtn.addEventListener('click', () => move(-1));
+        if (nextBtn) nextBtn.addEventListener('click', () => move(1));
+        if (todayBtn) {
+            todayBtn.addEventListener('click', () => {
+                anchor = toDateKey(new Date());
+                renderCalendar();
+            });
+        }
+
+        planCombinationSelect.addEventListener('change', renderPlanPreview);
+        savePlanBtn.addEventListener('click', () => {
+            if (!dateToPlan) return;
+            setPlan(dateToPlan, planCombinationSelect.value);
+            closePlanModal();
+        });
+        removePlanBtn.addEventListener('click', () => {
+            if (!dateToPlan) return;
+            removePlan(dateToPlan);
+            closePlanModal();
+        });
+        if (cancelPlanBtn) cancelPlanBtn.addEventListener('click', closePlanModal);
+        if (closePlanModalBtn) closePlanModalBtn.addEventListener('click', closePlanModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === planModal) {
+                closePlanModal();
+            }
+        }, { signal: viewSignal() });
+
+        renderCalendar();
+        onViewExit(subscribe(() => renderCalendar()));
+    }
+
+    /**
+     * Initializes the Trash view (#/trash)
+     */
+    function initTrashPage() {
+        const trashContainer = document.getElementById('trashContainer');
+        if (!trashContainer) return; // Not on this page
+
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+
+        function describeEntry(entry) {
+            if (entry.type === 'cloth') {
+                const cloth = entry.record;
+                return {
+                    title: cloth.category || 'Uncategorized',
+                    detail: cloth.color ? getColorName(cloth.color) : 'No Color',
+                    image: html`<img ${imageAttrs(cloth, SMALL_NO_IMAGE_URL)} alt="${cloth.category}">`
+                };
+            }
+            const combo = entry.record;
+            return {
+                title: combo.name || 'Unnamed Outfit',
+                detail: html`Outfit &middot; ${combo.items.length} item${combo.items.length === 1 ? '' : 's'}`,
+                image: html`<span class="trash-icon"><i class="fas fa-layer-group"></i></span>`
             };
+        }
 
-            try {
-                if (clothImageInput.files && clothImageInput.files[0]) {
-                    itemData.imagePreview = await readImageAsDataURL(clothImageInput.files[0]);
-                } else if (isEditMode && clothToEdit.imagePreview) {
-                    itemData.imagePreview = clothToEdit.imagePreview;
-                } else {
-                    itemData.imagePreview = null;
-                }
+        function renderTrash() {
+            const entries = [...getTrash()].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+            if (emptyTrashBtn) emptyTrashBtn.disabled = entries.length === 0;
 
-                if (isEditMode) {
-                    updateCloth(editId, itemData);
-                } else {
-                    addCloth(itemData);
-                }
-                window.location.href = 'view-clothes.html';
+            if (entries.length === 0) {
+                setHtml(trashContainer, html`
+                    <div class="empty-state">
+                        <h3>The trash is empty</h3>
+                        <p>Deleted clothes and combinations will show up here.</p>
+                    </div>
+                `);
+                return;
+            }
 
-            } catch (error) {
-                console.error('Error saving item:', error);
-                alert('An error occurred while saving.');
-                if (submitBtn) {
-                    submitBtn.disabled = false;
-                    submitBtn.innerHTML = isEditMode ? 'Save Changes' : 'Save Item';
-                }
+            const now = new Date();
+            setHtml(trashContainer, entries.map(entry => {
+                const { title, detail, image } = describeEntry(entry);
+                const daysLeft = Math.max(0, Math.ceil((getTrashExpiry(entry) - now) / (24 * 60 * 60 * 1000)));
+                return html`
+                    <div class="trash-item" data-id="${entry.id}">
+                        ${image}
+                        <div class="trash-info">
+                            <strong>${title}</strong>
+                            <small>${detail}</small>
+                            <small>Deleted ${new Date(entry.deletedAt).toLocaleDateString()} &middot; ${daysLeft} day${daysLeft === 1 ? '' : 's'} left</small>
+                        </div>
+                        <div class="trash-actions">
+                            <button class="btn btn-primary btn-restore" data-id="${entry.id}">
+                                <i class="fas fa-undo"></i> Restore
+                            </button>
+                            <button class="btn btn-danger btn-purge" data-id="${entry.id}">
+                                Delete Forever
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }));
+            hydrateImages(trashContainer);
+        }
+
+        trashContainer.addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('.btn-restore');
+            if (restoreBtn && restoreFromTrash(restoreBtn.getAttribute('data-id'))) {
+                showToast('Restored.', { action: { label: 'Undo', onClick: undo } });
+            }
+
+            const purgeBtn = e.target.closest('.btn-purge');
+            if (purgeBtn && confirm('Delete this for good? This cannot be undone.')) {
+                deleteFromTrash([purgeBtn.getAttribute('data-id')]);
             }
         });
+
+        if (emptyTrashBtn) {
+            emptyTrashBtn.addEventListener('click', () => {
+                if (getTrash().length === 0) return;
+                if (!confirm('Delete everything in the trash for good? This cannot be undone.')) return;
+                deleteFromTrash(getTrash().map(entry => entry.id));
+            });
+        }
+
+        renderTrash();
+        onViewExit(subscribe(() => renderTrash()));
     }
 
     /**
-     * Initializes the Combinations page (combinations.html)
+     * Initializes the Trip Packing view (#/trips)
      */
-    function initCombinationsPage() {
-        const combinationsContainer = document.getElementById('combinationsContainer');
-        if (!combinationsContainer) return; // Not on this page
+    function initTripsPage() {
+        const tripForm = document.getElementById('tripForm');
+        const tripDetails = document.getElementById('tripDetails');
+        if (!tripForm || !tripDetails) return; // Not on this page
 
-        const createCombinationBtn = document.getElementById('createCombinationBtn');
-        const createCombinationModal = document.getElementById('createCombinationModal');
-        const closeModalBtn = document.getElementById('closeModal');
-        const cancelCombinationBtn = document.getElementById('cancelCombination');
-        const saveCombinationBtn = document.getElementById('saveCombination');
-        const deleteModal = document.getElementById('deleteModal');
-        const cancelDeleteBtn = document.getElementById('cancelDelete');
-        const confirmDeleteBtn = document.getElementById('confirmDelete');
-        const availableItemsContainer = document.getElementById('availableItems');
-        const selectedItemsContainer = document.getElementById('selectedItems');
-        
-        let clothes = [];
-        let selectedClothes = [];
-        let combinationToDelete = null;
-        
-        // Load and display combinations
-        function loadCombinations() {
-            const combinations = getCombinations();
-            const allClothes = getClothes();
-            
-            if (combinations.length === 0) {
-                combinationsContainer.innerHTML = `
-                    <div class="no-combinations">
-                        <h3>No combinations yet</h3>
-                        <p>Create your first outfit combination to get started!</p>
-                        <button id="createFirstCombination" class="btn btn-primary mt-2">
-                            <i class="fas fa-plus"></i> Create Combination
-                        </button>
+        const nameInput = document.getElementById('tripName');
+        const typeSelect = document.getElementById('tripType');
+        const startInput = document.getElementById('tripStart');
+        const endInput = document.getElementById('tripEnd');
+        const daysInput = document.getElementById('tripDays');
+        const tripToolbar = document.getElementById('tripToolbar');
+        const tripSelect = document.getElementById('tripSelect');
+        const exportTripBtn = document.getElementById('exportTripBtn');
+        const deleteTripBtn = document.getElementById('deleteTripBtn');
+        const tripProgress = document.getElementById('tripProgress');
+
+        // The open list lives in the URL so a reload keeps it
+        let selectedId = getRouteQuery().get('trip');
+
+        setHtml(typeSelect, TRIP_TYPES.map(type => html`<option value="${type.value}">${type.label}</option>`));
+        startInput.value = toDateKey(new Date());
+        endInput.value = addDays(startInput.value, Number(daysInput.value) - 1);
+
+        // Dates and day count stay in step; whichever was edited wins
+        function readDays() {
+            const days = Math.round(Number(daysInput.value));
+            return days >= 1 && days <= MAX_TRIP_DAYS ? days : null;
+        }
+
+        function syncEndDate() {
+            const days = readDays();
+            if (startInput.value && days) endInput.value = addDays(startInput.value, days - 1);
+        }
+
+        startInput.addEventListener('change', syncEndDate);
+        daysInput.addEventListener('change', syncEndDate);
+        endInput.addEventListener('change', () => {
+            if (!startInput.value || !endInput.value) return;
+            if (endInput.value < startInput.value) endInput.value = startInput.value;
+            const days = Math.round((parseDateKey(endInput.value) - parseDateKey(startInput.value)) / (24 * 60 * 60 * 1000)) + 1;
+            daysInput.value = Math.min(days, MAX_TRIP_DAYS);
+            syncEndDate();
+        });
+
+        function renderPackingItem(kind, key, packed, content, extraClass = '') {
+            return html`
+                <li class="packing-item${packed ? ' packed' : ''}${extraClass}">
+                    <label>
+                        <input type="checkbox" data-kind="${kind}" data-key="${key}"${packed && raw(' checked')}>
+                        ${content}
+                    </label>
+                </li>
+            `;
+        }
+
+        function renderTrip(trip) {
+            const type = getTripType(trip.destinationType);
+            const wornDays = new Map();
+            trip.outfits.flat().forEach(id => wornDays.set(id, (wornDays.get(id) || 0) + 1));
+
+            const packedItems = trip.items
+                .map(item => ({ ...item, cloth: getClothById(item.clothId) }))
+                .filter(item => item.cloth);
+            const groups = Object.keys(TRIP_SLOT_LABELS)
+                .map(slot => ({
+                    label: TRIP_SLOT_LABELS[slot],
+                    items: packedItems.filter(item => getClothSlot(item.cloth) === slot)
+                }))
+                .filter(group => group.items.length > 0);
+
+            const warnings = [];
+            if (trip.outfits.length < trip.days) {
+                warnings.push(`Only ${trip.outfits.length} of ${trip.days} days have a fresh outfit. Plan to do laundry or re-wear something.`);
+            }
+            packedItems.filter(item => isInLaundry(item.cloth) && !item.packed).forEach(item => {
+                warnings.push(`${getClothName(item.cloth)} is in the laundry.`);
+            });
+
+            return html`
+                <div class="trip-summary">
+                    <h3>${trip.name}</h3>
+                    <p>${type.label} &middot; ${formatTripDates(trip)} &middot; ${trip.days} day${trip.days === 1 ? '' : 's'} &middot;
+                        ${packedItems.length} item${packedItems.length === 1 ? '' : 's'} for ${trip.outfits.length} outfit${trip.outfits.length === 1 ? '' : 's'}</p>
+                    ${warnings.length > 0 && html`
+                        <ul class="plan-warnings">
+                            ${warnings.map(warning => html`<li><i class="fas fa-exclamation-triangle"></i> ${warning}</li>`)}
+                        </ul>
+                    `}
+                </div>
+                <div class="trip-grid">
+                    <div class="stat-card">
+                        ${groups.map(group => html`
+                            <h4 class="packing-group">${group.label}</h4>
+                            <ul class="packing-list">
+                                ${group.items.map(item => renderPackingItem('items', item.clothId, item.packed, html`
+                                    <img ${imageAttrs(item.cloth, SMALL_NO_IMAGE_URL)} alt="${item.cloth.category}">
+                                    <span class="packing-name">
+                                        ${getClothName(item.cloth)}
+                                        <small>${wornDays.has(item.clothId)
+                                            ? `Worn ${wornDays.get(item.clothId)} day${wornDays.get(item.clothId) === 1 ? '' : 's'}`
+                                            : 'Layer'}</small>
+                                    </span>
+                                `, isInLaundry(item.cloth) ? ' in-laundry' : ''))}
+                            </ul>
+                        `)}
+                        <h4 class="packing-group">Essentials</h4>
+                        <ul class="packing-list">
+                            ${trip.extras.map(extra => renderPackingItem('extras', extra.id, extra.packed, html`
+                                <span class="packing-name">${extra.label}${extra.quantity > 1 && html` &times;${extra.quantity}`}</span>
+                            `))}
+                        </ul>
+                    </div>
+                    <div class="stat-card">
+                        <h4 class="packing-group">Day by Day</h4>
+                        <ol class="trip-days">
+                            ${trip.outfits.map((outfit, index) => html`
+                                <li class="trip-day">
+                                    <span class="trip-day-date">${parseDateKey(addDays(trip.startDate, index)).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                                    <span>${joinHtml(outfit.map(getClothById).filter(Boolean).map(getClothName), ' + ')}</span>
+                                </li>
+                            `)}
+                        </ol>
+                    </div>
+                </div>
+            `;
+        }
+
+        function renderTrips() {
+            const trips = [...getTrips()].sort((a, b) => b.startDate.localeCompare(a.startDate) || b.createdAt.localeCompare(a.createdAt));
+            if (!getTripById(selectedId)) selectedId = trips.length > 0 ? trips[0].id : null;
+            const trip = getTripById(selectedId);
+
+            tripToolbar.hidden = trips.length === 0;
+            setHtml(tripSelect, trips.map(item => html`
+                <option value="${item.id}"${item.id === selectedId && raw(' selected')}>${item.name} (${parseDateKey(item.startDate).toLocaleDateString()})</option>
+            `));
+            setRouteQuery(selectedId ? `trip=${encodeURIComponent(selectedId)}` : '');
+
+            if (!trip) {
+                tripProgress.textContent = '';
+                setHtml(tripDetails, html`
+                    <div class="empty-state">
+                        <h3>No packing lists yet</h3>
+                        <p>Enter your trip above to get a checklist built from your clothes.</p>
                     </div>
-                `;
+                `);
                 return;
             }
-            
-            combinationsContainer.innerHTML = combinations.map(combo => {
-                const comboClothes = combo.items.map(id => 
-                    allClothes.find(item => item.id === id)
-                ).filter(Boolean); // Filter out any missing/deleted items
-                
-                return `
-                    <div class="combination-card" data-id="${combo.id}">
-                        <div class="combination-header">
-                            <h3 class="combination-title">${combo.name || 'Unnamed Outfit'}</h3>
-                            <div class="combination-actions">
-                                <button class="btn-icon btn-delete" data-id="${combo.id}" aria-label="Delete combination">
-                                    <i class="fas fa-trash"></i>
-                                </button>
-                            </div>
-                        </div>
-                        
-                        <div class="combination-items">
-                            ${comboClothes.length > 0 ? 
-                                comboClothes.map(item => `
-                                    <div class="combination-item">
-                                        <img src="${item.imagePreview || 'https://via.placeholder.com/80'}" 
-                                             alt="${item.category}">
-                                        <div class="combination-item-category">${item.category}</div>
-                                    </div>
-                                `).join('') :
-                                '<p style="grid-column: 1 / -1; text-align: center; color: var(--gray);">No items in this outfit</p>'
-                            }
-                        </div>
-                        
-                        ${combo.tags && combo.tags.length > 0 ? `
-                            <div class="combination-tags">
-                                ${combo.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                            </div>
-                        ` : ''}
-                    </div>
-                `;
-            }).join('');
+
+            const entries = [...trip.items.filter(item => getClothById(item.clothId)), ...trip.extras];
+            tripProgress.textContent = `${entries.filter(entry => entry.packed).length} of ${entries.length} packed`;
+            setHtml(tripDetails, renderTrip(trip));
+            hydrateImages(tripDetails);
         }
-        
-        // Load available clothes for the create modal
-        function loadAvailableClothes() {
-            clothes = getClothes();
-            
-            if (clothes.length === 0) {
-                availableItemsContainer.innerHTML = `
-                    <div class="text-center" style="padding: 2rem;">
-                        <p>No clothes found in your wardrobe.</p>
-                        <a href="add-cloth.html" class="btn btn-primary mt-2">Add Clothes</a>
-                    </div>
-                `;
+
+        tripForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const days = readDays();
+            if (!days) {
+                alert(`Trips can be 1 to ${MAX_TRIP_DAYS} days long.`);
                 return;
             }
-            
-            // Group clothes by category
-            const clothesByCategory = clothes.reduce((acc, item) => {
-                const category = item.category || 'Uncategorized';
-                if (!acc[category]) {
-                    acc[category] = [];
-                }
-                acc[category].push(item);
-                return acc;
-            }, {});
-            
-            // Render clothes by category
-            availableItemsContainer.innerHTML = Object.entries(clothesByCategory)
-                .map(([category, items]) => `
-                    <div class="category-section">
-                        <div class="category-title">
-                            <span>${category}</span>
-                            <span>${items.length} items</span>
-                        </div>
-                        <div class="category-items">
-                            ${items.map(item => `
-                                <div class="item-checkbox-container">
-                                    <input type="checkbox" 
-                                           id="item-${item.id}" 
-                                           class="item-checkbox" 
-                                           value="${item.id}"
-                                           ${selectedClothes.includes(item.id) ? 'checked' : ''}>
-                                    <label for="item-${item.id}" class="item-label">
-                                        <img src="${item.imagePreview || 'https://via.placeholder.com/80'}" 
-                                             alt="${item.category}">
-                                        <span class="item-category">${item.color}</span>
-                                    </label>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                `).join('');
+            if (!startInput.value) {
+                alert('Please choose when the trip starts.');
+                return;
+            }
+
+            const { trip, laundrySkipped } = createTrip({
+                name: nameInput.value.trim(),
+                destinationType: typeSelect.value,
+                startDate: startInput.value,
+                days
+            });
+            const laundryNote = laundrySkipped > 0
+                ? ` ${laundrySkipped} matching item${laundrySkipped === 1 ? ' is' : 's are'} in the laundry.`
+                : '';
+            if (!trip) {
+                alert(`None of your clean clothes suit this trip. Add tops and bottoms or dresses for the season and occasion.${laundryNote}`);
+                return;
+            }
+            selectedId = trip.id;
+            tripForm.reset();
+            startInput.value = trip.startDate;
+            daysInput.value = trip.days;
+            syncEndDate();
+            showToast(`Packing list ready.${laundryNote}`, { type: laundrySkipped > 0 ? 'warning' : 'info' });
+        });
+
+        tripSelect.addEventListener('change', () => {
+            selectedId = tripSelect.value;
+            renderTrips();
+        });
+
+        tripDetails.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[type="checkbox"][data-kind]');
+            if (checkbox) setTripPacked(selectedId, checkbox.dataset.kind, checkbox.dataset.key, checkbox.checked);
+        });
+
+        exportTripBtn.addEventListener('click', () => {
+            const trip = getTripById(selectedId);
+            if (!trip) return;
+            const slug = trip.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip';
+            downloadBlob(new Blob([tripToText(trip)], { type: 'text/plain;charset=utf-8' }), `packing-list-${slug}.txt`);
+        });
+
+        deleteTripBtn.addEventListener('click', () => {
+            const trip = getTripById(selectedId);
+            if (!trip || !confirm(`Delete the packing list for "${trip.name}"?`)) return;
+            deleteTrip(trip.id);
+        });
+
+        renderTrips();
+        onViewExit(subscribe(() => renderTrips()));
+    }
+
+    /**
+     * Initializes the Categories view (#/categories)
+     */
+    function initCategoriesPage() {
+        const categoryTree = document.getElementById('categoryTree');
+        const categoryModal = document.getElementById('categoryModal');
+        if (!categoryTree || !categoryModal) return; // Not on this page
+
+        const addCategoryBtn = document.getElementById('addCategoryBtn');
+        const modalTitle = document.getElementById('categoryModalTitle');
+        const nameInput = document.getElementById('categoryName');
+        const parentSelect = document.getElementById('categoryParent');
+        const slotSelect = document.getElementById('categorySlot');
+        const mergeGroup = document.getElementById('categoryMergeGroup');
+        const mergeTargetSelect = document.getElementById('categoryMergeTarget');
+        const mergeBtn = document.getElementById('mergeCategoryBtn');
+        const deleteBtn = document.getElementById('deleteCategoryBtn');
+        const cancelBtn = document.getElementById('cancelCategoryBtn');
+        const saveBtn = document.getElementById('saveCategoryBtn');
+        const closeBtn = document.getElementById('closeCategoryModal');
+
+        let editingId = null;
+
+        const itemCount = count => `${count} item${count === 1 ? '' : 's'}`;
+
+        function describeSlot(category) {
+            if (category.slot) return html`<span class="badge">${getLabel(SLOT_TYPES, category.slot)}</span>`;
+            const slot = getCategorySlot(category.name);
+            return slot
+                ? html`<span class="badge badge-inherited" title="Inherited from a parent category">${getLabel(SLOT_TYPES, slot)}</span>`
+                : html`<span class="badge badge-inherited">No slot</span>`;
         }
-        
-        // Update the selected items display
-        function updateSelectedItems() {
-            if (selectedClothes.length === 0) {
-                selectedItemsContainer.innerHTML = `
-                    <p class="text-center" style="grid-column: 1 / -1; color: #6b7280;">
-                        Select items from below to add to this combination
-                    </p>
-                `;
+
+        function renderCategoryTree() {
+            const tree = getCategoryTree();
+            if (tree.length === 0) {
+                setHtml(categoryTree, html`
+                    <div class="empty-state">
+                        <h3>No categories yet</h3>
+                        <p>Add one to start organizing your clothes.</p>
+                    </div>
+                `);
                 return;
             }
-            
-            selectedItemsContainer.innerHTML = selectedClothes.map(id => {
-                const item = clothes.find(c => c.id === id);
-                if (!item) return '';
-                
-                return `
-                    <div class="selected-item">
-                        <button class="remove-item" data-id="${item.id}" aria-label="Remove item">&times;</button>
-                        <img src="${item.imagePreview || 'https://via.placeholder.com/80'}" 
-                             alt="${item.category}"
-                             style="width: 100%; height: 80px; object-fit: cover; border-radius: 0.25rem;">
-                        <div class="item-category">${item.category}</div>
+
+            setHtml(categoryTree, tree.map(({ category, depth }) => {
+                const total = getClothesInCategory(category.id).length;
+                return html`
+                    <div class="category-row" data-id="${category.id}" style="padding-left: ${1 + depth * 1.5}rem">
+                        <div class="category-info">
+                            <strong>${depth > 0 && raw('<i class="fas fa-level-up-alt fa-rotate-90"></i> ')}${category.name}</strong>
+                            ${describeSlot(category)}
+                        </div>
+                        ${total > 0
+                            ? html`<a href="${clothesViewUrl({ categories: [category.name] })}" class="category-count">${itemCount(total)}</a>`
+                            : html`<span class="category-count">No items</span>`}
+                        <button class="btn-icon btn-edit" data-id="${category.id}" aria-label="Edit ${category.name}">
+                            <i class="fas fa-edit"></i>
+                        </button>
                     </div>
                 `;
-            }).join('');
+            }));
         }
 
-        // --- Modal and Action Functions ---
-        
-        function openCreateModal() {
-            selectedClothes = [];
-            document.getElementById('combinationName').value = '';
-            document.getElementById('combinationTags').value = '';
-            loadAvailableClothes();
-            updateSelectedItems();
-            createCombinationModal.style.display = 'flex';
-            document.body.style.overflow = 'hidden';
-        }
-        
-        function closeCreateModal() {
-            createCombinationModal.style.display = 'none';
-            document.body.style.overflow = '';
-        }
+        function openCategoryModal(id = null) {
+            const category = id ? getCategoryById(id) : null;
+            editingId = category ? category.id : null;
 
-        function openDeleteModal(id) {
-            combinationToDelete = id;
-            // Update modal text for deleting a combination
-            deleteModal.querySelector('h3').textContent = 'Delete Combination';
-            deleteModal.querySelector('p').textContent = 'Are you sure you want to delete this combination? This action cannot be undone.';
-            deleteModal.style.display = 'flex';
+            modalTitle.textContent = category ? `Edit ${category.name}` : 'Add Category';
+            nameInput.value = category ? category.name : '';
+            setHtml(parentSelect, createCategoryOptions({
+                placeholder: 'None (top level)',
+                selected: category ? category.parentId : '',
+                valueKey: 'id',
+                exclude: category ? [category.id] : []
+            }));
+            setHtml(slotSelect, html`
+                <option value="">Same as parent</option>
+                ${SLOT_TYPES.map(type => html`<option value="${type.value}"${category && category.slot === type.value && raw(' selected')}>${type.label}</option>`)}
+            `);
+
+            mergeGroup.hidden = !category;
+            deleteBtn.style.display = category ? '' : 'none';
+            if (category) {
+                setHtml(mergeTargetSelect, createCategoryOptions({ valueKey: 'id', exclude: [category.id] }));
+                mergeBtn.disabled = mergeTargetSelect.options.length === 0;
+            }
+
+            categoryModal.style.display = 'flex';
             document.body.style.overflow = 'hidden';
+            nameInput.focus();
         }
 
-        function closeDeleteModal() {
-            deleteModal.style.display = 'none';
+        function closeCategoryModal() {
+            categoryModal.style.display = 'none';
             document.body.style.overflow = '';
-            combinationToDelete = null;
+            editingId = null;
         }
-        
-        function saveCombination() {
-            const name = document.getElementById('combinationName').value.trim() || 'Unnamed Outfit';
-            const tags = document.getElementById('combinationTags').value
-                .split(',')
-                .map(tag => tag.trim())
-                .filter(tag => tag.length > 0);
-            
-            if (selectedClothes.length === 0) {
-                alert('Please select at least one item for this combination.');
+
+        function saveCategory() {
+            const values = {
+                name: nameInput.value,
+                parentId: parentSelect.value || null,
+                slot: slotSelect.value || null
+            };
+            try {
+                if (editingId) {
+                    updateCategory(editingId, values);
+                } else {
+                    addCategory(values);
+                }
+            } catch (error) {
+                alert(error.message);
                 return;
             }
-            
-            const newCombination = {
-                name,
-                tags,
-                items: [...selectedClothes]
-            };
-            
-            addCombination(newCombination);
-            closeCreateModal();
-            loadCombinations();
+            closeCategoryModal();
         }
 
-        function deleteSelectedCombination() {
-            if (combinationToDelete) {
-                deleteCombination(combinationToDelete);
-                closeDeleteModal();
-                loadCombinations();
+        function mergeSelectedCategory() {
+            const source = getCategoryById(editingId);
+            const target = getCategoryById(mergeTargetSelect.value);
+            if (!source || !target) return;
+            const count = getClothesInCategory(source.id, { includeSubcategories: false }).length;
+            if (!confirm(`Merge "${source.name}" into "${target.name}"? ${itemCount(count)} and any subcategories will move to "${target.name}".`)) return;
+            try {
+                mergeCategory(source.id, target.id);
+            } catch (error) {
+                alert(error.message);
+                return;
             }
+            closeCategoryModal();
+            showToast(`Merged "${source.name}" into "${target.name}".`, { action: { label: 'Undo', onClick: undo } });
         }
-        
-        // --- Event Listeners ---
-        
-        if (createCombinationBtn) {
-            createCombinationBtn.addEventListener('click', openCreateModal);
+
+        function deleteSelectedCategory() {
+            const category = getCategoryById(editingId);
+            if (!category) return;
+            const parent = getCategoryById(category.parentId);
+            const count = getClothesInCategory(category.id, { includeSubcategories: false }).length;
+            const hasSubcategories = getDescendantIds(category.id).length > 0;
+            const destination = parent ? `move to "${parent.name}"` : 'become uncategorized';
+            const message = [
+                `Delete "${category.name}"?`,
+                count > 0 && `Its ${itemCount(count)} will ${destination}.`,
+                hasSubcategories && `Its subcategories will move up a level.`
+            ].filter(Boolean).join(' ');
+            if (!confirm(message)) return;
+            deleteCategory(category.id);
+            closeCategoryModal();
+            showToast(`Deleted "${category.name}".`, { action: { label: 'Undo', onClick: undo } });
         }
-        
-        if (saveCombinationBtn) saveCombinationBtn.addEventListener('click', saveCombination);
-        if (cancelCombinationBtn) cancelCombinationBtn.addEventListener('click', closeCreateModal);
-        if (closeModalBtn) closeModalBtn.addEventListener('click', closeCreateModal);
 
-        if (confirmDeleteBtn) confirmDeleteBtn.addEventListener('click', deleteSelectedCombination);
-        if (cancelDeleteBtn) cancelDeleteBtn.addEventListener('click', closeDeleteModal);
+        categoryTree.addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.btn-edit');
+            if (editBtn) openCategoryModal(editBtn.getAttribute('data-id'));
+        });
 
-        if (availableItemsContainer) {
-            availableItemsContainer.addEventListener('change', (e) => {
-                if (e.target.classList.contains('item-checkbox')) {
-                    const itemId = e.target.value;
-                    if (e.target.checked) {
-                        if (!selectedClothes.includes(itemId)) {
-                            selectedClothes.push(itemId);
-                        }
-                    } else {
-                        selectedClothes = selectedClothes.filter(id => id !== itemId);
-                    }
-                    updateSelectedItems();
-                }
-            });
-        }
+        if (addCategoryBtn) addCategoryBtn.addEventListener('click', () => openCategoryModal());
+        saveBtn.addEventListener('click', saveCategory);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveCategory();
+        });
+        mergeBtn.addEventListener('click', mergeSelectedCategory);
+        deleteBtn.addEventListener('click', deleteSelectedCategory);
+        cancelBtn.addEventListener('click', closeCategoryModal);
+        closeBtn.addEventListener('click', closeCategoryModal);
+        categoryModal.addEventListener('click', (e) => {
+            if (e.target === categoryModal) closeCategoryModal();
+        });
 
-        if (selectedItemsContainer) {
-            selectedItemsContainer.addEventListener('click', (e) => {
-                const removeBtn = e.target.closest('.remove-item');
-                if (removeBtn) {
-                    const itemId = removeBtn.getAttribute('data-id');
-                    selectedClothes = selectedClothes.filter(id => id !== itemId);
-                    
-                    const checkbox = document.querySelector(`#item-${itemId}`);
-                    if (checkbox) {
-                        checkbox.checked = false;
-                    }
-                    updateSelectedItems();
-                }
+        renderCategoryTree();
+        onViewExit(subscribe(() => renderCategoryTree()));
+    }
+
+    /**
+     * Wires Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) to undo and redo (runs on all pages)
+     */
+    function initHistoryShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            // Text fields keep the browser's own undo
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        });
+    }
+
+    /**
+     * Registers the service worker that keeps the app usable offline (runs on all pages)
+     */
+    function initServiceWorker() {
+        // Service workers need http(s); opening the files directly just skips offline support
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+        const register = () => {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.error('Service worker registration failed:', error);
             });
+        };
+        // Wait for the page to finish loading so precaching doesn't compete with it
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register);
         }
-        
-        combinationsContainer.addEventListener('click', (e) => {
-            const deleteBtn = e.target.closest('.btn-delete');
-            if (deleteBtn) {
-                e.stopPropagation();
-                openDeleteModal(deleteBtn.getAttribute('data-id'));
-            }
+    }
 
-            const createBtn = e.target.closest('#createFirstCombination');
-            if (createBtn) {
-                openCreateModal();
+    const MANAGE_PROFILES_OPTION = '__manage';
+
+    /**
+     * Fills the navbar's profile switcher. Picking a profile reloads the
+     * page on that profile's closet; the last option opens profile management.
+     */
+    function renderProfileSwitcher() {
+        const switcher = document.getElementById('profileSwitcher');
+        if (!switcher) return;
+        setHtml(switcher, html`
+            ${getProfiles().map(profile => html`
+                <option value="${profile.id}"${profile.id === ACTIVE_PROFILE_ID && raw(' selected')}>${profile.name}</option>
+            `)}
+            <option value="${MANAGE_PROFILES_OPTION}">Manage profiles...</option>
+        `);
+    }
+
+    /**
+     * Initializes the navbar's profile switcher (runs on all pages)
+     */
+    function initProfileSwitcher() {
+        const switcher = document.getElementById('profileSwitcher');
+        if (!switcher) return; // No switcher on this page
+        let profileDeletedNotice = false;
+
+        switcher.addEventListener('change', () => {
+            const value = switcher.value;
+            renderProfileSwitcher();
+            if (value === MANAGE_PROFILES_OPTION) {
+                window.location.href = routeUrl('dashboard', {}, 'section=profiles');
+                return;
+            }
+            try {
+                switchProfile(value);
+            } catch (error) {
+                alert(error.message);
             }
         });
 
-        window.addEventListener('click', (e) => {
-            if (e.target === createCombinationModal) {
-                closeCreateModal();
-            }
-            if (e.target === deleteModal) {
-                closeDeleteModal();
+        window.addEventListener('storage', (e) => {
+            if (e.key !== PROFILES_KEY) return;
+            renderProfileSwitcher();
+            // Other tabs switching is none of this tab's business, but its own profile being deleted is
+            if (!getActiveProfile() && !profileDeletedNotice) {
+                profileDeletedNotice = true;
+                if (confirm('This profile was deleted in another tab. Open the remaining profiles now? Unsaved changes on this page will be lost.')) {
+                    window.location.reload();
+                }
             }
         });
-        
-        // Initial load
-        loadCombinations();
+        renderProfileSwitcher();
     }
 
-
     /**
      * Initializes the Mobile Menu functionality (runs on all pages)
      */
@@ -747,27 +8545,28 @@
     }
 
 
-    // --- Main Initializer (Router) ---
+    // --- Main Initializer ---
     
-    document.addEventListener('DOMContentLoaded', () => {
-        // 1. Load data into memory
-        loadData();
+    document.addEventListener('DOMContentLoaded', async () => {
+        // 1. Load the active profile's data into memory (upgrading older data if needed)
+        await loadData();
+        initStoreSync();
+        pullSharedClothes();
+        loadHistory();
+        purgeExpiredTrash();
+        purgeOrphanImages().catch(error => console.error('Error removing unused images:', error));
+        runIntegrityCheck();
+        logPastPlans();
         
-        // 2. Initialize mobile menu (runs on all pages)
+        // 2. Initialize mobile menu, profile switcher, undo shortcuts, offline support and sync (shared by every view)
         initMobileMenu();
+        initProfileSwitcher();
+        initServiceWorker();
+        initServerSync();
+        initHistoryShortcuts();
         
-        // 3. Run page-specific setup
-        const path = window.location.pathname.split('/').pop();
-
-        if (path === '' || path === 'index.html') {
-            initDashboardPage();
-        } else if (path === 'view-clothes.html') {
-            initViewClothesPage();
-        } else if (path === 'add-cloth.html') {
-            initAddClothPage();
-        } else if (path === 'combinations.html') {
-            initCombinationsPage();
-        }
+        // 3. Show the view for the current route, and follow route changes from here on
+        initRouter();
     });
 
 })(); // End of IIFE
\ No newline at end of file
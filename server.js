@@ -0,0 +1,358 @@
+/* ======================================
+    Smart Closet Sync Server
+    --------------------------------------
+    - Plain Node (no dependencies): `node server.js`.
+    - Serves the app itself plus a small REST API that browsers sync with.
+    - Keeps records and images on disk under DATA_DIR.
+    - Last write wins, decided by each record's updatedAt.
+    - No authentication: by default it only listens on this computer and
+      answers same-origin requests. Open it to the LAN only on a network you trust.
+    ======================================
+
+    Options (environment variables):
+      PORT      port to listen on (default 8787)
+      HOST      interface to bind (default 127.0.0.1; use 0.0.0.0 so phones on the LAN can connect)
+      ALLOWED_ORIGINS
+                comma-separated origins allowed to call the API from another origin
+                (default none: only pages served by this server)
+      DATA_DIR  where data is kept (default ./closet-data)
+
+    API:
+      GET    /api/changes?since=<seq>   everything changed after <seq>, plus the new seq
+      GET    /api/clothes               live records (same for /api/combinations)
+      GET    /api/clothes/:id
+      PUT    /api/clothes/:id           JSON record with updatedAt
+      DELETE /api/clothes/:id           JSON { deletedAt }
+      GET    /api/images/:id            image bytes
+      PUT    /api/images/:id            JPEG, PNG, WebP or GIF bytes, X-Updated-At header
+      DELETE /api/images/:id            JSON { deletedAt }
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+const APP_DIR = __dirname;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(APP_DIR, 'closet-data'));
+const IMAGE_DIR = path.join(DATA_DIR, 'images');
+const DB_FILE = path.join(DATA_DIR, 'closet.json');
+
+const COLLECTIONS = ['clothes', 'combinations'];
+const MAX_JSON_BYTES = 1024 * 1024;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+// Anything else (HTML, SVG, ...) could run script on this origin when served back
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// The only files served outside /api; server.js, the data folder and the rest of the checkout stay private
+const STATIC_FILES = new Set([
+    'index.html',
+    'main.js',
+    'style.css',
+    'sw.js',
+    'manifest.webmanifest'
+]);
+const STATIC_DIRS = ['icons'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// --- Storage ---
+
+/*
+    Every write gets the next sequence number, so clients can ask for
+    "everything after seq N" without trusting each other's clocks.
+    Deletes are kept as tombstones ({ id, deleted, updatedAt }) so they
+    reach devices that were offline at the time.
+*/
+function loadDb() {
+    try {
+        const db = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+        return {
+            seq: Number(db.seq) || 0,
+            clothes: db.clothes || {},
+            combinations: db.combinations || {},
+            images: db.images || {}
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { seq: 0, clothes: {}, combinations: {}, images: {} };
+    }
+}
+
+let db;
+
+function saveDb() {
+    // Write then rename, so a crash never leaves a half-written file
+    const tempFile = `${DB_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(db));
+    fs.renameSync(tempFile, DB_FILE);
+}
+
+function stripSeq({ seq, ...record }) {
+    return record;
+}
+
+// Applies a record or tombstone unless the stored copy is newer; returns whether it was applied
+function writeEntry(table, entry) {
+    const existing = table[entry.id];
+    if (existing && existing.updatedAt > entry.updatedAt) return false;
+    db.seq++;
+    table[entry.id] = { ...entry, seq: db.seq };
+    saveDb();
+    return true;
+}
+
+function imagePath(id) {
+    return path.join(IMAGE_DIR, id);
+}
+
+// --- Request Helpers ---
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function sendFile(res, filePath, type, headers = {}) {
+    const stream = fs.createReadStream(filePath);
+    stream.on('open', () => {
+        res.writeHead(200, { 'Content-Type': type, ...headers });
+        stream.pipe(res);
+    });
+    stream.on('error', error => {
+        console.error(`Could not read ${filePath}:`, error.message);
+        if (!res.headersSent) {
+            sendJson(res, 404, { error: 'Not found' });
+        } else {
+            res.end();
+        }
+    });
+}
+
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readJson(req) {
+    const body = await readBody(req, MAX_JSON_BYTES);
+    try {
+        return body.length ? JSON.parse(body.toString('utf8')) : {};
+    } catch (error) {
+        throw new HttpError(400, 'Body is not valid JSON');
+    }
+}
+
+function requireTimestamp(value, name) {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw new HttpError(400, `${name} must be an ISO date`);
+    }
+    return value;
+}
+
+// --- API ---
+
+function getChanges(since) {
+    const changed = table => Object.values(table).filter(entry => entry.seq > since).map(stripSeq);
+    return {
+        seq: db.seq,
+        clothes: changed(db.clothes),
+        combinations: changed(db.combinations),
+        images: changed(db.images)
+    };
+}
+
+async function handleRecords(req, res, collection, id) {
+    const table = db[collection];
+
+    if (!id) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        sendJson(res, 200, Object.values(table).filter(entry => !entry.deleted).map(stripSeq));
+        return;
+    }
+
+    if (req.method === 'GET') {
+        const entry = table[id];
+        if (!entry || entry.deleted) throw new HttpError(404, 'Not found');
+        sendJson(res, 200, stripSeq(entry));
+    } else if (req.method === 'PUT') {
+        const record = await readJson(req);
+        if (!record || typeof record !== 'object' || record.id !== id) {
+            throw new HttpError(400, 'Record id does not match the URL');
+        }
+        requireTimestamp(record.updatedAt, 'updatedAt');
+        const applied = writeEntry(table, record);
+        sendJson(res, 200, { applied, record: stripSeq(table[id]) });
+    } else if (req.method === 'DELETE') {
+        const { deletedAt } = await readJson(req);
+        requireTimestamp(deletedAt, 'deletedAt');
+        const applied = writeEntry(table, { id, deleted: true, updatedAt: deletedAt });
+        sendJson(res, 200, { applied, record: stripSeq(table[id]) });
+    } else {
+        throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+async function handleImage(req, res, id) {
+    const entry = db.images[id];
+
+    if (req.method === 'GET') {
+        if (!entry || entry.deleted) throw new HttpError(404, 'Not found');
+        // Images saved before types were checked may be anything, so never let them render as a document
+        const type = IMAGE_TYPES.includes(entry.type) ? entry.type : 'application/octet-stream';
+        sendFile(res, imagePath(id), type, { 'Content-Security-Policy': 'sandbox' });
+    } else if (req.method === 'PUT') {
+        const updatedAt = requireTimestamp(req.headers['x-updated-at'], 'X-Updated-At');
+        const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!IMAGE_TYPES.includes(type)) {
+            throw new HttpError(415, 'Images must be JPEG, PNG, WebP or GIF');
+        }
+        const body = await readBody(req, MAX_IMAGE_BYTES);
+        if (entry && entry.updatedAt > updatedAt) {
+            sendJson(res, 200, { applied: false, record: stripSeq(entry) });
+            return;
+        }
+        fs.writeFileSync(imagePath(id), body);
+        writeEntry(db.images, { id, type, size: body.length, updatedAt });
+        sendJson(res, 200, { applied: true, record: stripSeq(db.images[id]) });
+    } else if (req.method === 'DELETE') {
+        const { deletedAt } = await readJson(req);
+        requireTimestamp(deletedAt, 'deletedAt');
+        const applied = writeEntry(db.images, { id, deleted: true, updatedAt: deletedAt });
+        if (applied) fs.rmSync(imagePath(id), { force: true });
+        sendJson(res, 200, { applied, record: stripSeq(db.images[id]) });
+    } else {
+        throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+async function handleApi(req, res, url) {
+    const [resource, id, extra] = url.pathname.split('/').slice(2).map(decodeURIComponent);
+    if (extra !== undefined || (id !== undefined && !ID_PATTERN.test(id))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    if (resource === 'changes' && id === undefined && req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        sendJson(res, 200, getChanges(since));
+    } else if (COLLECTIONS.includes(resource)) {
+        await handleRecords(req, res, resource, id);
+    } else if (resource === 'images' && id !== undefined) {
+        await handleImage(req, res, id);
+    } else {
+        throw new HttpError(404, 'Not found');
+    }
+}
+
+// --- Static Files ---
+
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Method not allowed');
+
+    const relative = decodeURIComponent(url.pathname) === '/' ? 'index.html' : decodeURIComponent(url.pathname).slice(1);
+    const filePath = path.resolve(APP_DIR, relative);
+    const type = STATIC_TYPES[path.extname(filePath)];
+    const normalized = path.relative(APP_DIR, filePath).split(path.sep).join('/');
+    const allowed = STATIC_FILES.has(normalized) ||
+        STATIC_DIRS.some(dir => normalized.startsWith(`${dir}/`) && !normalized.slice(dir.length + 1).startsWith('.'));
+    if (!type || !allowed) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        if (req.method === 'HEAD') {
+            res.writeHead(200, { 'Content-Type': type, 'Content-Length': stats.size });
+            res.end();
+        } else {
+            sendFile(res, filePath, type);
+        }
+    });
+}
+
+// --- Server ---
+
+async function handleRequest(req, res) {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // Cross-origin calls only from origins the owner listed; any other page gets no CORS headers
+    const origin = req.headers.origin;
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Updated-At');
+        res.setHeader('Vary', 'Origin');
+    }
+
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else {
+            serveStatic(req, res, url);
+        }
+    } catch (error) {
+        // URIError comes from decoding a malformed path
+        const status = error instanceof HttpError ? error.status : error instanceof URIError ? 400 : 500;
+        if (status === 500) console.error(error);
+        if (!res.headersSent) {
+            sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+        } else {
+            res.end();
+        }
+    }
+}
+
+function start() {
+    fs.mkdirSync(IMAGE_DIR, { recursive: true });
+    db = loadDb();
+    http.createServer(handleRequest).listen(PORT, HOST, () => {
+        console.log(`Smart Closet server running at http://${HOST}:${PORT}/ (data in ${DATA_DIR})`);
+    });
+}
+
+start();
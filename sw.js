@@ -0,0 +1,124 @@
+/* ======================================
+    Smart Closet Service Worker
+    --------------------------------------
+    - Precaches the app shell so every page works offline.
+    - Serves local files from the cache and refreshes them in the background.
+    - Precaches the fonts and icon styles from the CDNs and keeps anything else fetched from them.
+    Bump CACHE_VERSION whenever PRECACHE_URLS changes.
+    ======================================
+*/
+
+const CACHE_VERSION = 'smart-closet-v6';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'main.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Fetched with CORS so the cached copies are usable; a failure here doesn't block installing
+const GOOGLE_FONTS_CSS_URL = 'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap';
+const REMOTE_PRECACHE_URLS = [
+    GOOGLE_FONTS_CSS_URL,
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/webfonts/fa-solid-900.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/webfonts/fa-regular-400.woff2'
+];
+
+// Font files are versioned by URL, so once cached they never need refetching
+const REMOTE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(PRECACHE_URLS);
+        await Promise.all(REMOTE_PRECACHE_URLS.map(url => precacheRemote(cache, url)));
+        await precacheFontFiles(cache, GOOGLE_FONTS_CSS_URL);
+        await self.skipWaiting();
+    })());
+});
+
+function precacheRemote(cache, url) {
+    return cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+        console.warn('Could not precache', url, error);
+    });
+}
+
+// Google serves Poppins from fonts.gstatic.com under URLs only its CSS knows, so read them from there
+async function precacheFontFiles(cache, cssUrl) {
+    const response = await cache.match(cssUrl);
+    if (!response) return;
+    const css = await response.text();
+    const fontUrls = [...css.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)]
+        .map(match => new URL(match[1], cssUrl).href);
+    await Promise.all([...new Set(fontUrls)].map(url => precacheRemote(cache, url)));
+}
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Sync requests (when served by server.js) must always reach the server
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else if (REMOTE_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Pages are matched without their query string; the app keeps its own state in the hash
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const key = request.mode === 'navigate' ? new URL(request.url).pathname : request;
+                cache.put(key, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+    const response = await update;
+    if (response) return response;
+    // Offline and never visited: open the dashboard rather than the browser's error page
+    const fallback = request.mode === 'navigate' ? await cache.match('index.html') : null;
+    return fallback || Response.error();
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}